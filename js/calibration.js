@@ -0,0 +1,163 @@
+/**
+ * Calibration Module
+ * Generates test patterns used to measure machine settings
+ */
+
+/**
+ * Bidirectional scan offset calibration layout
+ */
+const SCAN_OFFSET_CALIBRATION = {
+    minOffset: -0.3,      // mm
+    maxOffset: 0.3,       // mm
+    offsetStep: 0.05,     // mm
+    blockWidth: 4,        // mm
+    blockHeight: 3,       // mm
+    blockGap: 2,          // mm between blocks
+    lineSpacing: 0.1,     // mm between scan lines
+    margin: 5             // mm from the workspace origin
+};
+
+/**
+ * Get the speeds to calibrate: the offset table speeds plus the current speed
+ * @param {Array} table - Scan offset table [{speed, offset}]
+ * @returns {Array} Speeds in mm/min, ascending
+ */
+function getScanOffsetCalibrationSpeeds(table) {
+    var speeds = (table || []).map(function(entry) {
+        return entry.speed;
+    });
+    speeds.push(LASER_CONFIG.speed);
+    
+    return speeds.filter(function(speed, index) {
+        return speed > 0 && speeds.indexOf(speed) === index;
+    }).sort(function(a, b) {
+        return a - b;
+    }).slice(0, 6);
+}
+
+/**
+ * Generate the scan offset calibration pattern
+ * One row of blocks per speed; each block is engraved bidirectionally with its
+ * right-to-left lines shifted by a different offset. The block with the sharpest
+ * vertical edges gives the offset to enter in the machine profile for that speed.
+ * A tick under each row marks the block with a zero offset.
+ * @param {Array} speeds - Speeds to test in mm/min
+ * @returns {Array} G-code lines (without header/footer)
+ */
+function generateScanOffsetCalibration(speeds) {
+    var layout = SCAN_OFFSET_CALIBRATION;
+    var offsetCount = Math.round((layout.maxOffset - layout.minOffset) / layout.offsetStep) + 1;
+    var overscan = Math.max(0, LASER_CONFIG.overscan || 0);
+    var linesPerBlock = Math.round(layout.blockHeight / layout.lineSpacing);
+    var power = LASER_CONFIG.power;
+    var gcode = [];
+    
+    gcode.push('; === BIDIRECTIONAL SCAN OFFSET CALIBRATION ===');
+    gcode.push('; Pick the sharpest block in each row and enter its offset for that speed');
+    for (var c = 0; c < offsetCount; c++) {
+        var legendOffset = layout.minOffset + c * layout.offsetStep;
+        gcode.push('; Block ' + (c + 1) + ' (X' + (layout.margin + c * (layout.blockWidth + layout.blockGap)).toFixed(1) + 'mm): offset ' + legendOffset.toFixed(2) + 'mm');
+    }
+    gcode.push('');
+    
+    for (var s = 0; s < speeds.length; s++) {
+        var speed = speeds[s];
+        var rowY = layout.margin + s * (layout.blockHeight + layout.blockGap * 2);
+        
+        gcode.push('; --- Speed ' + speed + ' mm/min ---');
+        
+        for (var c = 0; c < offsetCount; c++) {
+            var offset = layout.minOffset + c * layout.offsetStep;
+            var blockX = layout.margin + c * (layout.blockWidth + layout.blockGap);
+            
+            gcode.push('; Block ' + (c + 1) + ': offset ' + offset.toFixed(2) + 'mm');
+            
+            for (var line = 0; line < linesPerBlock; line++) {
+                var y = rowY + line * layout.lineSpacing;
+                var isRightToLeft = (line % 2 === 1);
+                var shift = isRightToLeft ? offset : 0;
+                var startX = (isRightToLeft ? blockX + layout.blockWidth : blockX) + shift;
+                var endX = (isRightToLeft ? blockX : blockX + layout.blockWidth) + shift;
+                var direction = isRightToLeft ? -1 : 1;
+                var leadInX = Math.max(0, startX - direction * overscan);
+                var leadOutX = Math.max(0, endX + direction * overscan);
+                
+                gcode.push('G0 X' + leadInX.toFixed(3) + ' Y' + y.toFixed(3) + ' F' + LASER_CONFIG.travelRate);
+                gcode.push('G1 X' + startX.toFixed(3) + ' F' + speed);
+                gcode.push(formatLaserOnCommand(power));
+                gcode.push('G1 X' + endX.toFixed(3));
+                gcode.push(formatLaserOffCommand());
+                gcode.push('G1 X' + leadOutX.toFixed(3));
+            }
+        }
+        
+        // Tick under the zero-offset block
+        var zeroIndex = Math.round(-layout.minOffset / layout.offsetStep);
+        var tickX = layout.margin + zeroIndex * (layout.blockWidth + layout.blockGap) + layout.blockWidth / 2;
+        gcode.push('; Zero-offset marker');
+        gcode.push('G0 X' + tickX.toFixed(3) + ' Y' + (rowY - 1.5).toFixed(3) + ' F' + LASER_CONFIG.travelRate);
+        gcode.push(formatLaserOnCommand(power));
+        gcode.push('G1 Y' + (rowY - 0.5).toFixed(3) + ' F' + speed);
+        gcode.push(formatLaserOffCommand());
+        gcode.push('');
+    }
+    
+    return gcode;
+}
+
+/**
+ * Get the workspace size (mm) needed by the scan offset calibration pattern
+ * @param {number} speedCount - Number of speed rows
+ * @returns {Object} Size {width, height}
+ */
+function getScanOffsetCalibrationSize(speedCount) {
+    var layout = SCAN_OFFSET_CALIBRATION;
+    var offsetCount = Math.round((layout.maxOffset - layout.minOffset) / layout.offsetStep) + 1;
+    
+    return {
+        width: layout.margin + offsetCount * (layout.blockWidth + layout.blockGap) + (LASER_CONFIG.overscan || 0),
+        height: layout.margin + speedCount * (layout.blockHeight + layout.blockGap * 2)
+    };
+}
+
+/**
+ * Download the scan offset calibration pattern as a G-code file
+ * @param {Array} table - Scan offset table whose speeds are tested (defaults to the active profile's)
+ */
+function downloadScanOffsetCalibration(table) {
+    var speeds = getScanOffsetCalibrationSpeeds(table || LASER_CONFIG.scanOffsets);
+    var size = getScanOffsetCalibrationSize(speeds.length);
+    
+    if (size.width > WORKSPACE_CONFIG.width || size.height > WORKSPACE_CONFIG.height) {
+        alert('Le motif de calibration nécessite ' + Math.ceil(size.width) + '×' + Math.ceil(size.height) + ' mm. Agrandissez l\'espace de travail.');
+        return;
+    }
+    
+    var templateErrors = validateGcodeTemplates();
+    if (templateErrors.length > 0) {
+        alert('Le G-code de début/fin du profil machine est invalide :\n\n' + templateErrors.join('\n'));
+        return;
+    }
+    
+    var jobInfo = {
+        jobName: 'scan_offset_calibration',
+        bounds: { minX: 0, minY: 0, maxX: size.width, maxY: size.height }
+    };
+    var writer = createGcodeWriter(null, createExportPostProcessor());
+    writeGcodeLines(writer, generateGcodeHeader(jobInfo).split('\n'));
+    writeGcodeLines(writer, generateScanOffsetCalibration(speeds));
+    writeGcodeLines(writer, generateGcodeFooter(jobInfo).split('\n'));
+    
+    closeGcodeWriter(writer).then(function(blob) {
+        var url = URL.createObjectURL(blob);
+        var a = document.createElement('a');
+        a.href = url;
+        a.download = 'scan_offset_calibration.gcode';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        
+        showTemporaryMessage('Motif de calibration généré (' + speeds.join(', ') + ' mm/min)');
+    });
+}
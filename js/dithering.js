@@ -0,0 +1,270 @@
+/**
+ * Dithering Module
+ * Turns the resampled grayscale sample grid into on/off laser pulses
+ * (error diffusion, ordered Bayer matrices and AM halftone screening)
+ */
+
+/**
+ * Available dithering modes (key -> UI label)
+ */
+const DITHER_MODES = {
+    'none': 'Aucun - Puissance variable',
+    'floyd-steinberg': 'Floyd–Steinberg',
+    'jarvis': 'Jarvis–Judice–Ninke',
+    'stucki': 'Stucki',
+    'atkinson': 'Atkinson',
+    'sierra': 'Sierra',
+    'bayer2': 'Bayer 2×2',
+    'bayer4': 'Bayer 4×4',
+    'bayer8': 'Bayer 8×8',
+    'halftone': 'Trame AM (halftone)'
+};
+
+/**
+ * Ordered dithering matrix sizes per mode
+ */
+const BAYER_MATRIX_SIZES = {
+    'bayer2': 2,
+    'bayer4': 4,
+    'bayer8': 8
+};
+
+/**
+ * Error diffusion kernels
+ * Each weight entry is [dx, dy, weight], relative to the current sample in scan direction.
+ * Atkinson intentionally spreads only 6/8 of the error for higher contrast.
+ */
+const ERROR_DIFFUSION_KERNELS = {
+    'floyd-steinberg': {
+        divisor: 16,
+        weights: [
+            [1, 0, 7],
+            [-1, 1, 3], [0, 1, 5], [1, 1, 1]
+        ]
+    },
+    'jarvis': {
+        divisor: 48,
+        weights: [
+            [1, 0, 7], [2, 0, 5],
+            [-2, 1, 3], [-1, 1, 5], [0, 1, 7], [1, 1, 5], [2, 1, 3],
+            [-2, 2, 1], [-1, 2, 3], [0, 2, 5], [1, 2, 3], [2, 2, 1]
+        ]
+    },
+    'stucki': {
+        divisor: 42,
+        weights: [
+            [1, 0, 8], [2, 0, 4],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2],
+            [-2, 2, 1], [-1, 2, 2], [0, 2, 4], [1, 2, 2], [2, 2, 1]
+        ]
+    },
+    'atkinson': {
+        divisor: 8,
+        weights: [
+            [1, 0, 1], [2, 0, 1],
+            [-1, 1, 1], [0, 1, 1], [1, 1, 1],
+            [0, 2, 1]
+        ]
+    },
+    'sierra': {
+        divisor: 32,
+        weights: [
+            [1, 0, 5], [2, 0, 3],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2],
+            [-1, 2, 2], [0, 2, 3], [1, 2, 2]
+        ]
+    }
+};
+
+/**
+ * Check whether a dithering mode produces on/off output
+ * @param {string} mode - Dithering mode key
+ * @returns {boolean} True if the mode is a known dithering algorithm
+ */
+function isDitherMode(mode) {
+    return mode !== 'none' && DITHER_MODES.hasOwnProperty(mode);
+}
+
+/**
+ * Apply error diffusion dithering to a darkness grid
+ * Rows are processed in serpentine order to avoid the diagonal "worm" artifacts
+ * of always diffusing in the same direction.
+ * @param {Float32Array} darkness - Darkness values (0 = white, 1 = full burn), row-major
+ * @param {number} width - Grid width in samples
+ * @param {number} height - Grid height in samples
+ * @param {string} mode - Key of ERROR_DIFFUSION_KERNELS
+ * @returns {Uint8Array} 1 where the laser fires, 0 elsewhere
+ */
+function errorDiffusionDither(darkness, width, height, mode) {
+    var kernel = ERROR_DIFFUSION_KERNELS[mode];
+    var pulses = new Uint8Array(width * height);
+    if (!kernel) return pulses;
+
+    // Work on a copy so the caller's grid stays untouched
+    var buffer = new Float32Array(darkness);
+    var weights = kernel.weights;
+    var divisor = kernel.divisor;
+
+    for (var y = 0; y < height; y++) {
+        var reverse = (y % 2 === 1);
+        var direction = reverse ? -1 : 1;
+
+        for (var i = 0; i < width; i++) {
+            var x = reverse ? width - 1 - i : i;
+            var index = y * width + x;
+            var value = buffer[index];
+            var output = value >= 0.5 ? 1 : 0;
+            var error = value - output;
+
+            pulses[index] = output;
+            if (error === 0) continue;
+
+            for (var k = 0; k < weights.length; k++) {
+                var nx = x + weights[k][0] * direction;
+                var ny = y + weights[k][1];
+                if (nx < 0 || nx >= width || ny >= height) continue;
+                buffer[ny * width + nx] += error * weights[k][2] / divisor;
+            }
+        }
+    }
+    
+    return pulses;
+}
+
+/**
+ * Build a normalized Bayer threshold matrix
+ * Built recursively: M(2n) = [[4M, 4M+2], [4M+3, 4M+1]]
+ * @param {number} size - Matrix size (power of two)
+ * @returns {Float32Array} Thresholds in (0, 1), row-major
+ */
+function buildBayerMatrix(size) {
+    var matrix = [0];
+    var n = 1;
+    
+    while (n < size) {
+        var next = new Array(4 * n * n);
+        for (var y = 0; y < n; y++) {
+            for (var x = 0; x < n; x++) {
+                var value = 4 * matrix[y * n + x];
+                next[y * 2 * n + x] = value;
+                next[y * 2 * n + x + n] = value + 2;
+                next[(y + n) * 2 * n + x] = value + 3;
+                next[(y + n) * 2 * n + x + n] = value + 1;
+            }
+        }
+        matrix = next;
+        n *= 2;
+    }
+    
+    var thresholds = new Float32Array(size * size);
+    for (var i = 0; i < thresholds.length; i++) {
+        thresholds[i] = (matrix[i] + 0.5) / (size * size);
+    }
+    return thresholds;
+}
+
+/**
+ * Apply ordered (Bayer) dithering to a darkness grid
+ * Each sample is compared against a fixed threshold, so the pattern does not
+ * depend on scan direction and survives the zigzag without directional artifacts.
+ * @param {Float32Array} darkness - Darkness values (0-1), row-major
+ * @param {number} width - Grid width in samples
+ * @param {number} height - Grid height in samples
+ * @param {number} size - Bayer matrix size (2, 4 or 8)
+ * @returns {Uint8Array} 1 where the laser fires, 0 elsewhere
+ */
+function orderedDither(darkness, width, height, size) {
+    var thresholds = buildBayerMatrix(size);
+    var pulses = new Uint8Array(width * height);
+    
+    for (var y = 0; y < height; y++) {
+        var matrixRow = (y % size) * size;
+        for (var x = 0; x < width; x++) {
+            var index = y * width + x;
+            pulses[index] = darkness[index] > thresholds[matrixRow + (x % size)] ? 1 : 0;
+        }
+    }
+    
+    return pulses;
+}
+
+/**
+ * Round-dot spot function: fraction of the cell covered when the dot grows up to this sample
+ * @param {number} fu - Offset from cell center along the screen axis (-0.5 to 0.5)
+ * @param {number} fv - Offset from cell center across the screen axis (-0.5 to 0.5)
+ * @returns {number} Threshold in [0, 1]
+ */
+function halftoneSpotThreshold(fu, fv) {
+    var radius = Math.sqrt(fu * fu + fv * fv);
+    
+    // Inscribed circle: covered area is simply pi * r^2
+    if (radius <= 0.5) {
+        return Math.PI * radius * radius;
+    }
+    
+    // Beyond the inscribed circle the dot fills the corners; blend up to full coverage
+    var cornerRatio = (radius - 0.5) / (Math.SQRT1_2 - 0.5);
+    return Math.min(1, Math.PI / 4 + cornerRatio * (1 - Math.PI / 4));
+}
+
+/**
+ * Apply AM halftone screening to a darkness grid
+ * The screen is laid in the coordinates given by the transform, so grids scanned
+ * at different angles over the same area share one screen.
+ * @param {Float32Array} darkness - Darkness values (0-1), row-major
+ * @param {number} width - Grid width in samples
+ * @param {number} height - Grid height in samples
+ * @param {number} cellSamples - Halftone cell size in samples
+ * @param {number} angleDegrees - Screen angle in degrees
+ * @param {Object} transform - Optional position of sample (x, y), in samples:
+ *                             (x0 + x * xx + y * yx, y0 + x * xy + y * yy); sample centers of the grid by default
+ * @returns {Uint8Array} 1 where the laser fires, 0 elsewhere
+ */
+function halftoneDither(darkness, width, height, cellSamples, angleDegrees, transform) {
+    var pulses = new Uint8Array(width * height);
+    var cell = Math.max(2, cellSamples);
+    var angle = (angleDegrees || 0) * Math.PI / 180;
+    var cos = Math.cos(angle);
+    var sin = Math.sin(angle);
+    var t = transform || { x0: 0.5, y0: 0.5, xx: 1, xy: 0, yx: 0, yy: 1 };
+    
+    for (var y = 0; y < height; y++) {
+        for (var x = 0; x < width; x++) {
+            // Sample position in screen space (rotated, in cell units)
+            var px = t.x0 + x * t.xx + y * t.yx;
+            var py = t.y0 + x * t.xy + y * t.yy;
+            var u = (px * cos + py * sin) / cell;
+            var v = (-px * sin + py * cos) / cell;
+            var fu = u - Math.floor(u) - 0.5;
+            var fv = v - Math.floor(v) - 0.5;
+            
+            var index = y * width + x;
+            pulses[index] = darkness[index] > halftoneSpotThreshold(fu, fv) ? 1 : 0;
+        }
+    }
+    
+    return pulses;
+}
+
+/**
+ * Dither a darkness grid with the requested mode
+ * @param {Float32Array} darkness - Darkness values (0-1), row-major
+ * @param {number} width - Grid width in samples
+ * @param {number} height - Grid height in samples
+ * @param {string} mode - Dithering mode key
+ * @param {Object} options - Halftone options {cellSamples, angle, transform}
+ * @returns {Uint8Array|null} On/off pulses, or null when the mode is not a dithering mode
+ */
+function ditherSampleGrid(darkness, width, height, mode, options) {
+    if (ERROR_DIFFUSION_KERNELS[mode]) {
+        return errorDiffusionDither(darkness, width, height, mode);
+    }
+    if (BAYER_MATRIX_SIZES[mode]) {
+        return orderedDither(darkness, width, height, BAYER_MATRIX_SIZES[mode]);
+    }
+    if (mode === 'halftone') {
+        options = options || {};
+        return halftoneDither(darkness, width, height, options.cellSamples, options.angle, options.transform);
+    }
+    return null;
+}
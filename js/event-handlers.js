@@ -754,7 +754,7 @@ var copiedObject = null;
 function copyObject() {
     var activeObject = canvas.getActiveObject();
     if (activeObject) {
-        copiedObject = activeObject.toObject();
+        copiedObject = activeObject.toObject(LASER_OBJECT_PROPERTIES);
         console.log('Object copied');
         showTemporaryMessage('Objet copié');
     }
@@ -787,7 +787,7 @@ function pasteObject() {
 function duplicateObject() {
     var activeObject = canvas.getActiveObject();
     if (activeObject) {
-        copiedObject = activeObject.toObject();
+        copiedObject = activeObject.toObject(LASER_OBJECT_PROPERTIES);
         pasteObject();
     }
 }
@@ -9,6 +9,25 @@ var LASER_CONFIG = {
     precision: 10,        // Precision in pixels/mm (higher = more detailed)
     speed: 1000,         // Speed in mm/min (lower = slower, better quality) 
     power: 128,          // Max power 0-255 (lower = lighter engraving)
+    ditherMode: 'none',  // 'none' = variable PWM, otherwise a key of DITHER_MODES (on/off at max power)
+    halftoneCellSize: 1, // Halftone cell size in mm (ditherMode 'halftone')
+    halftoneAngle: 45,   // Halftone screen angle in degrees (ditherMode 'halftone')
+    powerMergeTolerance: 0, // Max power difference (0-255) merged into one G1 segment
+    overscan: 2,         // Lead-in/lead-out distance in mm around each raster row (laser off)
+    scanMode: 'bidirectional', // 'bidirectional' (zigzag) or 'unidirectional' (always L→R, laser-off return)
+    scanAngle: 0,        // Raster row angle in degrees (0 = horizontal, 90 = vertical)
+    textMode: 'raster',  // 'raster' (pixels) or 'vector' (glyph outlines traced with G1 moves)
+    vectorTolerance: 0.05, // Max deviation in mm when flattening curves to line segments
+    crossHatch: false,   // Engrave the image once per crossHatchPasses entry
+    crossHatchPasses: [  // Cross-hatch passes: scan angle (degrees) and fraction of the mapped power
+        { angle: 0, powerFraction: 0.6 },
+        { angle: 90, powerFraction: 0.6 }
+    ],
+    serialSafe: false,   // Serial-safe output: N line numbers and *checksums, no comments, rounded parameters
+    serialDecimals: 3,   // Decimal places kept on the parameters of serial-safe output
+    frameShape: 'rectangle', // Frame trace outline: 'rectangle' (bounding box) or 'hull' (convex hull)
+    framePower: 0,       // Frame trace pointer power 0-255 (0 = laser off)
+    frameSpeed: 3000,    // Frame trace speed in mm/min
     
     // === AUTOMATIC QUALITY SETTINGS ===
     powerStabilizationDelay: 50,  // ms delay after power changes for machine stability
@@ -19,12 +38,27 @@ var LASER_CONFIG = {
     
     // === MACHINE SETTINGS (AUTO-CALCULATED) ===
     maxPower: 255,        // Maximum fan PWM value
-    minPower: 5,          // Minimum power for light engraving
     travelRate: 3000,     // Auto-calculated based on speed
-    laserOn: 'M106',      // Fan on command
-    laserOff: 'M107',     // Fan off command
+    dialect: 'marlin_fan', // G-code dialect (key of GCODE_DIALECTS): laser commands, power range, start/end commands
     units: 'G21',         // Millimeters
     positioning: 'G90',   // Absolute positioning
+    scanOffsets: [],      // Bidirectional scan offset table [{speed (mm/min), offset (mm)}], applied to R-L rows
+    arcSupport: false,    // Firmware accepts G2/G3 arcs (Marlin ARC_SUPPORT); vector outlines are then arc-fitted
+    arcTolerance: 0.02,   // Max deviation in mm when replacing polyline segments by arcs
+    inlinePower: true,    // Emit power as S on G1 moves (no laser commands or dwells) when the dialect supports it
+    gcodeStartTemplate: '', // Start G-code template (see gcode-templates.js), empty = DEFAULT_GCODE_START_TEMPLATE
+    gcodeEndTemplate: '',   // End G-code template, empty = DEFAULT_GCODE_END_TEMPLATE
+    
+    // === MATERIAL SETTINGS (MATERIAL PROFILE) ===
+    powerCurve: {         // Grayscale to raster power mapping (see grayscaleToLaserPower)
+        minPower: 5,      // Power of the lightest burned tone (0-255)
+        maxPower: 255,    // Cap on the power of full black (0-255), below the job power
+        whiteCutoff: 8,   // Tones lighter than this inverted gray level (0-255) are not burned
+        gamma: 0.8,       // Curve exponent (< 1 lifts mid-tones)
+        mode: 'gamma',    // 'gamma' or 'custom' (piecewise linear through points)
+        points: []        // Custom curve points [{input (% darkness), output (% power)}]
+    },
+    kerf: 0,              // Width of material burned away by a cut in mm (half is offset on each side)
     
     // === QUALITY PRESETS ===
     qualityPresets: {
@@ -60,327 +94,296 @@ var LASER_CONFIG = {
 };
 
 /**
- * Generate G-code header with simplified parameters
+ * Per-object laser modes (fabric object property laserMode)
+ * Cut and score objects are traced along their outline, fill objects are covered
+ * with hatch lines, at their own speed and power (laserSpeed, laserPower) instead
+ * of being rasterized. Modes with a types list only apply to those object types.
  */
-function generateGcodeHeader() {
-    // Auto-calculate travel rate based on speed
-    LASER_CONFIG.travelRate = Math.min(LASER_CONFIG.speed * 3, 5000);
-    
-    var header = [
-        '; Generated by Image to G-Code Converter - Quality Enhanced',
-        '; For Ender 3 with laser engraving (fan-controlled)',
-        '; Date: ' + new Date().toLocaleString(),
-        '',
-        '; === SIMPLIFIED CONFIGURATION ===',
-        '; Precision: ' + LASER_CONFIG.precision + ' samples/mm (resolution control)',
-        '; Speed: ' + LASER_CONFIG.speed + ' mm/min (engraving)',
-        '; Max Power: ' + LASER_CONFIG.power + '/' + LASER_CONFIG.maxPower + ' PWM (' + Math.round((LASER_CONFIG.power/255)*100) + '%)',
-        '; Quality Mode: ' + LASER_CONFIG.qualityMode,
-        '; Power Stabilization: ' + LASER_CONFIG.powerStabilizationDelay + 'ms delay',
-        '; Travel Speed: ' + LASER_CONFIG.travelRate + ' mm/min (auto)',
-        '; NOTE: Physical size is constant, precision only affects sampling resolution',
-        '',
-        '; Initialize machine',
-        LASER_CONFIG.units + ' ; Set units to millimeters',
-        LASER_CONFIG.positioning + ' ; Absolute positioning',
-        'G92 X0 Y0 Z0 ; Set current position as origin (0,0,0)',
-        'F' + LASER_CONFIG.travelRate + ' ; Set travel feed rate',
-        LASER_CONFIG.laserOff + ' ; Ensure laser is off',
-        'G4 P500 ; Wait 500ms for machine stability',
-        '',
-        '; Begin quality engraving',
-        ''
-    ];
-    return header.join('\n');
-}
+const LASER_OBJECT_MODES = {
+    'raster': { label: 'Raster (pixels)' },
+    'cut': { label: 'Découpe', speed: 300, power: 255, kerfSide: 'outside' },
+    'score': { label: 'Marquage (contour)', speed: 1200, power: 128 },
+    'fill': {
+        label: 'Remplissage (hachures)',
+        speed: 1500,
+        power: 128,
+        hatchSpacing: 0.1,    // mm between hatch lines
+        hatchAngle: 0,        // Hatch line angle in degrees
+        hatchCrossHatch: false, // Second set of lines at +90 degrees
+        types: ['text', 'rect', 'circle', 'path']
+    }
+};
 
 /**
- * Generate G-code footer
+ * Kerf compensation sides of cut objects (object property kerfSide)
+ * 'outside' keeps the shape as a part: its outline moves out and its holes in.
+ * 'inside' keeps the shape as an opening: the opposite.
  */
-function generateGcodeFooter() {
-    var footer = [
-        '',
-        '; End engraving',
-        LASER_CONFIG.laserOff + ' ; Turn off laser',
-        'G0 X0 Y0 ; Return to origin',
-        'M84 ; Disable steppers',
-        '; End of G-code'
-    ];
-    return footer.join('\n');
-}
+const KERF_SIDES = {
+    'outside': 'Extérieur (pièce à la cote)',
+    'inside': 'Intérieur (ouverture à la cote)',
+    'none': 'Aucune (sur le trait)'
+};
 
 /**
- * Convert grayscale value to laser power with quality enhancements
- * @param {number} grayscale - Grayscale value (0-255)
- * @returns {number} Laser power (0-255)
+ * Object types that can be traced as vector outlines
  */
-function grayscaleToLaserPower(grayscale) {
-    // Invert grayscale: darker = more power
-    var inverted = 255 - grayscale;
-    
-    // More sensitive threshold - Skip only very light areas (< 3% intensity)
-    // Lowered from 13 to 8 to catch more subtle dark areas
-    if (inverted < 8) return 0;
-    
-    // Calculate normalized power (0-1)
-    var normalizedPower = inverted / 255;
-    
-    // Apply gentle curve for better mid-tones
-    normalizedPower = Math.pow(normalizedPower, 0.8);
-    
-    // Map to user's power range
-    var laserPower = Math.round(normalizedPower * LASER_CONFIG.power);
+const VECTOR_OBJECT_TYPES = ['text', 'rect', 'circle', 'line', 'path'];
+
+/**
+ * Custom object properties kept when objects are saved or copied
+ */
+const LASER_OBJECT_PROPERTIES = ['laserMode', 'laserSpeed', 'laserPower', 'hatchSpacing', 'hatchAngle', 'hatchCrossHatch', 'kerfSide'];
+
+/**
+ * Create the post-processor of exported G-code
+ * Line numbers and checksums are only added when the dialect supports them.
+ * @returns {Object|null} Serial-safe post-processor, or null when the option is off
+ */
+function createExportPostProcessor() {
+    if (!LASER_CONFIG.serialSafe) return null;
     
-    // Ensure minimum power for actual burning
-    return Math.max(LASER_CONFIG.minPower, Math.min(LASER_CONFIG.power, laserPower));
+    return createSerialGcodePostProcessor({
+        decimals: LASER_CONFIG.serialDecimals,
+        lineNumbers: getGcodeDialect().lineChecksums
+    });
 }
 
 /**
- * Fast nearest-neighbor sampling for G-code generation (PERFORMANCE OPTIMIZED)
- * @param {Uint8ClampedArray} data - Image data array
- * @param {number} width - Image width
- * @param {number} height - Image height
- * @param {number} x - X coordinate (can be fractional)
- * @param {number} y - Y coordinate (can be fractional)
- * @returns {Object} Nearest pixel RGBA values
+ * Get the start and end templates of the active machine profile
+ * @returns {Object} Templates {start, end}
  */
-function getFastPixel(data, width, height, x, y) {
-    // Use nearest-neighbor sampling for much better performance
-    var px = Math.round(Math.max(0, Math.min(width - 1, x)));
-    var py = Math.round(Math.max(0, Math.min(height - 1, y)));
-    
-    var index = (py * width + px) * 4;
+function getGcodeTemplates() {
     return {
-        r: data[index] || 255,
-        g: data[index + 1] || 255,
-        b: data[index + 2] || 255,
-        a: data[index + 3] || 255
+        start: LASER_CONFIG.gcodeStartTemplate || DEFAULT_GCODE_START_TEMPLATE,
+        end: LASER_CONFIG.gcodeEndTemplate || DEFAULT_GCODE_END_TEMPLATE
     };
 }
 
 /**
- * Bilinear interpolation for resampling image data (ONLY for high-quality mode)
- * @param {Uint8ClampedArray} data - Image data array
- * @param {number} width - Image width
- * @param {number} height - Image height
- * @param {number} x - X coordinate (can be fractional)
- * @param {number} y - Y coordinate (can be fractional)
- * @returns {Object} Interpolated RGBA values
- */
-function getInterpolatedPixel(data, width, height, x, y) {
-    // For performance: Use fast sampling unless in ultra quality mode
-    if (LASER_CONFIG.qualityMode !== 'ultra') {
-        return getFastPixel(data, width, height, x, y);
-    }
-    
-    // Full bilinear interpolation only for ultra quality mode
-    x = Math.max(0, Math.min(width - 1, x));
-    y = Math.max(0, Math.min(height - 1, y));
-    
-    var x1 = Math.floor(x);
-    var y1 = Math.floor(y);
-    var x2 = Math.min(x1 + 1, width - 1);
-    var y2 = Math.min(y1 + 1, height - 1);
-    
-    var fx = x - x1;
-    var fy = y - y1;
-    
-    // Get the four surrounding pixels
-    var p1 = getPixel(data, width, x1, y1);
-    var p2 = getPixel(data, width, x2, y1);
-    var p3 = getPixel(data, width, x1, y2);
-    var p4 = getPixel(data, width, x2, y2);
+ * Check the start and end templates before an export
+ * @returns {Array} Error messages, prefixed with the template they come from
+ */
+function validateGcodeTemplates() {
+    var templates = getGcodeTemplates();
+    
+    return validateGcodeTemplate(templates.start).map(function(error) {
+        return 'Début : ' + error;
+    }).concat(validateGcodeTemplate(templates.end).map(function(error) {
+        return 'Fin : ' + error;
+    }));
+}
+
+/**
+ * Get the workspace bounds (mm) of everything that will be exported
+ * @returns {Object} Bounds {minX, minY, maxX, maxY}, all 0 when the canvas is empty
+ */
+function getExportContentBounds() {
+    var bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
     
-    // Bilinear interpolation
-    var r = (1 - fx) * (1 - fy) * p1.r + fx * (1 - fy) * p2.r + (1 - fx) * fy * p3.r + fx * fy * p4.r;
-    var g = (1 - fx) * (1 - fy) * p1.g + fx * (1 - fy) * p2.g + (1 - fx) * fy * p3.g + fx * fy * p4.g;
-    var b = (1 - fx) * (1 - fy) * p1.b + fx * (1 - fy) * p2.b + (1 - fx) * fy * p3.b + fx * fy * p4.b;
-    var a = (1 - fx) * (1 - fy) * p1.a + fx * (1 - fy) * p2.a + (1 - fx) * fy * p3.a + fx * fy * p4.a;
+    canvas.getObjects().forEach(function(obj) {
+        if (obj.excludeFromExport) return;
+        
+        var rect = obj.getBoundingRect(true, true);
+        var topLeft = canvasPointToWorkspaceMm({ x: rect.left, y: rect.top });
+        var bottomRight = canvasPointToWorkspaceMm({ x: rect.left + rect.width, y: rect.top + rect.height });
+        bounds.minX = Math.min(bounds.minX, topLeft.x);
+        bounds.maxX = Math.max(bounds.maxX, bottomRight.x);
+        bounds.minY = Math.min(bounds.minY, bottomRight.y);
+        bounds.maxY = Math.max(bounds.maxY, topLeft.y);
+    });
     
+    if (bounds.minX > bounds.maxX) {
+        return { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+    }
     return {
-        r: Math.round(r),
-        g: Math.round(g),
-        b: Math.round(b),
-        a: Math.round(a)
+        minX: Math.max(0, bounds.minX),
+        minY: Math.max(0, bounds.minY),
+        maxX: Math.min(WORKSPACE_CONFIG.width, bounds.maxX),
+        maxY: Math.min(WORKSPACE_CONFIG.height, bounds.maxY)
     };
 }
 
 /**
- * Get pixel data at specific coordinates
- * @param {Uint8ClampedArray} data - Image data array
- * @param {number} width - Image width
- * @param {number} x - X coordinate
- * @param {number} y - Y coordinate
- * @returns {Object} RGBA values
+ * Build the variables of the start/end templates (see GCODE_TEMPLATE_VARIABLES)
+ * The estimated time covers a raster of the whole content area.
+ * @param {Object} jobInfo - Job description {jobName, bounds {minX, minY, maxX, maxY} in mm}
+ * @returns {Object} Values by variable name
  */
-function getPixel(data, width, x, y) {
-    var index = (y * width + x) * 4;
+function getGcodeTemplateVariables(jobInfo) {
+    var dialect = getGcodeDialect();
+    var bounds = jobInfo.bounds;
+    var width = bounds.maxX - bounds.minX;
+    var height = bounds.maxY - bounds.minY;
+    var rows = Math.ceil(height * LASER_CONFIG.precision);
+    var rowLength = width > 0 ? width + 2 * Math.max(0, LASER_CONFIG.overscan || 0) : 0;
+    
     return {
-        r: data[index] || 255,
-        g: data[index + 1] || 255,
-        b: data[index + 2] || 255,
-        a: data[index + 3] || 255
+        job_name: jobInfo.jobName,
+        date: new Date().toLocaleString(),
+        width_mm: width.toFixed(2),
+        height_mm: height.toFixed(2),
+        bounds_min_x: bounds.minX.toFixed(2),
+        bounds_min_y: bounds.minY.toFixed(2),
+        bounds_max_x: bounds.maxX.toFixed(2),
+        bounds_max_y: bounds.maxY.toFixed(2),
+        power: LASER_CONFIG.power,
+        power_percent: Math.round(LASER_CONFIG.power / 255 * 100),
+        speed: LASER_CONFIG.speed,
+        travel_rate: LASER_CONFIG.travelRate,
+        estimated_time: Math.ceil(rows * rowLength / LASER_CONFIG.speed),
+        dialect: GCODE_DIALECTS.hasOwnProperty(LASER_CONFIG.dialect) ? LASER_CONFIG.dialect : 'marlin_fan',
+        laser_off: formatLaserOffCommand(),
+        inline_power: usesInlinePower(),
+        inline_start: dialect.inlineStart || '',
+        dialect_start: dialect.startCommands.join('\n'),
+        dialect_end: dialect.endCommands.join('\n')
     };
 }
 
 /**
- * Generate G-code with power stabilization and quality improvements
- * @param {number} newPower - New laser power
- * @param {number} currentPower - Current laser power
- * @param {number} x - X position
- * @param {number} y - Y position (optional)
- * @returns {Array} Array of G-code commands
+ * Generate G-code header with simplified parameters
+ * The machine initialization comes from the profile's start template.
+ * @param {Object} jobInfo - Job description (see getGcodeTemplateVariables)
  */
-function generateQualityPowerChange(newPower, currentPower, x, y) {
-    var gcode = [];
-    
-    // If power is the same, no change needed
-    if (newPower === currentPower) {
-        return gcode;
-    }
-    
-    // Calculate power difference
-    var powerDiff = Math.abs(newPower - currentPower);
-    var needsStabilization = powerDiff >= LASER_CONFIG.powerChangeThreshold;
-    
-    if (newPower === 0) {
-        // Turning laser off
-        gcode.push(LASER_CONFIG.laserOff + ' ; Laser OFF');
-        if (needsStabilization) {
-            gcode.push('G4 P' + LASER_CONFIG.powerStabilizationDelay + ' ; Stabilization delay');
-        }
-    } else if (currentPower === 0) {
-        // Turning laser on from off
-        gcode.push('F' + LASER_CONFIG.speed + ' ; Set engraving speed');
-        gcode.push(LASER_CONFIG.laserOn + ' S' + newPower + ' ; Laser ON at ' + Math.round((newPower/255)*100) + '%');
-        if (needsStabilization) {
-            gcode.push('G4 P' + LASER_CONFIG.powerStabilizationDelay + ' ; Power stabilization');
-        }
-        if (x !== undefined) {
-            if (y !== undefined) {
-                gcode.push('G1 X' + x.toFixed(3) + ' Y' + y.toFixed(3) + ' ; Start burn');
-            } else {
-                gcode.push('G1 X' + x.toFixed(3) + ' ; Start burn');
-            }
-        }
-    } else {
-        // Changing power level
-        if (LASER_CONFIG.smoothPowerTransitions && powerDiff > 20) {
-            // Smooth transition for large power changes
-            var steps = Math.ceil(powerDiff / 20);
-            var stepSize = (newPower - currentPower) / steps;
-            
-            for (var i = 1; i <= steps; i++) {
-                var intermediePower = Math.round(currentPower + (stepSize * i));
-                gcode.push(LASER_CONFIG.laserOn + ' S' + intermediePower + ' ; Smooth transition');
-                if (i < steps) {
-                    gcode.push('G4 P' + Math.round(LASER_CONFIG.minMovementDelay / steps) + ' ; Transition delay');
-                }
-            }
-        } else {
-            // Direct power change
-            gcode.push(LASER_CONFIG.laserOn + ' S' + newPower + ' ; Power ' + Math.round((newPower/255)*100) + '%');
-        }
-        
-        if (needsStabilization) {
-            gcode.push('G4 P' + LASER_CONFIG.minMovementDelay + ' ; Movement delay');
-        }
-    }
+function generateGcodeHeader(jobInfo) {
+    // Auto-calculate travel rate based on speed
+    LASER_CONFIG.travelRate = Math.min(LASER_CONFIG.speed * 3, 5000);
     
-    return gcode;
+    var dialect = getGcodeDialect();
+    var header = [
+        '; Generated by Image to G-Code Converter - Quality Enhanced',
+        '; Dialect: ' + dialect.name + ' (' + dialect.laserOn + '/' + dialect.laserOff + ', S0-' + dialect.powerScale + ')',
+        '; Date: ' + new Date().toLocaleString(),
+        '',
+        '; === SIMPLIFIED CONFIGURATION ===',
+        '; Precision: ' + LASER_CONFIG.precision + ' samples/mm (resolution control)',
+        '; Speed: ' + LASER_CONFIG.speed + ' mm/min (engraving)',
+        '; Max Power: ' + LASER_CONFIG.power + '/' + LASER_CONFIG.maxPower + ' PWM (' + Math.round((LASER_CONFIG.power/255)*100) + '%)',
+        '; Quality Mode: ' + LASER_CONFIG.qualityMode,
+        '; Power Stabilization: ' + (usesInlinePower() ? 'none (inline power)' : LASER_CONFIG.powerStabilizationDelay + 'ms delay'),
+        '; Travel Speed: ' + LASER_CONFIG.travelRate + ' mm/min (auto)',
+        '; NOTE: Physical size is constant, precision only affects sampling resolution',
+        ''
+    ].concat(renderGcodeTemplate(getGcodeTemplates().start, getGcodeTemplateVariables(jobInfo)), [
+        '',
+        '; Begin quality engraving',
+        ''
+    ]);
+    return header.join('\n');
+}
+
+/**
+ * Generate G-code footer from the profile's end template
+ * @param {Object} jobInfo - Job description (see getGcodeTemplateVariables)
+ */
+function generateGcodeFooter(jobInfo) {
+    var footer = [''].concat(renderGcodeTemplate(getGcodeTemplates().end, getGcodeTemplateVariables(jobInfo)));
+    return footer.join('\n');
 }
 
 /**
  * Convert canvas to image data (without grid) and generate G-code ASYNC
+ * G-code lines are appended to job.writer as they are produced.
+ * @param {Object} job - Active G-code job handle (see activeGcodeJob)
+ * @param {Function} callback - Called with (true) when done or (false, progress, message, details) for updates
  */
-function processCanvasToGcodeAsync(callback) {
+function processCanvasToGcodeAsync(job, callback) {
     console.log('Converting canvas to image for laser engraving (async)...');
     
-    // Temporarily hide grid elements completely (remove from canvas)
+    // Temporarily hide the grid and the machine overlay (hidden rather than removed,
+    // so an overlay refresh cannot add them back before the capture)
     var gridElements = canvas.getObjects().filter(function(obj) {
-        return obj.excludeFromExport;
+        return obj.excludeFromExport && obj.visible;
     });
     
-    console.log('Removing', gridElements.length, 'grid elements temporarily');
+    console.log('Hiding', gridElements.length, 'grid elements temporarily');
     gridElements.forEach(function(obj) {
-        canvas.remove(obj);
+        obj.visible = false;
+    });
+    
+    // Vector objects are traced from their outlines: hide them from the raster capture
+    job.vectorObjects = canvas.getObjects().filter(isVectorExportObject);
+    job.vectorObjects.forEach(function(obj) {
+        obj.visible = false;
+        
+        // Start reading the fonts now, while the export click still counts as a user gesture
+        if (obj.type === 'text') {
+            loadGlyphFont(obj.fontFamily, obj.fontWeight).catch(function() {});
+        }
     });
     
     canvas.renderAll();
     
+    // Grid must come back whether the job finishes, fails or is cancelled
+    job.restoreCanvas = function() {
+        job.restoreCanvas = function() {};
+        console.log('Restoring', gridElements.length, 'grid elements');
+        gridElements.forEach(function(obj) {
+            obj.visible = true;
+        });
+        job.vectorObjects.forEach(function(obj) {
+            obj.visible = true;
+        });
+        canvas.renderAll();
+    };
+    
     setTimeout(function() {
-        if (gcodeGenerationCancelled) return;
-        
-        // For debugging, let's try extracting the entire canvas first (without grid)
-        var fabricCanvasElement = canvas.getElement();
-        console.log('Fabric canvas element size:', fabricCanvasElement.width, 'x', fabricCanvasElement.height);
+        if (job.cancelled) return;
         
         // Check if there are any content objects and their positions
-        var objects = canvas.getObjects(); // All remaining objects (no grid)
+        var objects = canvas.getObjects().filter(function(obj) {
+            return obj.visible && !obj.excludeFromExport; // All remaining raster objects (no grid, no vectors)
+        });
         console.log('Content objects on canvas:', objects.length);
         
         if (objects.length === 0) {
-            console.log('No content objects found after grid removal');
-            // Restore grid elements
-            gridElements.forEach(function(obj) {
-                canvas.add(obj);
-            });
-            canvas.renderAll();
-            callback('', 100, 'Aucun contenu trouvé');
+            console.log('No raster content objects found after grid removal');
+            job.restoreCanvas();
+            callback(true);
             return;
         }
         
-        callback(null, 10, 'Extraction de l\'image...');
+        callback(false, 10, 'Extraction de l\'image...');
         
         setTimeout(function() {
-            if (gcodeGenerationCancelled) return;
-            
-            // Use the full canvas approach since it's simpler and more reliable
-            var fullCanvas = document.createElement('canvas');
-            var fullCtx = fullCanvas.getContext('2d');
-            fullCanvas.width = fabricCanvasElement.width;
-            fullCanvas.height = fabricCanvasElement.height;
+            if (job.cancelled) return;
             
-            // Fill with white background
-            fullCtx.fillStyle = 'white';
-            fullCtx.fillRect(0, 0, fullCanvas.width, fullCanvas.height);
+            // Render the workspace area only, independent of the current zoom and pan,
+            // so that capture pixels map directly to workspace millimeters
+            var capture = captureWorkspaceImage();
+            var data = capture.data;
             
-            // Draw the clean canvas content
-            fullCtx.drawImage(fabricCanvasElement, 0, 0);
+            // The pixels are captured: the grid can be shown again while the G-code is generated
+            job.restoreCanvas();
             
-            // Get image data from full canvas
-            var fullImageData = fullCtx.getImageData(0, 0, fullCanvas.width, fullCanvas.height);
-            var data = fullImageData.data;
-            
-            callback(null, 20, 'Analyse du contenu...');
+            callback(false, 20, 'Analyse du contenu...');
             
             setTimeout(function() {
-                if (gcodeGenerationCancelled) return;
+                if (job.cancelled) return;
                 
                 // Find bounding box of content
-                var bounds = findImageBoundsWithThreshold(data, fullCanvas.width, fullCanvas.height, 200);
+                var bounds = findImageBoundsWithThreshold(data, capture.width, capture.height, 200);
                 
                 if (!bounds) {
-                    bounds = findImageBoundsWithThreshold(data, fullCanvas.width, fullCanvas.height, 100);
+                    bounds = findImageBoundsWithThreshold(data, capture.width, capture.height, 100);
                 }
                 
                 if (!bounds) {
-                    bounds = { x: 0, y: 0, width: fullCanvas.width, height: fullCanvas.height };
+                    bounds = { x: 0, y: 0, width: capture.width, height: capture.height };
                 }
                 
                 console.log('Content bounds found:', bounds);
                 
                 // Crop the content
-                var croppedData = cropImageData(data, fullCanvas.width, fullCanvas.height, bounds);
-                var croppedWidth = bounds.width;
-                var croppedHeight = bounds.height;
+                var croppedData = cropImageData(data, capture.width, capture.height, bounds);
                 
-                callback(null, 30, 'Calcul des dimensions...');
+                callback(false, 30, 'Calcul des dimensions...');
                 
                 setTimeout(function() {
-                    if (gcodeGenerationCancelled) return;
+                    if (job.cancelled) return;
                     
-                    processImageDataAsync(croppedData, croppedWidth, croppedHeight, gridElements, callback);
+                    processImageDataAsync(job, croppedData, bounds, capture, callback);
                 }, 50);
             }, 50);
         }, 50);
@@ -388,521 +391,620 @@ function processCanvasToGcodeAsync(callback) {
 }
 
 /**
- * Process image data to G-code asynchronously (PERFORMANCE OPTIMIZED)
+ * Render the workspace area of the canvas to RGBA pixels
+ * The current viewport (zoom/pan) is ignored; the render scale follows the
+ * laser precision, capped to keep the capture at a reasonable size.
+ * @returns {Object} Capture {data, width, height, pixelsPerMm}
  */
-function processImageDataAsync(croppedData, croppedWidth, croppedHeight, gridElements, callback) {
-    // The cropped dimensions are in canvas pixels. We need to convert them to physical mm
-    // Since the canvas represents the full fabricjs canvas, we need to use the fabricjs canvas scale
+function captureWorkspaceImage() {
+    var area = WORKSPACE_CONFIG.usableArea;
+    var targetPixelsPerMm = Math.max(WORKSPACE_CONFIG.pixelsPerMm, LASER_CONFIG.precision);
+    var multiplier = targetPixelsPerMm / WORKSPACE_CONFIG.pixelsPerMm;
+    multiplier = Math.max(1, Math.min(multiplier, 4096 / Math.max(area.width, area.height)));
+    
+    // toCanvasElement() crops in viewport coordinates: render with an identity viewport
+    var savedViewport = canvas.viewportTransform;
+    canvas.viewportTransform = [1, 0, 0, 1, 0, 0];
+    var renderedCanvas;
+    try {
+        renderedCanvas = canvas.toCanvasElement(multiplier, {
+            left: area.offsetX,
+            top: area.offsetY,
+            width: area.width,
+            height: area.height
+        });
+    } finally {
+        canvas.viewportTransform = savedViewport;
+    }
     
-    // Get the fabric canvas scale - it converts canvas pixels to workspace coordinates
-    var fabricCanvas = canvas.getElement();
-    var canvasScaleX = fabricCanvas.width / canvas.width;
-    var canvasScaleY = fabricCanvas.height / canvas.height;
+    // Flatten on white so transparent areas read as "no burn"
+    var flatCanvas = document.createElement('canvas');
+    flatCanvas.width = renderedCanvas.width;
+    flatCanvas.height = renderedCanvas.height;
+    var flatCtx = flatCanvas.getContext('2d');
+    flatCtx.fillStyle = 'white';
+    flatCtx.fillRect(0, 0, flatCanvas.width, flatCanvas.height);
+    flatCtx.drawImage(renderedCanvas, 0, 0);
     
-    // Convert cropped pixels to fabric canvas coordinates
-    var fabricWidthPixels = croppedWidth / canvasScaleX;
-    var fabricHeightPixels = croppedHeight / canvasScaleY;
+    console.log('Workspace capture:', flatCanvas.width, 'x', flatCanvas.height, 'px at', (WORKSPACE_CONFIG.pixelsPerMm * multiplier).toFixed(2), 'px/mm');
     
-    // Now convert fabric canvas coordinates to physical millimeters using workspace scale
-    var croppedWidthMm = WORKSPACE_CONFIG.pixelsToMm(fabricWidthPixels);
-    var croppedHeightMm = WORKSPACE_CONFIG.pixelsToMm(fabricHeightPixels);
+    return {
+        data: flatCtx.getImageData(0, 0, flatCanvas.width, flatCanvas.height).data,
+        width: flatCanvas.width,
+        height: flatCanvas.height,
+        pixelsPerMm: WORKSPACE_CONFIG.pixelsPerMm * multiplier
+    };
+}
+
+/**
+ * Compute the sampling layout of the cropped image and generate its G-code
+ * @param {Object} job - Active G-code job handle
+ * @param {Uint8ClampedArray} croppedData - Cropped RGBA pixels
+ * @param {Object} bounds - Crop bounds in capture pixels {x, y, width, height}
+ * @param {Object} capture - Workspace capture (see captureWorkspaceImage)
+ * @param {Function} callback - Progress/result callback
+ */
+function processImageDataAsync(job, croppedData, bounds, capture, callback) {
+    var croppedWidth = bounds.width;
+    var croppedHeight = bounds.height;
+    
+    // Capture pixels map linearly to workspace millimeters
+    var croppedWidthMm = croppedWidth / capture.pixelsPerMm;
+    var croppedHeightMm = croppedHeight / capture.pixelsPerMm;
+    
+    // Workspace origin (0,0) is the bottom-left corner, Y pointing up
+    var originXMm = bounds.x / capture.pixelsPerMm;
+    var originYMm = (capture.height - bounds.y - bounds.height) / capture.pixelsPerMm;
     
     // Calculate sampling resolution based on precision setting
     var resolution = LASER_CONFIG.precision;
     var sampleSpacing = 1 / resolution;
     
-    // Calculate how many samples we need for the actual dimensions
-    var samplesWidth = Math.ceil(croppedWidthMm * resolution);
-    var samplesHeight = Math.ceil(croppedHeightMm * resolution);
-    
-    console.log(`Canvas scaling: ${canvasScaleX.toFixed(2)}x${canvasScaleY.toFixed(2)}`);
-    console.log(`Cropped pixels: ${croppedWidth}x${croppedHeight}`);
-    console.log(`Fabric pixels: ${fabricWidthPixels.toFixed(1)}x${fabricHeightPixels.toFixed(1)}`);
-    console.log(`Final dimensions: ${croppedWidthMm.toFixed(2)}x${croppedHeightMm.toFixed(2)}mm (actual size)`);
-    console.log(`Resampled to: ${samplesWidth}x${samplesHeight} samples (${resolution.toFixed(2)} samples/mm)`);
+    console.log(`Cropped pixels: ${croppedWidth}x${croppedHeight} (${capture.pixelsPerMm.toFixed(2)} px/mm)`);
+    console.log(`Final dimensions: ${croppedWidthMm.toFixed(2)}x${croppedHeightMm.toFixed(2)}mm at X${originXMm.toFixed(2)} Y${originYMm.toFixed(2)}`);
     console.log(`Performance mode: ${LASER_CONFIG.qualityMode} (${LASER_CONFIG.qualityMode === 'ultra' ? 'bilinear' : 'nearest-neighbor'} sampling)`);
     
-    // Pre-analyze empty rows for super-fast skipping (performance optimization)
-    var nonEmptyRows = [];
-    var emptyRowCount = 0;
+    var image = {
+        data: croppedData,
+        width: croppedWidth,
+        height: croppedHeight
+    };
+    
+    // Rotate the sample grid to each pass's scan angle; the grid covers the content's
+    // bounding box in the rotated frame (the plain grid at 0 degrees)
+    var passes = createRasterPasses({
+        widthMm: croppedWidthMm,
+        heightMm: croppedHeightMm,
+        originXMm: originXMm,
+        originYMm: originYMm,
+        workspaceWidthMm: WORKSPACE_CONFIG.width,
+        workspaceHeightMm: WORKSPACE_CONFIG.height,
+        sampleSpacing: sampleSpacing,
+        resolution: resolution
+    });
     
-    callback(null, 30, 'Pré-analyse des lignes...', 'Optimisation des performances');
+    passes.forEach(function(layout) {
+        console.log(`Pass ${layout.passNumber}/${layout.passCount}: ${layout.samplesWidth}x${layout.samplesHeight} samples (${resolution.toFixed(2)} samples/mm) at ${layout.scanAngle} deg, ${LASER_CONFIG.scanMode}, ${Math.round(layout.powerFraction * 100)}% power`);
+    });
     
-    setTimeout(function() {
-        if (gcodeGenerationCancelled) return;
+    runRasterJob(job, image, passes, callback);
+}
+
+/**
+ * Run the raster engine in the G-code worker, falling back to the main thread
+ * when workers are unavailable (e.g. page opened from file://)
+ * @param {Object} job - Active G-code job handle
+ * @param {Object} image - Cropped image {data, width, height}
+ * @param {Array} passes - Pass layouts (see createRasterPasses)
+ * @param {Function} callback - Progress/result callback
+ */
+function runRasterJob(job, image, passes, callback) {
+    var worker;
+    
+    try {
+        worker = new Worker('js/gcode-worker.js');
+    } catch (error) {
+        console.warn('G-code worker unavailable, generating on the main thread:', error);
+        runRasterJobOnMainThread(job, image, passes, callback);
+        return;
+    }
+    
+    job.worker = worker;
+    
+    worker.onmessage = function(event) {
+        var message = event.data;
+        if (job.cancelled) return;
         
-        // Quick scan for content rows with improved detection
-        for (var sampleY = 0; sampleY < samplesHeight; sampleY++) {
-            var hasContent = false;
-            
-            // Improved content detection: Sample every 2nd pixel instead of every 4th
-            // This significantly reduces the chance of missing thin black lines or small dark areas
-            var sampleStep = Math.max(1, Math.floor(samplesWidth / 50)); // Adaptive sampling based on width
-            
-            for (var sampleX = 0; sampleX < samplesWidth; sampleX += sampleStep) {
-                var sourceX = (sampleX / samplesWidth) * croppedWidth;
-                var sourceY = (sampleY / samplesHeight) * croppedHeight;
-                
-                var pixel = getFastPixel(croppedData, croppedWidth, croppedHeight, sourceX, sourceY);
-                var grayscale = Math.round(0.299 * pixel.r + 0.587 * pixel.g + 0.114 * pixel.b);
-                
-                if (grayscaleToLaserPower(grayscale) > 0) {
-                    hasContent = true;
-                    break;
-                }
-            }
-            
-            // Additional check for very thin features: Sample at different offsets
-            if (!hasContent && samplesWidth > 20) {
-                var offset = Math.floor(sampleStep / 2);
-                for (var sampleX = offset; sampleX < samplesWidth; sampleX += sampleStep) {
-                    var sourceX = (sampleX / samplesWidth) * croppedWidth;
-                    var sourceY = (sampleY / samplesHeight) * croppedHeight;
-                    
-                    var pixel = getFastPixel(croppedData, croppedWidth, croppedHeight, sourceX, sourceY);
-                    var grayscale = Math.round(0.299 * pixel.r + 0.587 * pixel.g + 0.114 * pixel.b);
-                    
-                    if (grayscaleToLaserPower(grayscale) > 0) {
-                        hasContent = true;
-                        break;
-                    }
-                }
-            }
-            
-            if (hasContent) {
-                nonEmptyRows.push(sampleY);
-            } else {
-                emptyRowCount++;
-            }
+        if (message.type === 'chunk') {
+            writeGcodeChunk(job.writer, message.text, message.lineCount);
+        } else if (message.type === 'drain') {
+            // Let the worker generate the next batch once the file has caught up
+            waitForGcodeWriter(job.writer).then(function() {
+                if (job.worker === worker) worker.postMessage({ type: 'continue' });
+            });
+        } else if (message.type === 'progress') {
+            callback(false, message.percent, message.message, message.details);
+        } else if (message.type === 'done') {
+            worker.terminate();
+            job.worker = null;
+            callback(true);
+        } else if (message.type === 'error') {
+            worker.terminate();
+            job.worker = null;
+            failGcodeGeneration(job, message.message);
         }
+    };
+    
+    worker.onerror = function(event) {
+        // Script failed to load: the pixels were copied, not transferred, so retry on the page
+        event.preventDefault();
+        worker.terminate();
+        job.worker = null;
+        if (job.cancelled) return;
         
-        console.log(`Performance optimization: ${emptyRowCount} empty rows skipped, ${nonEmptyRows.length} content rows to process`);
-        
-        // Generate G-code header
-        var gcode = [];
-        gcode.push('; Quality raster engraving: ' + croppedWidthMm.toFixed(2) + 'x' + croppedHeightMm.toFixed(2) + 'mm');
-        gcode.push('; Physical size: ' + croppedWidthMm.toFixed(2) + 'x' + croppedHeightMm.toFixed(2) + 'mm (workspace scale)');
-        gcode.push('; Sampling: ' + resolution.toFixed(2) + ' samples/mm (' + sampleSpacing.toFixed(3) + 'mm spacing)');
-        gcode.push('; Resampled: ' + samplesWidth + 'x' + samplesHeight + ' samples from ' + croppedWidth + 'x' + croppedHeight + ' pixels');
-        gcode.push('; Speed: ' + LASER_CONFIG.speed + ' mm/min, Max Power: ' + LASER_CONFIG.power + '/' + LASER_CONFIG.maxPower);
-        gcode.push('; Quality Mode: ' + LASER_CONFIG.qualityMode + ', Stabilization: ' + LASER_CONFIG.powerStabilizationDelay + 'ms');
-        gcode.push('; Performance: ' + emptyRowCount + ' empty rows skipped, ' + (LASER_CONFIG.qualityMode === 'ultra' ? 'bilinear' : 'nearest-neighbor') + ' sampling');
-        gcode.push('; Bidirectional scanning: ENABLED (zigzag pattern - optimized movement)');
-        gcode.push('; Movement optimization: Direct positioning to first engrave point per row');
-        gcode.push('; White space fix: Improved content detection and conservative gap skipping');
-        gcode.push('; Scan pattern: Row 0,2,4... = Left-to-Right, Row 1,3,5... = Right-to-Left');
-        gcode.push('');
-        
-        var currentLaserPower = 0;
-        var totalRows = nonEmptyRows.length; // Only count non-empty rows
-        var processedRows = 0;
-        
-        callback(null, 40, 'Génération optimisée...', `0/${totalRows} lignes avec contenu`);
-        
-        // Process only non-empty rows for much better performance
-        processOptimizedRowsAsync(gcode, croppedData, croppedWidth, croppedHeight, samplesWidth, samplesHeight, 
-                                 sampleSpacing, resolution, currentLaserPower, processedRows, nonEmptyRows, gridElements, callback);
-    }, 50);
+        console.warn('G-code worker failed, generating on the main thread:', event.message);
+        runRasterJobOnMainThread(job, image, passes, callback);
+    };
+    
+    // Copy the settings as they are now; later UI changes must not affect this export
+    worker.postMessage({
+        config: JSON.parse(JSON.stringify(LASER_CONFIG)),
+        image: image,
+        passes: passes
+    });
 }
 
 /**
- * Process rows asynchronously with yield points (PERFORMANCE OPTIMIZED)
+ * Run the raster engine on the page in batches with yield points
+ * @param {Object} job - Active G-code job handle
+ * @param {Object} image - Cropped image {data, width, height}
+ * @param {Array} passes - Pass layouts (see createRasterPasses)
+ * @param {Function} callback - Progress/result callback
  */
-function processRowsAsync(gcode, croppedData, croppedWidth, croppedHeight, samplesWidth, samplesHeight, 
-                         sampleSpacing, resolution, currentLaserPower, processedRows, totalRows, gridElements, callback) {
-    
-    // Dynamic batch size based on quality mode for better performance
-    var BATCH_SIZE = LASER_CONFIG.qualityMode === 'fast' ? 20 : 
-                     LASER_CONFIG.qualityMode === 'balanced' ? 10 : 
-                     LASER_CONFIG.qualityMode === 'quality' ? 5 : 3; // ultra quality
+function runRasterJobOnMainThread(job, image, passes, callback) {
+    var passIndex = 0;
+    var rasterJob = null;
     
     // For ultra quality, use smaller batches but better interpolation
     var yieldTime = LASER_CONFIG.qualityMode === 'fast' ? 5 : 10;
     
-    var startRow = totalRows - 1 - processedRows;
-    var endRow = Math.max(startRow - BATCH_SIZE + 1, 0);
-    
-    // Pre-compute row data for entire batch to optimize processing
-    var batchRowData = [];
+    function getPassLabel() {
+        return passes.length > 1 ? ' (passe ' + (passIndex + 1) + '/' + passes.length + ')' : '';
+    }
     
-    for (var sampleY = startRow; sampleY >= endRow; sampleY--) {
-        if (gcodeGenerationCancelled) return;
-        
-        var yPosMm = (samplesHeight - 1 - sampleY) * sampleSpacing;
-        var isRightToLeft = (processedRows % 2 === 1);
-        var rowData = [];
-        var rowHasContent = false;
+    function finishPass() {
+        writeGcodeLines(job.writer, getRasterPassFooter(passes[passIndex]));
+        passIndex++;
         
-        // Fast pre-scan the row using optimized sampling
-        for (var sampleX = 0; sampleX < samplesWidth; sampleX++) {
-            var sourceX = (sampleX / samplesWidth) * croppedWidth;
-            var sourceY = (sampleY / samplesHeight) * croppedHeight;
-            
-            // Use optimized pixel sampling
-            var pixel = getInterpolatedPixel(croppedData, croppedWidth, croppedHeight, sourceX, sourceY);
-            var grayscale = Math.round(0.299 * pixel.r + 0.587 * pixel.g + 0.114 * pixel.b);
-            var laserPower = grayscaleToLaserPower(grayscale);
-            
-            rowData.push({
-                x: sampleX,
-                power: laserPower,
-                grayscale: grayscale
-            });
-            
-            if (laserPower > 0) {
-                rowHasContent = true;
-            }
-        }
-        
-        if (rowHasContent) {
-            // Reverse row data for right-to-left scanning
-            if (isRightToLeft) {
-                rowData.reverse();
-                for (var r = 0; r < rowData.length; r++) {
-                    rowData[r].x = samplesWidth - 1 - rowData[r].x;
-                }
-            }
-            
-            batchRowData.push({
-                yPosMm: yPosMm,
-                isRightToLeft: isRightToLeft,
-                rowData: rowData,
-                rowNumber: processedRows
-            });
+        if (passIndex < passes.length) {
+            setTimeout(startPass, yieldTime);
+        } else {
+            callback(true);
         }
-        
-        processedRows++;
     }
     
-    // Process the batch row data into G-code
-    for (var b = 0; b < batchRowData.length; b++) {
-        var batchRow = batchRowData[b];
+    function processNextBatch() {
+        if (job.cancelled) return;
         
-        // OPTIMIZED: Find first engraving position and move directly there
-        var scanDirection = batchRow.isRightToLeft ? 'R-L' : 'L-R';
-        
-        // Find the first pixel that needs engraving in this row
-        var firstEngravingX = -1;
-        for (var i = 0; i < batchRow.rowData.length; i++) {
-            if (batchRow.rowData[i].power > 0) {
-                firstEngravingX = batchRow.rowData[i].x * sampleSpacing;
-                break;
-            }
+        try {
+            writeGcodeLines(job.writer, processOptimizedRowsBatch(rasterJob));
+        } catch (error) {
+            failGcodeGeneration(job, error.message);
+            return;
         }
         
-        // Move directly to the first engraving position (or skip row if no engraving needed)
-        if (firstEngravingX >= 0) {
-            gcode.push('G0 X' + firstEngravingX.toFixed(3) + ' Y' + batchRow.yPosMm.toFixed(3) + ' F' + LASER_CONFIG.travelRate + 
-                      ' ; Row ' + batchRow.rowNumber + ' ' + scanDirection + ' - Direct to first engrave');
+        var totalRows = rasterJob.nonEmptyRows.length;
+        var progress = Math.round((rasterJob.processedRows / totalRows) * 100);
+        callback(false, 40 + ((passIndex + progress / 100) / passes.length) * 50, 'Optimisation...' + getPassLabel(), `${rasterJob.processedRows}/${totalRows} lignes avec contenu (${progress}%)`);
+        
+        if (isRasterJobComplete(rasterJob)) {
+            finishPass();
         } else {
-            // Row has no engraving content, just move Y (shouldn't happen with optimized processing)
-            gcode.push('G0 Y' + batchRow.yPosMm.toFixed(3) + ' F' + LASER_CONFIG.travelRate + ' ; Row ' + batchRow.rowNumber + ' - No content');
+            // Continue with next batch with optimized yield time, once the file has caught up
+            waitForGcodeWriter(job.writer).then(function() {
+                setTimeout(processNextBatch, yieldTime);
+            });
         }
+    }
+    
+    function startPass() {
+        if (job.cancelled) return;
         
-        // Process pixels in this row with improved gap skipping
-        var isLaserOn = false;
-        // More conservative gap skipping to avoid missing content
-        // Reduced threshold to be less aggressive, especially for high precision
-        var skipThreshold = Math.max(3, Math.ceil(1.5 * resolution)); // More conservative threshold
+        rasterJob = createRasterJob(image, passes[passIndex]);
         
-        for (var i = 0; i < batchRow.rowData.length; i++) {
-            var sample = batchRow.rowData[i];
-            var xPosMm = sample.x * sampleSpacing;
-            
-            if (sample.power > 0) {
-                var powerCommands = generateQualityPowerChange(sample.power, currentLaserPower, xPosMm);
-                gcode = gcode.concat(powerCommands);
-                currentLaserPower = sample.power;
-                isLaserOn = true;
-                gcode.push('G1 X' + xPosMm.toFixed(3) + ' ; Engrave');
-            } else {
-                if (isLaserOn) {
-                    var offCommands = generateQualityPowerChange(0, currentLaserPower);
-                    gcode = gcode.concat(offCommands);
-                    currentLaserPower = 0;
-                    isLaserOn = false;
-                }
-                
-                // Optimized gap skipping - look ahead for content
-                var nextContentIndex = -1;
-                for (var j = i + 1; j < batchRow.rowData.length; j++) {
-                    if (batchRow.rowData[j].power > 0) {
-                        nextContentIndex = j;
-                        break;
-                    }
-                }
-                
-                if (nextContentIndex > -1 && nextContentIndex - i > skipThreshold) {
-                    var nextXPosMm = batchRow.rowData[nextContentIndex].x * sampleSpacing;
-                    gcode.push('G0 X' + nextXPosMm.toFixed(3) + ' F' + LASER_CONFIG.travelRate + ' ; Skip gap');
-                    i = nextContentIndex - 1; // -1 because loop will increment
-                }
-            }
+        try {
+            writeGcodeLines(job.writer, getRasterPassHeader(passes[passIndex]));
+            writeGcodeLines(job.writer, analyzeRasterRows(rasterJob));
+        } catch (error) {
+            failGcodeGeneration(job, error.message);
+            return;
         }
         
-        // Ensure laser is off at end of row
-        if (isLaserOn) {
-            var endCommands = generateQualityPowerChange(0, currentLaserPower);
-            gcode = gcode.concat(endCommands);
-            currentLaserPower = 0;
-        }
+        var totalRows = rasterJob.nonEmptyRows.length;
+        callback(false, 40 + (passIndex / passes.length) * 50, 'Génération optimisée...' + getPassLabel(), `0/${totalRows} lignes avec contenu`);
         
-        // Add progress markers for user feedback
-        if (batchRow.rowNumber % 10 === 0) {
-            var progress = Math.round((batchRow.rowNumber / totalRows) * 100);
-            gcode.push('; Progress: ' + progress + '% (' + batchRow.rowNumber + '/' + totalRows + ' rows)');
+        if (isRasterJobComplete(rasterJob)) {
+            finishPass();
+        } else {
+            setTimeout(processNextBatch, yieldTime);
         }
     }
     
-    // Update progress
-    var progress = Math.round((processedRows / totalRows) * 100);
-    callback(null, 40 + (progress * 0.5), 'Traitement...', `${processedRows}/${totalRows} lignes (${progress}%)`);
-    
-    if (processedRows < totalRows) {
-        // Continue with next batch with optimized yield time
-        setTimeout(function() {
-            if (gcodeGenerationCancelled) return;
-            processRowsAsync(gcode, croppedData, croppedWidth, croppedHeight, samplesWidth, samplesHeight, 
-                           sampleSpacing, resolution, currentLaserPower, processedRows, totalRows, gridElements, callback);
-        }, yieldTime); // Optimized yield time based on quality mode
-    } else {
-        // Processing complete - restore grid and return result
-        console.log('Restoring', gridElements.length, 'grid elements');
-        gridElements.forEach(function(obj) {
-            canvas.add(obj);
-        });
-        canvas.renderAll();
-        
-        callback(gcode.join('\n'));
-    }
+    callback(false, 30, 'Pré-analyse des lignes...', 'Optimisation des performances');
+    setTimeout(startPass, 50);
 }
 
 /**
- * Process only non-empty rows asynchronously with yield points (PERFORMANCE OPTIMIZED)
- * This function processes only pre-analyzed rows that contain content, skipping completely empty rows
+ * Get the laser mode of a canvas object (key of LASER_OBJECT_MODES)
+ * @param {fabric.Object} obj - Canvas object
+ * @returns {string} 'raster', 'cut' or 'score'
  */
-function processOptimizedRowsAsync(gcode, croppedData, croppedWidth, croppedHeight, samplesWidth, samplesHeight, 
-                                  sampleSpacing, resolution, currentLaserPower, processedRows, nonEmptyRows, gridElements, callback) {
-    
-    // Dynamic batch size based on quality mode for better performance
-    var BATCH_SIZE = LASER_CONFIG.qualityMode === 'fast' ? 20 : 
-                     LASER_CONFIG.qualityMode === 'balanced' ? 10 : 
-                     LASER_CONFIG.qualityMode === 'quality' ? 5 : 3; // ultra quality
-    
-    // For ultra quality, use smaller batches but better interpolation
-    var yieldTime = LASER_CONFIG.qualityMode === 'fast' ? 5 : 10;
-    var totalRows = nonEmptyRows.length;
-    
-    var startIndex = processedRows;
-    var endIndex = Math.min(startIndex + BATCH_SIZE, totalRows);
+function getObjectLaserMode(obj) {
+    var mode = LASER_OBJECT_MODES.hasOwnProperty(obj.laserMode) ? LASER_OBJECT_MODES[obj.laserMode] : null;
+    if (!mode || (mode.types && mode.types.indexOf(obj.type) === -1)) return 'raster';
+    return obj.laserMode;
+}
+
+/**
+ * Get the speed and power used to trace a canvas object
+ * Cut, score and fill objects use their own settings (falling back to the mode
+ * defaults), anything else the job speed and power.
+ * @param {fabric.Object} obj - Canvas object
+ * @returns {Object} Settings {mode, speed (mm/min), power (0-255)}, plus for fill
+ *                   objects {spacing (mm), angle (degrees), crossHatch, fillRule}
+ *                   and for cut objects {kerfSide}
+ */
+function getObjectLaserSettings(obj) {
+    var mode = getObjectLaserMode(obj);
+    var defaults = LASER_OBJECT_MODES[mode];
     
-    // Pre-compute row data for entire batch to optimize processing
-    var batchRowData = [];
+    if (mode === 'raster') {
+        return { mode: mode, speed: LASER_CONFIG.speed, power: LASER_CONFIG.power };
+    }
+    var settings = {
+        mode: mode,
+        speed: obj.laserSpeed > 0 ? obj.laserSpeed : defaults.speed,
+        power: obj.laserPower >= 0 ? Math.min(obj.laserPower, LASER_CONFIG.maxPower) : defaults.power
+    };
     
-    for (var i = startIndex; i < endIndex; i++) {
-        if (gcodeGenerationCancelled) return;
-        
-        var sampleY = nonEmptyRows[i];  // Get the actual row index from non-empty rows array
-        var yPosMm = (samplesHeight - 1 - sampleY) * sampleSpacing;
-        var isRightToLeft = (i % 2 === 1);  // Use processed row count for bidirectional pattern
-        var rowData = [];
-        var rowHasContent = false;
-        
-        // Process all pixels in this row (we know it has content)
-        for (var sampleX = 0; sampleX < samplesWidth; sampleX++) {
-            var sourceX = (sampleX / samplesWidth) * croppedWidth;
-            var sourceY = (sampleY / samplesHeight) * croppedHeight;
-            
-            // Use optimized pixel sampling based on quality mode
-            var pixel;
-            if (LASER_CONFIG.qualityMode === 'ultra') {
-                pixel = getInterpolatedPixel(croppedData, croppedWidth, croppedHeight, sourceX, sourceY);
-            } else {
-                pixel = getFastPixel(croppedData, croppedWidth, croppedHeight, sourceX, sourceY);
-            }
-            
-            var grayscale = Math.round(0.299 * pixel.r + 0.587 * pixel.g + 0.114 * pixel.b);
-            var laserPower = grayscaleToLaserPower(grayscale);
-            
-            rowData.push({
-                x: sampleX,
-                power: laserPower,
-                grayscale: grayscale
-            });
-            
-            if (laserPower > 0) {
-                rowHasContent = true;
-            }
-        }
+    if (mode === 'fill') {
+        settings.spacing = obj.hatchSpacing > 0 ? obj.hatchSpacing : defaults.hatchSpacing;
+        settings.angle = typeof obj.hatchAngle === 'number' ? obj.hatchAngle : defaults.hatchAngle;
+        settings.crossHatch = typeof obj.hatchCrossHatch === 'boolean' ? obj.hatchCrossHatch : defaults.hatchCrossHatch;
+        settings.fillRule = obj.fillRule === 'evenodd' ? 'evenodd' : 'nonzero';
+    }
+    if (mode === 'cut') {
+        settings.kerfSide = KERF_SIDES.hasOwnProperty(obj.kerfSide) ? obj.kerfSide : defaults.kerfSide;
+    }
+    return settings;
+}
+
+/**
+ * Check whether a canvas object is exported as vector outlines instead of pixels
+ * @param {fabric.Object} obj - Canvas object
+ * @returns {boolean} True for vector objects
+ */
+function isVectorExportObject(obj) {
+    if (obj.excludeFromExport || VECTOR_OBJECT_TYPES.indexOf(obj.type) === -1) return false;
+    if (getObjectLaserMode(obj) !== 'raster') return true;
+    return obj.type === 'text' && LASER_CONFIG.textMode === 'vector';
+}
+
+/**
+ * Convert a canvas point (pixels) to workspace millimeters (origin bottom-left, Y up)
+ * @param {Object} point - Canvas point {x, y}
+ * @returns {Object} Workspace point {x, y} in mm
+ */
+function canvasPointToWorkspaceMm(point) {
+    var area = WORKSPACE_CONFIG.usableArea;
+    return {
+        x: WORKSPACE_CONFIG.pixelsToMm(point.x - area.offsetX),
+        y: WORKSPACE_CONFIG.height - WORKSPACE_CONFIG.pixelsToMm(point.y - area.offsetY)
+    };
+}
+
+/**
+ * Convert workspace millimeters (origin bottom-left, Y up) to a canvas point (pixels)
+ * @param {Object} point - Workspace point {x, y} in mm
+ * @returns {Object} Canvas point {x, y}
+ */
+function workspaceMmToCanvasPoint(point) {
+    var area = WORKSPACE_CONFIG.usableArea;
+    return {
+        x: area.offsetX + WORKSPACE_CONFIG.mmToPixels(point.x),
+        y: area.offsetY + WORKSPACE_CONFIG.mmToPixels(WORKSPACE_CONFIG.height - point.y)
+    };
+}
+
+/**
+ * Lay out the glyph outlines of a text object in its local coordinates
+ * Follows fabric.Text's own line layout (alignment, line height, baseline) so the
+ * outlines land where the text is drawn on the canvas.
+ * @param {fabric.Text} textObj - Text object
+ * @param {opentype.Font} font - Parsed font of the text
+ * @returns {Array} Path commands in object pixels (origin at the object center)
+ */
+function getTextOutlineCommands(textObj, font) {
+    var commands = [];
+    var left = -textObj.width / 2;
+    var top = -textObj.height / 2;
+    var lineTop = 0;
+    var letterSpacing = (textObj.charSpacing || 0) / 1000;
+    
+    for (var i = 0; i < textObj.textLines.length; i++) {
+        var heightOfLine = textObj.getHeightOfLine(i);
+        var maxHeight = heightOfLine / textObj.lineHeight;
+        var baseline = top + lineTop + maxHeight * (1 - textObj._fontSizeFraction);
+        var x = left + textObj._getLineLeftOffset(i);
         
-        if (rowHasContent) {
-            // Reverse row data for right-to-left scanning (bidirectional)
-            if (isRightToLeft) {
-                rowData.reverse();
-                for (var r = 0; r < rowData.length; r++) {
-                    rowData[r].x = samplesWidth - 1 - rowData[r].x;
-                }
-            }
-            
-            batchRowData.push({
-                yPosMm: yPosMm,
-                isRightToLeft: isRightToLeft,
-                rowData: rowData,
-                rowNumber: i,
-                actualRowIndex: sampleY
-            });
-        }
+        var path = font.getPath(textObj.textLines[i], x, baseline, textObj.fontSize, {
+            kerning: true,
+            letterSpacing: letterSpacing
+        });
+        Array.prototype.push.apply(commands, path.commands);
+        lineTop += heightOfLine;
     }
     
-    // Process the batch row data into G-code
-    for (var b = 0; b < batchRowData.length; b++) {
-        var batchRow = batchRowData[b];
+    return commands;
+}
+
+/**
+ * Get the outline of a rectangle, circle, line or free-drawn path in its local coordinates
+ * @param {fabric.Object} obj - Shape object
+ * @returns {Array} Path commands in object pixels (origin at the object center)
+ */
+function getShapeOutlineCommands(obj) {
+    switch (obj.type) {
+        case 'rect':
+            return getRectPathCommands(obj.width, obj.height, obj.rx, obj.ry);
+        case 'circle':
+            return getEllipsePathCommands(obj.radius, obj.radius, obj.startAngle || 0, obj.endAngle === undefined ? 360 : obj.endAngle);
+        case 'line':
+            var points = obj.calcLinePoints();
+            return [
+                { type: 'M', x: points.x1, y: points.y1 },
+                { type: 'L', x: points.x2, y: points.y2 }
+            ];
+        case 'path':
+            return convertFabricPathCommands(obj.path, obj.pathOffset.x, obj.pathOffset.y);
+        default:
+            return [];
+    }
+}
+
+/**
+ * Get the outline of a vector object in its local coordinates
+ * @param {fabric.Object} obj - Vector object
+ * @returns {Promise<Array>} Path commands in object pixels
+ */
+function getObjectOutlineCommands(obj) {
+    if (obj.type === 'text') {
+        return loadGlyphFont(obj.fontFamily, obj.fontWeight).then(function(font) {
+            return getTextOutlineCommands(obj, font);
+        });
+    }
+    return Promise.resolve(getShapeOutlineCommands(obj));
+}
+
+/**
+ * Get the label of a vector object used in error messages
+ * @param {fabric.Object} obj - Vector object
+ * @returns {string} Label, e.g. 'Texte "Hello"'
+ */
+function getVectorObjectLabel(obj) {
+    if (obj.type === 'text') {
+        return 'Texte "' + obj.text + '"';
+    }
+    return getObjectTypeInfo(obj).label;
+}
+
+/**
+ * Describe a vector object for G-code comments
+ * @param {fabric.Object} obj - Vector object
+ * @param {Object} settings - Laser settings of the object
+ * @returns {string} Description, e.g. 'rect (cut)' or 'text "Hello" (fill)'
+ */
+function describeVectorObject(obj, settings) {
+    var mode = settings.mode === 'raster' ? 'engrave' : settings.mode;
+    if (obj.type === 'text') {
+        return 'text "' + obj.text.replace(/\n/g, ' / ') + '" (' + mode + ')';
+    }
+    return obj.type + ' (' + mode + ')';
+}
+
+/**
+ * Build the hatch fill toolpaths of flattened outlines, one per hatch angle
+ * @param {Array} polylines - Outline polylines in workspace mm
+ * @param {Object} settings - Fill settings (see getObjectLaserSettings)
+ * @param {string} description - Object description for G-code comments
+ * @returns {Array} Hatch toolpaths
+ */
+function buildHatchToolpaths(polylines, settings, description) {
+    var angles = settings.crossHatch ? [settings.angle, settings.angle + 90] : [settings.angle];
+    var toolpaths = [];
+    
+    angles.forEach(function(angle) {
+        var segments = generateHatchLines(polylines, {
+            spacing: settings.spacing,
+            angle: angle,
+            fillRule: settings.fillRule
+        });
+        if (segments.length === 0) return;
         
-        // OPTIMIZED: Find first engraving position and move directly there
-        var scanDirection = batchRow.isRightToLeft ? 'R-L' : 'L-R';
+        toolpaths.push(createToolpath('hatch', segments, settings,
+            description + ', ' + segments.length + ' hatch lines at ' + normalizeScanAngle(angle) + ' deg'));
+    });
+    
+    return toolpaths;
+}
+
+/**
+ * Get the tolerance used to flatten vector outlines
+ * With arc fitting, segment midpoints must stay within the arc tolerance of the
+ * curve, so the outline is flattened to at most half of it.
+ * @returns {number} Maximum deviation in mm
+ */
+function getVectorFlatteningTolerance() {
+    return LASER_CONFIG.arcSupport ?
+        Math.min(LASER_CONFIG.vectorTolerance, LASER_CONFIG.arcTolerance / 2) :
+        LASER_CONFIG.vectorTolerance;
+}
+
+/**
+ * Build the toolpaths tracing or filling a vector object
+ * The outline is placed with the object's position, scale and rotation and
+ * flattened to getVectorFlatteningTolerance(); every contour becomes its own toolpath
+ * (or the contours are hatched, in fill mode) at the object's speed and power.
+ * @param {fabric.Object} obj - Vector object (text, rectangle, circle, line or path)
+ * @returns {Promise<Object>} Result {comments: G-code comment lines, toolpaths}
+ */
+function buildVectorObjectToolpaths(obj) {
+    var settings = getObjectLaserSettings(obj);
+    var description = describeVectorObject(obj, settings);
+    
+    return getObjectOutlineCommands(obj).then(function(localCommands) {
+        var matrix = obj.calcTransformMatrix();
+        var commands = transformPathCommands(localCommands, function(point) {
+            return canvasPointToWorkspaceMm(fabric.util.transformPoint(new fabric.Point(point.x, point.y), matrix));
+        });
+        var tolerance = getVectorFlatteningTolerance();
+        var polylines = flattenPathCommands(commands, tolerance);
+        var length = polylines.reduce(function(total, polyline) {
+            return total + getPolylineLength(polyline.points);
+        }, 0);
         
-        // Find the first pixel that needs engraving in this row
-        var firstEngravingX = -1;
-        for (var i = 0; i < batchRow.rowData.length; i++) {
-            if (batchRow.rowData[i].power > 0) {
-                firstEngravingX = batchRow.rowData[i].x * sampleSpacing;
-                break;
-            }
+        var comments = [];
+        comments.push('; Vector ' + description);
+        if (obj.type === 'text') {
+            comments.push(';   Font: ' + obj.fontFamily + ', Size: ' + WORKSPACE_CONFIG.pixelsToMm(obj.fontSize * obj.scaleY).toFixed(1) + 'mm');
         }
-        
-        // Move directly to the first engraving position (or skip row if no engraving needed)
-        if (firstEngravingX >= 0) {
-            gcode.push('G0 X' + firstEngravingX.toFixed(3) + ' Y' + batchRow.yPosMm.toFixed(3) + ' F' + LASER_CONFIG.travelRate + 
-                      ' ; Row ' + batchRow.actualRowIndex + ' (' + batchRow.rowNumber + '/' + totalRows + ') ' + scanDirection + ' - Direct to first engrave');
-        } else {
-            // Row has no engraving content, just move Y (shouldn't happen with optimized processing)
-            gcode.push('G0 Y' + batchRow.yPosMm.toFixed(3) + ' F' + LASER_CONFIG.travelRate + ' ; Row ' + batchRow.actualRowIndex + ' - No content');
+        comments.push(';   Outlines: ' + polylines.length + ' contours, ' + length.toFixed(1) + 'mm, curves flattened to ' + tolerance + 'mm');
+        comments.push(';   Speed: ' + settings.speed + ' mm/min, Power: ' + settings.power + '/' + LASER_CONFIG.maxPower);
+        if (settings.mode === 'fill') {
+            comments.push(';   Hatch: spacing ' + settings.spacing + 'mm, angle ' + settings.angle + ' deg' +
+                          (settings.crossHatch ? ' + crosshatch' : '') + ', ' + settings.fillRule + ' fill rule');
+            return { comments: comments, toolpaths: buildHatchToolpaths(polylines, settings, description) };
         }
         
-        // Process pixels in this row with improved gap skipping
-        var isLaserOn = false;
-        // More conservative gap skipping to avoid missing content
-        // Reduced threshold to be less aggressive, especially for high precision
-        var skipThreshold = Math.max(3, Math.ceil(1.5 * resolution)); // More conservative threshold
-        
-        for (var i = 0; i < batchRow.rowData.length; i++) {
-            var sample = batchRow.rowData[i];
-            var xPosMm = sample.x * sampleSpacing;
-            
-            if (sample.power > 0) {
-                // Turn laser on with optimized power commands
-                var powerCommands = generateQualityPowerChange(sample.power, currentLaserPower, xPosMm);
-                gcode = gcode.concat(powerCommands);
-                currentLaserPower = sample.power;
-                isLaserOn = true;
-                gcode.push('G1 X' + xPosMm.toFixed(3) + ' ; Engrave');
-            } else {
-                if (isLaserOn) {
-                    var offCommands = generateQualityPowerChange(0, currentLaserPower);
-                    gcode = gcode.concat(offCommands);
-                    currentLaserPower = 0;
-                    isLaserOn = false;
-                }
-                
-                // Optimized gap skipping - look ahead for content
-                var nextContentIndex = -1;
-                for (var j = i + 1; j < batchRow.rowData.length; j++) {
-                    if (batchRow.rowData[j].power > 0) {
-                        nextContentIndex = j;
-                        break;
-                    }
-                }
-                
-                if (nextContentIndex > -1 && nextContentIndex - i > skipThreshold) {
-                    var nextXPosMm = batchRow.rowData[nextContentIndex].x * sampleSpacing;
-                    gcode.push('G0 X' + nextXPosMm.toFixed(3) + ' F' + LASER_CONFIG.travelRate + ' ; Skip gap');
-                    i = nextContentIndex - 1; // -1 because loop will increment
-                }
-            }
-        }
-        
-        // Ensure laser is off at end of row
-        if (isLaserOn) {
-            var endCommands = generateQualityPowerChange(0, currentLaserPower);
-            gcode = gcode.concat(endCommands);
-            currentLaserPower = 0;
-        }
-        
-        // Add progress markers for user feedback
-        if (batchRow.rowNumber % 10 === 0) {
-            var progress = Math.round((batchRow.rowNumber / totalRows) * 100);
-            gcode.push('; Progress: ' + progress + '% (' + batchRow.rowNumber + '/' + totalRows + ' content rows)');
-        }
-    }
-    
-    // Update processed row count
-    processedRows = endIndex;
+        return {
+            comments: comments,
+            toolpaths: polylines.map(function(polyline, index) {
+                return createToolpath('outline', [polyline], settings,
+                    description + ', contour ' + (index + 1) + '/' + polylines.length);
+            })
+        };
+    }, function(error) {
+        throw new Error(getVectorObjectLabel(obj) + ' : ' + error.message);
+    });
+}
+
+/**
+ * Offset closed cut contours by half the material kerf
+ * Nesting across all cut contours tells parts from holes: a contour enclosed by an
+ * even number of others bounds material that is kept and grows, one enclosed by an
+ * odd number is a hole and shrinks. Objects cut 'inside' swap the two; open paths
+ * and 'none' objects stay on the line.
+ * @param {Array} toolpaths - Toolpaths in canvas order
+ * @param {number} kerf - Kerf width in mm
+ * @returns {Array} Toolpaths with compensated cut contours
+ */
+function applyKerfCompensation(toolpaths, kerf) {
+    var cuts = toolpaths.filter(function(toolpath) {
+        return toolpath.settings.mode === 'cut';
+    });
+    if (!(kerf > 0) || cuts.length === 0) return toolpaths;
     
-    // Update progress
-    var progress = Math.round((processedRows / totalRows) * 100);
-    callback(null, 40 + (progress * 0.5), 'Optimisation...', `${processedRows}/${totalRows} lignes avec contenu (${progress}%)`);
+    var depths = getCutNestingDepths(cuts);
     
-    if (processedRows < totalRows) {
-        // Continue with next batch with optimized yield time
-        setTimeout(function() {
-            if (gcodeGenerationCancelled) return;
-            processOptimizedRowsAsync(gcode, croppedData, croppedWidth, croppedHeight, samplesWidth, samplesHeight, 
-                                    sampleSpacing, resolution, currentLaserPower, processedRows, nonEmptyRows, gridElements, callback);
-        }, yieldTime); // Optimized yield time based on quality mode
-    } else {
-        // Processing complete - restore grid and return result
-        console.log('Restoring', gridElements.length, 'grid elements');
-        gridElements.forEach(function(obj) {
-            canvas.add(obj);
-        });
-        canvas.renderAll();
+    return toolpaths.map(function(toolpath) {
+        var index = cuts.indexOf(toolpath);
+        var polyline = toolpath.polylines[0];
+        if (index === -1 || !polyline.closed || toolpath.settings.kerfSide === 'none') return toolpath;
         
-        callback(gcode.join('\n'));
-    }
+        var isHole = depths[index] % 2 === 1;
+        var grow = (toolpath.settings.kerfSide === 'inside') === isHole;
+        var distance = (grow ? 1 : -1) * kerf / 2;
+        
+        return createToolpath(toolpath.kind, [{ points: offsetPolygon(polyline.points, distance), closed: true }], toolpath.settings,
+            toolpath.label + ', kerf ' + (distance > 0 ? '+' : '') + distance.toFixed(3) + 'mm');
+    });
 }
 
 /**
- * Process text object and generate G-code for vector engraving
+ * Generate the G-code of ordered toolpaths
+ * @param {Array} toolpaths - Toolpaths in execution order (see optimizeToolpathOrder)
+ * @returns {Array} G-code lines
  */
-function processTextToGcode(textObj) {
-    console.log('Processing text for laser engraving...');
-    
-    var bounds = textObj.getBoundingRect();
-    var xOffsetMm = WORKSPACE_CONFIG.pixelsToMm(bounds.left - WORKSPACE_CONFIG.usableArea.offsetX);
-    var yOffsetMm = WORKSPACE_CONFIG.pixelsToMm(bounds.top - WORKSPACE_CONFIG.usableArea.offsetY);
-    var widthMm = WORKSPACE_CONFIG.pixelsToMm(bounds.width);
-    var heightMm = WORKSPACE_CONFIG.pixelsToMm(bounds.height);
-    
+function generateToolpathsGcode(toolpaths) {
     var gcode = [];
-    gcode.push('; Vector text engraving: "' + textObj.text + '"');
-    gcode.push('; Font: ' + textObj.fontFamily + ', Size: ' + WORKSPACE_CONFIG.pixelsToMm(textObj.fontSize).toFixed(1) + 'mm');
-    gcode.push('; Position: X' + xOffsetMm.toFixed(1) + ' Y' + yOffsetMm.toFixed(1));
-    gcode.push('; Dimensions: ' + widthMm.toFixed(1) + 'x' + heightMm.toFixed(1) + 'mm');
-    gcode.push('');
-    
-    // For text, we'll create a simple outline engraving
-    var laserPower = Math.round(LASER_CONFIG.maxPower * 0.7); // 70% power for text
-    
-    gcode.push('; Text outline engraving');
-    gcode.push('G0 X' + xOffsetMm.toFixed(2) + ' Y' + yOffsetMm.toFixed(2) + ' ; Move to text start');
-    gcode.push('M106 S' + laserPower + ' ; Set laser power to ' + Math.round((laserPower/255)*100) + '%');
-    gcode.push('F' + LASER_CONFIG.feedRate + ' ; Set engraving speed');
     
-    // Create a simple rectangular outline for text (in a real implementation, you'd trace the actual font paths)
-    gcode.push('G1 X' + (xOffsetMm + widthMm).toFixed(2) + ' ; Right edge');
-    gcode.push('G1 Y' + (yOffsetMm + heightMm).toFixed(2) + ' ; Top edge');  
-    gcode.push('G1 X' + xOffsetMm.toFixed(2) + ' ; Left edge');
-    gcode.push('G1 Y' + yOffsetMm.toFixed(2) + ' ; Bottom edge');
+    toolpaths.forEach(function(toolpath, index) {
+        var polylines = getToolpathPolylines(toolpath);
+        
+        gcode.push('; Toolpath ' + (index + 1) + '/' + toolpaths.length + ': ' + toolpath.label + (toolpath.reversed ? ' (reversed)' : ''));
+        if (toolpath.kind === 'hatch') {
+            Array.prototype.push.apply(gcode, generateHatchGcode(polylines, toolpath.settings));
+        } else {
+            Array.prototype.push.apply(gcode, generateVectorPathsGcode(polylines, toolpath.settings));
+        }
+    });
     
-    gcode.push(LASER_CONFIG.laserOff + ' ; Turn off laser');
+    return gcode;
+}
+
+/**
+ * Append the G-code of the job's vector objects
+ * Objects are converted one at a time (fonts may need loading), then all their
+ * toolpaths are reordered together to cut down travel; the travel figures are
+ * kept in job.vectorTravel for the export summary.
+ * @param {Object} job - Active G-code job handle
+ * @returns {Promise} Resolved when all vector objects are written
+ */
+function processVectorObjectsAsync(job) {
+    var objects = job.vectorObjects || [];
+    var comments = [];
+    var toolpaths = [];
+    var sequence = Promise.resolve();
+    
+    objects.forEach(function(obj, index) {
+        sequence = sequence.then(function() {
+            if (job.cancelled) return;
+            
+            updateProgress(85 + (index / objects.length) * 8, 'Tracé vectoriel...', `${index + 1}/${objects.length} objets`);
+            return buildVectorObjectToolpaths(obj).then(function(result) {
+                Array.prototype.push.apply(comments, result.comments);
+                Array.prototype.push.apply(toolpaths, result.toolpaths);
+            });
+        });
+    });
     
-    return gcode.join('\n');
+    return sequence.then(function() {
+        if (job.cancelled || objects.length === 0) return;
+        
+        updateProgress(93, 'Optimisation du parcours...', `${toolpaths.length} tracés`);
+        var result = optimizeToolpathOrder(applyKerfCompensation(toolpaths, LASER_CONFIG.kerf), { x: 0, y: 0 });
+        var saved = result.originalTravel - result.optimizedTravel;
+        job.vectorTravel = result;
+        
+        writeGcodeLines(job.writer, ['', '; === VECTOR OUTLINES ===']);
+        writeGcodeLines(job.writer, comments);
+        writeGcodeLines(job.writer, [
+            '; Toolpath order: ' + result.toolpaths.length + ' toolpaths, engraving first, cuts inner to outer',
+            '; Travel: ' + result.optimizedTravel.toFixed(1) + 'mm (canvas order ' + result.originalTravel.toFixed(1) + 'mm, saved ' + saved.toFixed(1) + 'mm)',
+            LASER_CONFIG.arcSupport ? '; Arc fitting: G2/G3 within ' + LASER_CONFIG.arcTolerance + 'mm' : '; Arc fitting: off (G1 segments only)',
+            '; Kerf compensation: ' + (LASER_CONFIG.kerf > 0 ? LASER_CONFIG.kerf + 'mm kerf, closed cut contours offset by ' + (LASER_CONFIG.kerf / 2) + 'mm' : 'off'),
+            ''
+        ]);
+        writeGcodeLines(job.writer, generateToolpathsGcode(result.toolpaths));
+        writeGcodeLine(job.writer, '');
+    });
 }
 
 /**
- * Export canvas content as G-code for laser engraving (ASYNC with progress)
+ * Check that the canvas can be exported, telling the user why not
+ * @returns {boolean} True when there is content and the machine profile templates are valid
  */
-function downloadGcode() {
+function checkGcodeExportReady() {
     // Check if there's anything on the canvas to export (excluding grid)
     var exportableObjects = canvas.getObjects().filter(function(obj) {
         return !obj.excludeFromExport;
@@ -910,9 +1012,56 @@ function downloadGcode() {
 
     if (exportableObjects.length === 0) {
         alert('Le canevas est vide. Ajoutez des objets avant d\'exporter.');
+        return false;
+    }
+    
+    var templateErrors = validateGcodeTemplates();
+    if (templateErrors.length > 0) {
+        alert('Le G-code de début/fin du profil machine est invalide :\n\n' + templateErrors.join('\n'));
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Export canvas content as G-code for laser engraving (ASYNC with progress)
+ * When the File System Access API is available the user picks the target file first
+ * and the G-code is streamed straight to disk.
+ */
+function downloadGcode() {
+    if (!checkGcodeExportReady()) return;
+
+    var fileName = currentProjectName.replace(/[^a-z0-9]/gi, '_').toLowerCase() + '_canvas.gcode';
+    
+    if (!window.showSaveFilePicker) {
+        startGcodeExport({ fileName: fileName, stream: null });
         return;
     }
+    
+    // The picker must be opened from the click handler (user gesture)
+    window.showSaveFilePicker({
+        suggestedName: fileName,
+        types: [{
+            description: 'G-code',
+            accept: { 'text/plain': ['.gcode', '.gco', '.nc'] }
+        }]
+    }).then(function(handle) {
+        return handle.createWritable().then(function(stream) {
+            startGcodeExport({ fileName: handle.name, stream: stream });
+        });
+    }).catch(function(error) {
+        if (error.name === 'AbortError') return; // Picker dismissed by the user
+        
+        console.warn('File System Access unavailable, falling back to download:', error);
+        startGcodeExport({ fileName: fileName, stream: null });
+    });
+}
 
+/**
+ * Show the progress dialog and start generating G-code
+ * @param {Object} output - Export target {fileName, stream, deliver}; deliver(blob), when set, replaces the download
+ */
+function startGcodeExport(output) {
     console.log('Starting async G-code generation...');
     
     // Show progress modal
@@ -921,7 +1070,7 @@ function downloadGcode() {
     
     // Start async processing
     setTimeout(function() {
-        generateGcodeAsync();
+        generateGcodeAsync(output);
     }, 100);
 }
 
@@ -1025,108 +1174,217 @@ function hideProgressModal() {
     }
 }
 
+/**
+ * Active G-code generation job, null when idle
+ * {cancelled, worker, writer, restoreCanvas}
+ */
+var activeGcodeJob = null;
+
 /**
  * Cancel G-code generation
  */
-var gcodeGenerationCancelled = false;
 function cancelGcodeGeneration() {
-    gcodeGenerationCancelled = true;
+    var job = activeGcodeJob;
+    activeGcodeJob = null;
     hideProgressModal();
+    if (!job) return;
+    
+    job.cancelled = true;
+    if (job.worker) {
+        job.worker.terminate();
+        job.worker = null;
+    }
+    abortGcodeWriter(job.writer);
+    job.restoreCanvas();
     console.log('G-code generation cancelled by user');
 }
 
+/**
+ * Abort G-code generation after an error and tell the user
+ * @param {Object} job - Failed job handle
+ * @param {string} errorMessage - Error description
+ */
+function failGcodeGeneration(job, errorMessage) {
+    job.cancelled = true;
+    if (job.worker) {
+        job.worker.terminate();
+        job.worker = null;
+    }
+    abortGcodeWriter(job.writer);
+    job.restoreCanvas();
+    if (activeGcodeJob === job) {
+        activeGcodeJob = null;
+    }
+    hideProgressModal();
+    console.error('G-code generation failed:', errorMessage);
+    alert('Erreur lors de la génération du G-code :\n' + errorMessage);
+}
+
 /**
  * Async G-code generation with progress feedback
+ * @param {Object} output - Export target {fileName, stream, deliver}
  */
-function generateGcodeAsync() {
-    gcodeGenerationCancelled = false;
+function generateGcodeAsync(output) {
+    var job = {
+        cancelled: false,
+        worker: null,
+        writer: createGcodeWriter(output.stream, createExportPostProcessor()),
+        info: { jobName: currentProjectName, bounds: getExportContentBounds() },
+        restoreCanvas: function() {}
+    };
+    activeGcodeJob = job;
     
     updateProgress(10, 'Préparation du canvas...');
     
     setTimeout(function() {
-        if (gcodeGenerationCancelled) return;
-        
-        var gcode = [];
+        if (job.cancelled) return;
         
         // Add header
-        gcode.push(generateGcodeHeader());
+        writeGcodeLines(job.writer, generateGcodeHeader(job.info).split('\n'));
         updateProgress(20, 'En-tête G-code généré...');
         
         setTimeout(function() {
-            if (gcodeGenerationCancelled) return;
+            if (job.cancelled) return;
             
             // Process the entire canvas as one image
-            gcode.push('; Processing entire canvas as a single image');
+            writeGcodeLine(job.writer, '; Processing entire canvas as a single image');
             updateProgress(30, 'Traitement de l\'image...', 'Extraction et analyse du contenu');
             
+            var headerLineCount = job.writer.lineCount;
+            
             // Process canvas with progress callback
-            processCanvasToGcodeAsync(function(canvasGcode, progress, message) {
-                if (gcodeGenerationCancelled) return;
+            processCanvasToGcodeAsync(job, function(done, progress, message, details) {
+                if (job.cancelled) return;
                 
-                if (progress !== undefined) {
-                    updateProgress(30 + (progress * 0.6), message || 'Génération G-code...');
+                if (!done) {
+                    updateProgress(30 + (progress * 0.6), message || 'Génération G-code...', details);
                     return;
                 }
                 
-                // Processing complete
-                if (canvasGcode && canvasGcode.trim() !== '') {
-                    gcode.push(canvasGcode);
-                } else {
-                    console.log('processCanvasToGcode returned empty G-code');
-                    gcode.push('; Warning: Canvas content resulted in empty G-code.');
-                }
-                gcode.push('');
-                
-                updateProgress(95, 'Finalisation...');
-                
-                setTimeout(function() {
-                    if (gcodeGenerationCancelled) return;
-                    
-                    // Add footer
-                    gcode.push(generateGcodeFooter());
-                    
-                    var finalGcode = gcode.join('\n');
-                    
-                    // Create file and download
-                    var blob = new Blob([finalGcode], { type: 'text/plain' });
-                    var url = URL.createObjectURL(blob);
-                    var a = document.createElement('a');
-                    a.href = url;
-                    a.download = currentProjectName.replace(/[^a-z0-9]/gi, '_').toLowerCase() + '_canvas.gcode';
-                    document.body.appendChild(a);
-                    a.click();
-                    document.body.removeChild(a);
-                    URL.revokeObjectURL(url);
-                    
-                    updateProgress(100, 'Terminé!');
-                    
-                    setTimeout(function() {
-                        hideProgressModal();
-                        
-                        // Show success message
-                        var estimatedTime = Math.round((gcode.length * 0.1) / 60);
-                        alert('G-code généré avec succès!\n\n' +
-                              'Fichier: ' + a.download + '\n\n' +
-                              '🎯 Configuration Simplifiée:\n' +
-                              '• Précision: ' + LASER_CONFIG.precision + ' échantillons/mm (résolution d\'échantillonnage)\n' +
-                              '• Vitesse: ' + LASER_CONFIG.speed + ' mm/min (gravure)\n' +
-                              '• Puissance: ' + Math.round((LASER_CONFIG.power/255)*100) + '% (' + LASER_CONFIG.power + '/255 PWM)\n' +
-                              '• Mode qualité: ' + LASER_CONFIG.qualityMode + '\n' +
-                              '• Délais stabilisation: ' + LASER_CONFIG.powerStabilizationDelay + 'ms\n\n' +
-                              '✅ Taille physique constante: La précision affecte uniquement la résolution\n' +
-                              '✅ Balayage bidirectionnel: Zigzag sans retours X=0\n\n' +
-                              '⚡ Commandes machine:\n' +
-                              '• Laser ON: M106 Sxxx (ventilateur PWM)\n' +
-                              '• Laser OFF: M107\n' +
-                              '• Lignes G-code: ~' + gcode.length + '\n' +
-                              '• Temps estimé: ~' + estimatedTime + ' minutes');
-                    }, 500);
-                }, 100);
+                // Raster done: trace the vector objects, then finish the file
+                processVectorObjectsAsync(job).then(function() {
+                    if (job.cancelled) return;
+                    finishGcodeExport(job, output, headerLineCount);
+                }).catch(function(error) {
+                    failGcodeGeneration(job, error.message);
+                });
             });
         }, 100);
     }, 100);
 }
 
+/**
+ * Write the footer, close the writer and deliver the G-code file
+ * @param {Object} job - Active G-code job handle
+ * @param {Object} output - Export target {fileName, stream, deliver}
+ * @param {number} headerLineCount - Lines written before any content
+ */
+function finishGcodeExport(job, output, headerLineCount) {
+    // Processing complete
+    if (job.writer.lineCount === headerLineCount) {
+        console.log('processCanvasToGcode returned empty G-code');
+        writeGcodeLine(job.writer, '; Warning: Canvas content resulted in empty G-code.');
+    }
+    writeGcodeLine(job.writer, '');
+    
+    updateProgress(95, 'Finalisation...');
+    
+    setTimeout(function() {
+        if (job.cancelled) return;
+        
+        // Add footer
+        writeGcodeLines(job.writer, generateGcodeFooter(job.info).split('\n'));
+        
+        closeGcodeWriter(job.writer).then(function(blob) {
+            if (job.cancelled) return;
+            activeGcodeJob = null;
+            
+            if (blob && output.deliver) {
+                // Handed over (e.g. to the machine sender) instead of downloaded
+                output.deliver(blob);
+            } else if (blob) {
+                // No file stream: download the assembled Blob
+                var url = URL.createObjectURL(blob);
+                var a = document.createElement('a');
+                a.href = url;
+                a.download = output.fileName;
+                document.body.appendChild(a);
+                a.click();
+                document.body.removeChild(a);
+                URL.revokeObjectURL(url);
+            }
+            
+            updateProgress(100, 'Terminé!');
+            
+            setTimeout(function() {
+                hideProgressModal();
+                if (output.deliver) return;
+                showGcodeExportSummary(output.fileName, job.writer.lineCount, job.vectorTravel, job.writer.postProcessor);
+            }, 500);
+        }).catch(function(error) {
+            failGcodeGeneration(job, error.message);
+        });
+    }, 100);
+}
+
+/**
+ * Show the export success message
+ * @param {string} fileName - Name of the written file
+ * @param {number} lineCount - Number of G-code lines written
+ * @param {Object} vectorTravel - Toolpath ordering result (see optimizeToolpathOrder), if the job had vector objects
+ * @param {Object|null} postProcessor - Serial-safe post-processor of the job, if any
+ */
+function showGcodeExportSummary(fileName, lineCount, vectorTravel, postProcessor) {
+    var estimatedTime = Math.round((lineCount * 0.1) / 60);
+    var dialect = getGcodeDialect();
+    var travelSummary = '';
+    var serialSummary = '';
+    var scanAngles = LASER_CONFIG.crossHatch ?
+        LASER_CONFIG.crossHatchPasses.map(function(pass) { return normalizeScanAngle(pass.angle); }) :
+        [normalizeScanAngle(LASER_CONFIG.scanAngle)];
+    var scanSummary = (isBidirectionalScan() ?
+        '✅ Balayage bidirectionnel: Zigzag sans retours laser éteint' :
+        '✅ Balayage unidirectionnel: Lignes toutes dans le même sens, retour laser éteint') +
+        (scanAngles.length > 1 ? ', hachures croisées à ' : ', lignes à ') + scanAngles.join('° / ') + '°\n\n';
+    
+    if (postProcessor) {
+        // Comments and blank lines were stripped: count the commands actually written
+        lineCount = postProcessor.commandCount;
+        serialSummary = '• Sortie série: ' + (postProcessor.options.lineNumbers ?
+            'numéros de ligne N1-N' + postProcessor.lineNumber + ' + checksums' :
+            'sans commentaires (pas de checksums pour ce dialecte)') +
+            ', ' + postProcessor.options.decimals + ' décimales\n';
+    }
+    
+    if (vectorTravel) {
+        var saved = vectorTravel.originalTravel - vectorTravel.optimizedTravel;
+        var savedPercent = vectorTravel.originalTravel > 0 ? Math.round(saved / vectorTravel.originalTravel * 100) : 0;
+        travelSummary = '🧭 Parcours vectoriel optimisé:\n' +
+                        '• Tracés: ' + vectorTravel.toolpaths.length + '\n' +
+                        '• Déplacements à vide: ' + vectorTravel.optimizedTravel.toFixed(0) + ' mm (au lieu de ' +
+                        vectorTravel.originalTravel.toFixed(0) + ' mm, -' + saved.toFixed(0) + ' mm / -' + savedPercent + '%)\n\n';
+    }
+    
+    alert('G-code généré avec succès!\n\n' +
+          'Fichier: ' + fileName + '\n\n' +
+          '🎯 Configuration Simplifiée:\n' +
+          '• Précision: ' + LASER_CONFIG.precision + ' échantillons/mm (résolution d\'échantillonnage)\n' +
+          '• Vitesse: ' + LASER_CONFIG.speed + ' mm/min (gravure)\n' +
+          '• Puissance: ' + Math.round((LASER_CONFIG.power/255)*100) + '% (' + LASER_CONFIG.power + '/255 PWM)\n' +
+          '• Mode qualité: ' + LASER_CONFIG.qualityMode + '\n' +
+          '• Délais stabilisation: ' + (usesInlinePower() ? 'aucun (puissance S sur les mouvements G1)' : LASER_CONFIG.powerStabilizationDelay + 'ms') + '\n\n' +
+          '✅ Taille physique constante: La précision affecte uniquement la résolution\n' +
+          scanSummary +
+          travelSummary +
+          '⚡ Commandes machine:\n' +
+          '• Dialecte: ' + dialect.label + '\n' +
+          '• Laser ON: ' + dialect.laserOn + ' S0-' + dialect.powerScale + '\n' +
+          '• Laser OFF: ' + dialect.laserOff + '\n' +
+          serialSummary +
+          '• Lignes G-code: ' + lineCount + '\n' +
+          '• Temps estimé: ~' + estimatedTime + ' minutes');
+}
+
 /**
  * Load machine profile configuration
  */
@@ -1495,11 +1753,73 @@ function updateSimplifiedUI() {
     var speedInput = document.getElementById('simpleSpeed');
     var powerInput = document.getElementById('simplePower');
     var qualitySelect = document.getElementById('qualityPreset');
+    var ditherSelect = document.getElementById('ditherMode');
     
     if (precisionInput) precisionInput.value = LASER_CONFIG.precision;
     if (speedInput) speedInput.value = LASER_CONFIG.speed;
     if (powerInput) powerInput.value = LASER_CONFIG.power;
     if (qualitySelect) qualitySelect.value = LASER_CONFIG.qualityMode;
+    if (ditherSelect) ditherSelect.value = LASER_CONFIG.ditherMode;
+    
+    // Halftone screen settings only apply to the halftone mode
+    var halftoneSettings = document.getElementById('halftoneSettings');
+    var halftoneCellInput = document.getElementById('halftoneCellSize');
+    var halftoneAngleInput = document.getElementById('halftoneAngle');
+    
+    if (halftoneSettings) halftoneSettings.style.display = LASER_CONFIG.ditherMode === 'halftone' ? 'block' : 'none';
+    if (halftoneCellInput) halftoneCellInput.value = LASER_CONFIG.halftoneCellSize;
+    if (halftoneAngleInput) halftoneAngleInput.value = LASER_CONFIG.halftoneAngle;
+    
+    // Raster scan settings
+    var mergeToleranceInput = document.getElementById('powerMergeTolerance');
+    var overscanInput = document.getElementById('overscan');
+    var scanModeSelect = document.getElementById('scanMode');
+    var scanAxisSelect = document.getElementById('scanAxis');
+    var scanAngleSettings = document.getElementById('scanAngleSettings');
+    var scanAngleInput = document.getElementById('scanAngle');
+    var scanAxis = LASER_CONFIG.scanAngle === 0 ? 'horizontal' : LASER_CONFIG.scanAngle === 90 ? 'vertical' : 'custom';
+    
+    if (mergeToleranceInput) mergeToleranceInput.value = LASER_CONFIG.powerMergeTolerance;
+    if (overscanInput) overscanInput.value = LASER_CONFIG.overscan;
+    if (scanModeSelect) scanModeSelect.value = LASER_CONFIG.scanMode;
+    if (scanAxisSelect) scanAxisSelect.value = scanAxis;
+    if (scanAngleSettings) scanAngleSettings.style.display = scanAxis === 'custom' ? 'block' : 'none';
+    if (scanAngleInput) scanAngleInput.value = LASER_CONFIG.scanAngle;
+    
+    // Vector settings
+    var textModeSelect = document.getElementById('textMode');
+    var vectorToleranceInput = document.getElementById('vectorTolerance');
+    if (textModeSelect) textModeSelect.value = LASER_CONFIG.textMode;
+    if (vectorToleranceInput) vectorToleranceInput.value = LASER_CONFIG.vectorTolerance;
+    
+    // Serial-safe output
+    var serialSafeToggle = document.getElementById('serialSafeToggle');
+    var serialDecimalsInput = document.getElementById('serialDecimals');
+    if (serialSafeToggle) serialSafeToggle.checked = LASER_CONFIG.serialSafe;
+    if (serialDecimalsInput) {
+        serialDecimalsInput.value = LASER_CONFIG.serialDecimals;
+        serialDecimalsInput.disabled = !LASER_CONFIG.serialSafe;
+    }
+    
+    // Frame trace
+    var frameShapeSelect = document.getElementById('frameShape');
+    var framePowerInput = document.getElementById('framePower');
+    var frameSpeedInput = document.getElementById('frameSpeed');
+    if (frameShapeSelect) frameShapeSelect.value = LASER_CONFIG.frameShape;
+    if (framePowerInput) framePowerInput.value = LASER_CONFIG.framePower;
+    if (frameSpeedInput) frameSpeedInput.value = LASER_CONFIG.frameSpeed;
+    
+    // Cross-hatch passes replace the single scan angle
+    var crossHatchToggle = document.getElementById('crossHatchToggle');
+    var crossHatchSettings = document.getElementById('crossHatchSettings');
+    if (crossHatchToggle) crossHatchToggle.checked = LASER_CONFIG.crossHatch;
+    if (crossHatchSettings) crossHatchSettings.style.display = LASER_CONFIG.crossHatch ? 'block' : 'none';
+    LASER_CONFIG.crossHatchPasses.forEach(function(pass, index) {
+        var angleInput = document.getElementById('crossHatchAngle' + (index + 1));
+        var powerInput = document.getElementById('crossHatchPower' + (index + 1));
+        if (angleInput) angleInput.value = pass.angle;
+        if (powerInput) powerInput.value = Math.round(pass.powerFraction * 100);
+    });
     
     // Update display values
     var precisionDisplay = document.getElementById('precisionDisplay');
@@ -1536,25 +1856,170 @@ function updateSimplifiedConfig() {
     LASER_CONFIG.qualityMode = 'custom';
     
     updateSimplifiedUI();
+    saveSimplifiedConfig();
     
-    // Save to localStorage
+    console.log('Simplified config updated:', {
+        precision: LASER_CONFIG.precision,
+        speed: LASER_CONFIG.speed,
+        power: LASER_CONFIG.power,
+        travelRate: LASER_CONFIG.travelRate
+    });
+}
+
+/**
+ * Persist simplified laser configuration to localStorage
+ */
+function saveSimplifiedConfig() {
     try {
         localStorage.setItem('simpleLaserConfig', JSON.stringify({
             precision: LASER_CONFIG.precision,
             speed: LASER_CONFIG.speed,
             power: LASER_CONFIG.power,
-            qualityMode: LASER_CONFIG.qualityMode
+            qualityMode: LASER_CONFIG.qualityMode,
+            ditherMode: LASER_CONFIG.ditherMode,
+            halftoneCellSize: LASER_CONFIG.halftoneCellSize,
+            halftoneAngle: LASER_CONFIG.halftoneAngle,
+            powerMergeTolerance: LASER_CONFIG.powerMergeTolerance,
+            overscan: LASER_CONFIG.overscan,
+            scanMode: LASER_CONFIG.scanMode,
+            scanAngle: LASER_CONFIG.scanAngle,
+            crossHatch: LASER_CONFIG.crossHatch,
+            crossHatchPasses: LASER_CONFIG.crossHatchPasses,
+            textMode: LASER_CONFIG.textMode,
+            vectorTolerance: LASER_CONFIG.vectorTolerance,
+            serialSafe: LASER_CONFIG.serialSafe,
+            serialDecimals: LASER_CONFIG.serialDecimals,
+            frameShape: LASER_CONFIG.frameShape,
+            framePower: LASER_CONFIG.framePower,
+            frameSpeed: LASER_CONFIG.frameSpeed
         }));
     } catch (e) {
         console.error('Failed to save simplified config:', e);
     }
+}
+
+/**
+ * Apply dithering mode for raster export
+ * @param {string} mode - 'none' or a key of DITHER_MODES
+ */
+function applyDitherMode(mode) {
+    LASER_CONFIG.ditherMode = DITHER_MODES.hasOwnProperty(mode) ? mode : 'none';
     
-    console.log('Simplified config updated:', {
-        precision: LASER_CONFIG.precision,
-        speed: LASER_CONFIG.speed,
-        power: LASER_CONFIG.power,
-        travelRate: LASER_CONFIG.travelRate
+    updateSimplifiedUI();
+    saveSimplifiedConfig();
+    
+    console.log('Dither mode applied:', LASER_CONFIG.ditherMode);
+}
+
+/**
+ * Update halftone screen settings from the UI
+ */
+function updateHalftoneSettings() {
+    var cellInput = document.getElementById('halftoneCellSize');
+    var angleInput = document.getElementById('halftoneAngle');
+    
+    if (cellInput) LASER_CONFIG.halftoneCellSize = AppUtils.clamp(parseFloat(cellInput.value) || 1, 0.2, 10);
+    if (angleInput) LASER_CONFIG.halftoneAngle = AppUtils.clamp(parseFloat(angleInput.value) || 0, 0, 180);
+    
+    updateSimplifiedUI();
+    saveSimplifiedConfig();
+}
+
+/**
+ * Update raster scan settings from the UI
+ */
+function updateRasterScanSettings() {
+    var mergeToleranceInput = document.getElementById('powerMergeTolerance');
+    var overscanInput = document.getElementById('overscan');
+    var scanModeSelect = document.getElementById('scanMode');
+    var scanAngleInput = document.getElementById('scanAngle');
+    
+    if (mergeToleranceInput) LASER_CONFIG.powerMergeTolerance = AppUtils.clamp(parseInt(mergeToleranceInput.value) || 0, 0, 64);
+    if (overscanInput) LASER_CONFIG.overscan = AppUtils.clamp(parseFloat(overscanInput.value) || 0, 0, 20);
+    if (scanModeSelect) LASER_CONFIG.scanMode = scanModeSelect.value === 'unidirectional' ? 'unidirectional' : 'bidirectional';
+    if (scanAngleInput) LASER_CONFIG.scanAngle = normalizeScanAngle(scanAngleInput.value);
+    
+    updateSimplifiedUI();
+    saveSimplifiedConfig();
+}
+
+/**
+ * Update vector export settings from the UI
+ */
+function updateVectorSettings() {
+    var textModeSelect = document.getElementById('textMode');
+    var vectorToleranceInput = document.getElementById('vectorTolerance');
+    
+    if (textModeSelect) LASER_CONFIG.textMode = textModeSelect.value === 'vector' ? 'vector' : 'raster';
+    if (vectorToleranceInput) LASER_CONFIG.vectorTolerance = AppUtils.clamp(parseFloat(vectorToleranceInput.value) || 0.05, 0.005, 1);
+    
+    updateSimplifiedUI();
+    saveSimplifiedConfig();
+}
+
+/**
+ * Update serial-safe output settings from the UI
+ */
+function updateSerialOutputSettings() {
+    var serialSafeToggle = document.getElementById('serialSafeToggle');
+    var serialDecimalsInput = document.getElementById('serialDecimals');
+    
+    if (serialSafeToggle) LASER_CONFIG.serialSafe = serialSafeToggle.checked;
+    if (serialDecimalsInput) LASER_CONFIG.serialDecimals = AppUtils.clamp(parseInt(serialDecimalsInput.value, 10) || 0, 0, 5);
+    
+    updateSimplifiedUI();
+    saveSimplifiedConfig();
+}
+
+/**
+ * Update frame trace settings from the UI
+ */
+function updateFrameSettings() {
+    var frameShapeSelect = document.getElementById('frameShape');
+    var framePowerInput = document.getElementById('framePower');
+    var frameSpeedInput = document.getElementById('frameSpeed');
+    
+    if (frameShapeSelect) LASER_CONFIG.frameShape = frameShapeSelect.value === 'hull' ? 'hull' : 'rectangle';
+    if (framePowerInput) LASER_CONFIG.framePower = AppUtils.clamp(parseInt(framePowerInput.value, 10) || 0, 0, 255);
+    if (frameSpeedInput) LASER_CONFIG.frameSpeed = AppUtils.clamp(parseInt(frameSpeedInput.value, 10) || 3000, 10, 20000);
+    
+    updateSimplifiedUI();
+    saveSimplifiedConfig();
+}
+
+/**
+ * Update cross-hatch settings from the UI
+ */
+function updateCrossHatchSettings() {
+    var crossHatchToggle = document.getElementById('crossHatchToggle');
+    if (crossHatchToggle) LASER_CONFIG.crossHatch = crossHatchToggle.checked;
+    
+    LASER_CONFIG.crossHatchPasses.forEach(function(pass, index) {
+        var angleInput = document.getElementById('crossHatchAngle' + (index + 1));
+        var powerInput = document.getElementById('crossHatchPower' + (index + 1));
+        if (angleInput) pass.angle = normalizeScanAngle(angleInput.value);
+        if (powerInput) pass.powerFraction = AppUtils.clamp(parseInt(powerInput.value) || 100, 1, 100) / 100;
     });
+    
+    updateSimplifiedUI();
+    saveSimplifiedConfig();
+}
+
+/**
+ * Apply a raster scan axis from the UI
+ * @param {string} axis - 'horizontal', 'vertical' or 'custom' (starts at 45 degrees)
+ */
+function applyScanAxis(axis) {
+    if (axis === 'horizontal') {
+        LASER_CONFIG.scanAngle = 0;
+    } else if (axis === 'vertical') {
+        LASER_CONFIG.scanAngle = 90;
+    } else if (LASER_CONFIG.scanAngle === 0 || LASER_CONFIG.scanAngle === 90) {
+        LASER_CONFIG.scanAngle = 45;
+    }
+    
+    updateSimplifiedUI();
+    saveSimplifiedConfig();
 }
 
 /**
@@ -1599,6 +2064,22 @@ function initializeSimplifiedConfig() {
             LASER_CONFIG.speed = savedConfig.speed || 1000;
             LASER_CONFIG.power = savedConfig.power || 128;
             LASER_CONFIG.qualityMode = savedConfig.qualityMode || 'balanced';
+            LASER_CONFIG.ditherMode = DITHER_MODES.hasOwnProperty(savedConfig.ditherMode) ? savedConfig.ditherMode : 'none';
+            LASER_CONFIG.halftoneCellSize = savedConfig.halftoneCellSize || 1;
+            LASER_CONFIG.halftoneAngle = savedConfig.halftoneAngle !== undefined ? savedConfig.halftoneAngle : 45;
+            LASER_CONFIG.powerMergeTolerance = savedConfig.powerMergeTolerance || 0;
+            LASER_CONFIG.overscan = savedConfig.overscan !== undefined ? savedConfig.overscan : 2;
+            LASER_CONFIG.scanMode = savedConfig.scanMode === 'unidirectional' ? 'unidirectional' : 'bidirectional';
+            LASER_CONFIG.scanAngle = normalizeScanAngle(savedConfig.scanAngle);
+            LASER_CONFIG.crossHatch = !!savedConfig.crossHatch;
+            if (Array.isArray(savedConfig.crossHatchPasses)) LASER_CONFIG.crossHatchPasses = savedConfig.crossHatchPasses;
+            LASER_CONFIG.textMode = savedConfig.textMode === 'vector' ? 'vector' : 'raster';
+            LASER_CONFIG.vectorTolerance = savedConfig.vectorTolerance || 0.05;
+            LASER_CONFIG.serialSafe = !!savedConfig.serialSafe;
+            LASER_CONFIG.serialDecimals = savedConfig.serialDecimals !== undefined ? savedConfig.serialDecimals : 3;
+            LASER_CONFIG.frameShape = savedConfig.frameShape === 'hull' ? 'hull' : 'rectangle';
+            LASER_CONFIG.framePower = savedConfig.framePower || 0;
+            LASER_CONFIG.frameSpeed = savedConfig.frameSpeed || 3000;
             console.log('Simplified laser configuration loaded from storage');
         }
     } catch (e) {
@@ -1622,7 +2103,8 @@ function initializeSimplifiedConfig() {
         precision: LASER_CONFIG.precision,
         speed: LASER_CONFIG.speed,
         power: LASER_CONFIG.power,
-        qualityMode: LASER_CONFIG.qualityMode
+        qualityMode: LASER_CONFIG.qualityMode,
+        ditherMode: LASER_CONFIG.ditherMode
     });
 }
 
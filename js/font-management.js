@@ -12,6 +12,10 @@ function handleFontLoad(e) {
         var reader = new FileReader();
         reader.onload = function(event) {
             var fontName = file.name.split('.')[0];
+            
+            // Keep the glyph outlines for vector engraving (FontFace may take over the buffer)
+            registerGlyphFont(fontName, event.target.result.slice(0));
+            
             var font = new FontFace(fontName, event.target.result);
             
             font.load().then(function(loadedFont) {
@@ -53,3 +57,89 @@ function handleFontChange() {
         canvas.renderAll();
     }
 }
+
+/**
+ * Parsed fonts for vector text, by family name (values are Promises of opentype.Font)
+ */
+var glyphFonts = new Map();
+
+/**
+ * Parse an imported font file so its glyph outlines can be engraved as vectors
+ * @param {string} fontName - Font family name used on the canvas
+ * @param {ArrayBuffer} buffer - Font file contents (TTF/OTF/WOFF)
+ */
+function registerGlyphFont(fontName, buffer) {
+    if (typeof opentype === 'undefined') {
+        console.warn('opentype.js not loaded: vector text unavailable for', fontName);
+        return;
+    }
+    
+    try {
+        glyphFonts.set(fontName, Promise.resolve(opentype.parse(buffer)));
+    } catch (error) {
+        console.warn('Could not parse glyph outlines of', fontName, error);
+    }
+}
+
+/**
+ * Get the glyph outlines of a font family
+ * Imported fonts are parsed when imported; system fonts are read through the
+ * Local Font Access API where the browser supports it.
+ * @param {string} fontFamily - Font family name
+ * @param {string} fontWeight - Fabric font weight ('normal', 'bold', 400...)
+ * @returns {Promise<opentype.Font>} Parsed font
+ */
+function loadGlyphFont(fontFamily, fontWeight) {
+    var bold = fontWeight === 'bold' || parseInt(fontWeight) >= 600;
+    var cacheKey = glyphFonts.has(fontFamily) ? fontFamily : fontFamily + (bold ? ' (bold)' : '');
+    
+    if (glyphFonts.has(cacheKey)) {
+        return glyphFonts.get(cacheKey);
+    }
+    
+    var promise = loadSystemGlyphFont(fontFamily, bold);
+    glyphFonts.set(cacheKey, promise);
+    
+    // Allow a later retry (e.g. once the font permission is granted)
+    promise.catch(function() {
+        glyphFonts.delete(cacheKey);
+    });
+    
+    return promise;
+}
+
+/**
+ * Read a system font file through the Local Font Access API
+ * @param {string} fontFamily - Font family name
+ * @param {boolean} bold - Prefer a bold face
+ * @returns {Promise<opentype.Font>} Parsed font
+ */
+function loadSystemGlyphFont(fontFamily, bold) {
+    if (typeof opentype === 'undefined') {
+        return Promise.reject(new Error('la bibliothèque opentype.js n\'est pas chargée'));
+    }
+    if (typeof window.queryLocalFonts !== 'function') {
+        return Promise.reject(new Error('police "' + fontFamily + '" : ce navigateur ne donne pas accès aux polices système, importez le fichier de la police'));
+    }
+    
+    return window.queryLocalFonts().then(function(fonts) {
+        var faces = fonts.filter(function(face) {
+            return face.family === fontFamily;
+        });
+        if (faces.length === 0) {
+            throw new Error('police "' + fontFamily + '" introuvable sur ce système, importez le fichier de la police');
+        }
+        
+        var preferredStyle = bold ? 'Bold' : 'Regular';
+        var face = faces.find(function(candidate) {
+            return candidate.style === preferredStyle;
+        }) || faces[0];
+        
+        return face.blob();
+    }).then(function(blob) {
+        return blob.arrayBuffer();
+    }).then(function(buffer) {
+        return opentype.parse(buffer);
+    });
+}
+
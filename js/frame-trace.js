@@ -0,0 +1,214 @@
+/**
+ * Frame Trace Module
+ * Traces the outline of the job (bounding rectangle or convex hull of the
+ * content) with the laser off or at a low pointer power, to check where the
+ * job lands on the material before burning it.
+ */
+
+/**
+ * Find the convex hull of the content pixels
+ * Uses the content test of findImageBoundsWithThreshold; the hull goes around
+ * the pixel squares, so a rectangle of content gives that rectangle's corners.
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} threshold - Grayscale below which a pixel is content
+ * @returns {Array|null} Hull corners in pixels [{x, y}], null without content
+ */
+function findImageContentHull(data, width, height, threshold) {
+    var points = [];
+    
+    for (var y = 0; y < height; y++) {
+        var left = -1;
+        var right = -1;
+        
+        for (var x = 0; x < width; x++) {
+            var pixelIndex = (y * width + x) * 4;
+            var grayscale = Math.round(0.299 * data[pixelIndex] + 0.587 * data[pixelIndex + 1] + 0.114 * data[pixelIndex + 2]);
+            
+            if (data[pixelIndex + 3] > 0 && grayscale < threshold) {
+                if (left < 0) left = x;
+                right = x;
+            }
+        }
+        
+        // Only the extreme pixels of each row can be on the hull
+        if (left >= 0) {
+            points.push({ x: left, y: y }, { x: left, y: y + 1 }, { x: right + 1, y: y }, { x: right + 1, y: y + 1 });
+        }
+    }
+    
+    return points.length > 0 ? computeConvexHull(points) : null;
+}
+
+/**
+ * Convex hull of a set of points (monotone chain)
+ * @param {Array} points - Points [{x, y}]
+ * @returns {Array} Hull corners in order, without collinear points
+ */
+function computeConvexHull(points) {
+    var sorted = points.slice().sort(function(a, b) {
+        return a.x - b.x || a.y - b.y;
+    });
+    
+    function cross(o, a, b) {
+        return (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    }
+    
+    function buildChain(ordered) {
+        var chain = [];
+        ordered.forEach(function(point) {
+            while (chain.length >= 2 && cross(chain[chain.length - 2], chain[chain.length - 1], point) <= 0) {
+                chain.pop();
+            }
+            chain.push(point);
+        });
+        chain.pop(); // The last point starts the other chain
+        return chain;
+    }
+    
+    if (sorted.length < 3) return sorted;
+    return buildChain(sorted).concat(buildChain(sorted.slice().reverse()));
+}
+
+/**
+ * Find the outline of the canvas content in workspace millimeters
+ * The workspace is captured like for the raster export, but with the vector
+ * objects visible, and the content found with the same thresholds.
+ * @param {string} shape - 'rectangle' (bounding box) or 'hull' (convex hull)
+ * @returns {Array|null} Outline corners in mm [{x, y}], null when nothing is visible
+ */
+function findFrameOutline(shape) {
+    // Hide the grid and the machine overlay without changing the stacking order
+    var helpers = canvas.getObjects().filter(function(obj) {
+        return obj.excludeFromExport && obj.visible;
+    });
+    var capture;
+    
+    helpers.forEach(function(obj) {
+        obj.visible = false;
+    });
+    try {
+        capture = captureWorkspaceImage();
+    } finally {
+        helpers.forEach(function(obj) {
+            obj.visible = true;
+        });
+        canvas.requestRenderAll();
+    }
+    
+    var threshold = 200;
+    var bounds = findImageBoundsWithThreshold(capture.data, capture.width, capture.height, threshold);
+    if (!bounds) {
+        threshold = 100;
+        bounds = findImageBoundsWithThreshold(capture.data, capture.width, capture.height, threshold);
+    }
+    if (!bounds) return null;
+    
+    var corners = shape === 'hull' ?
+        findImageContentHull(capture.data, capture.width, capture.height, threshold) :
+        [
+            { x: bounds.x, y: bounds.y },
+            { x: bounds.x + bounds.width, y: bounds.y },
+            { x: bounds.x + bounds.width, y: bounds.y + bounds.height },
+            { x: bounds.x, y: bounds.y + bounds.height }
+        ];
+    
+    // Capture pixels map linearly to workspace mm, origin bottom-left with Y up
+    return corners.map(function(point) {
+        return {
+            x: point.x / capture.pixelsPerMm,
+            y: (capture.height - point.y) / capture.pixelsPerMm
+        };
+    });
+}
+
+/**
+ * Generate the moves tracing a frame
+ * @param {Array} outline - Closed outline in workspace mm [{x, y}]
+ * @param {Object} options - {power: 0-255 (0 = laser off), speed: mm/min}
+ * @returns {Array} G-code lines (without header/footer)
+ */
+function generateFrameGcode(outline, options) {
+    var power = Math.round(Math.max(0, Math.min(255, options.power)));
+    var inline = power > 0 && usesInlinePower();
+    var gcode = [];
+    
+    function formatPoint(point) {
+        return 'X' + point.x.toFixed(3) + ' Y' + point.y.toFixed(3);
+    }
+    
+    gcode.push('; === FRAME TRACE ===');
+    gcode.push('; ' + outline.length + ' corners, ' + (power > 0 ? 'pointer power ' + power + '/255' : 'laser off'));
+    gcode.push('G0 ' + formatPoint(outline[0]) + ' F' + LASER_CONFIG.travelRate);
+    if (power > 0 && !inline) gcode.push(formatLaserOnCommand(power) + ' ; Pointer power');
+    
+    for (var i = 1; i <= outline.length; i++) {
+        var move = 'G1 ' + formatPoint(outline[i % outline.length]);
+        if (i === 1) move += ' F' + Math.round(options.speed) + (inline ? formatInlinePower(power) : '');
+        gcode.push(move);
+    }
+    
+    if (power > 0 && !inline) gcode.push(formatLaserOffCommand());
+    return gcode;
+}
+
+/**
+ * Build the frame program of the canvas content
+ * @returns {Promise<Blob|null>} The G-code, null when the canvas cannot be framed (the user was told why)
+ */
+function buildFrameProgram() {
+    if (!checkGcodeExportReady()) return Promise.resolve(null);
+    
+    var outline = findFrameOutline(LASER_CONFIG.frameShape);
+    if (!outline) {
+        alert('Aucun contenu visible à cadrer.');
+        return Promise.resolve(null);
+    }
+    
+    var xs = outline.map(function(point) { return point.x; });
+    var ys = outline.map(function(point) { return point.y; });
+    var jobInfo = {
+        jobName: currentProjectName + ' (cadrage)',
+        bounds: { minX: Math.min.apply(null, xs), minY: Math.min.apply(null, ys), maxX: Math.max.apply(null, xs), maxY: Math.max.apply(null, ys) }
+    };
+    
+    var writer = createGcodeWriter(null, createExportPostProcessor());
+    writeGcodeLines(writer, generateGcodeHeader(jobInfo).split('\n'));
+    writeGcodeLines(writer, generateFrameGcode(outline, { power: LASER_CONFIG.framePower, speed: LASER_CONFIG.frameSpeed }));
+    writeGcodeLines(writer, generateGcodeFooter(jobInfo).split('\n'));
+    
+    return closeGcodeWriter(writer);
+}
+
+/**
+ * Download the frame program as a G-code file
+ */
+function downloadFrameGcode() {
+    buildFrameProgram().then(function(blob) {
+        if (!blob) return;
+        
+        var url = URL.createObjectURL(blob);
+        var a = document.createElement('a');
+        a.href = url;
+        a.download = currentProjectName.replace(/[^a-z0-9]/gi, '_').toLowerCase() + '_frame.gcode';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    });
+}
+
+/**
+ * Trace the frame on the connected machine
+ */
+function sendFrameToMachine() {
+    if (!getIdleMachineSender()) {
+        alert('Connectez d\'abord la machine (et attendez la fin de l\'envoi en cours).');
+        return;
+    }
+    
+    buildFrameProgram().then(function(blob) {
+        if (blob) blob.text().then(startMachineJob);
+    });
+}
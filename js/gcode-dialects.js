@@ -0,0 +1,162 @@
+/**
+ * G-code Dialects Module
+ * Post-processor definitions: how each firmware family turns the laser on and
+ * off, scales its power, waits, and starts or ends a job. The engines work with
+ * powers in 0-255 and ask the active dialect (LASER_CONFIG.dialect, set by the
+ * machine profile) for the actual commands. DOM-free, also loaded by the G-code worker.
+ */
+
+/**
+ * Built-in dialects (name is used in G-code comments, label in the UI)
+ * powerScale/powerDecimals give the S range of the firmware (255 → S0-255,
+ * 1000 → GRBL $30=1000, 1 → Smoothieware fractions). dwellUnit is the unit of
+ * the G4 P parameter. inlinePower marks firmwares that accept S on G1 moves;
+ * inlineStart is then sent once to enable the laser in that mode. lineChecksums
+ * marks firmwares that accept N line numbers with *checksums (serial-safe export).
+ * serialProtocol is the flow control used by the sender ('marlin' waits for an
+ * ok per command, 'grbl' counts the characters in the receive buffer).
+ */
+const GCODE_DIALECTS = {
+    'marlin_fan': {
+        name: 'Marlin fan PWM',
+        label: 'Marlin – ventilateur PWM (M106/M107)',
+        laserOn: 'M106',
+        laserOff: 'M107',
+        powerScale: 255,
+        powerDecimals: 0,
+        dwellUnit: 'ms',
+        inlinePower: false,
+        lineChecksums: true,
+        serialProtocol: 'marlin',
+        startCommands: [],
+        endCommands: ['M84 ; Disable steppers']
+    },
+    'marlin_laser': {
+        name: 'Marlin laser',
+        label: 'Marlin – laser (M3/M4/M5, LASER_FEATURE)',
+        laserOn: 'M3',
+        laserOff: 'M5',
+        powerScale: 255,
+        powerDecimals: 0,
+        dwellUnit: 'ms',
+        inlinePower: true,
+        inlineStart: 'M4 I S0 ; Inline dynamic laser power (S on G1 moves)',
+        lineChecksums: true,
+        serialProtocol: 'marlin',
+        startCommands: [],
+        endCommands: ['M84 ; Disable steppers']
+    },
+    'grbl': {
+        name: 'GRBL 1.1 laser mode',
+        label: 'GRBL 1.1 (mode laser $32=1, puissance dynamique M4)',
+        laserOn: 'M4',
+        laserOff: 'M5',
+        powerScale: 1000,
+        powerDecimals: 0,
+        dwellUnit: 's',
+        inlinePower: true,
+        inlineStart: 'M4 S0 ; Dynamic laser power (S on G1 moves, off on G0)',
+        lineChecksums: false,
+        serialProtocol: 'grbl',
+        startCommands: ['$32=1 ; Laser mode (no stop at power changes)'],
+        endCommands: []
+    },
+    'smoothieware': {
+        name: 'Smoothieware laser',
+        label: 'Smoothieware (laser_module, S 0-1)',
+        laserOn: 'M3',
+        laserOff: 'M5',
+        powerScale: 1,
+        powerDecimals: 3,
+        dwellUnit: 'ms',
+        inlinePower: true,
+        inlineStart: 'M3 ; Enable laser (S on G1 moves)',
+        lineChecksums: true,
+        serialProtocol: 'marlin',
+        startCommands: [],
+        endCommands: ['M84 ; Disable steppers']
+    },
+    'klipper': {
+        name: 'Klipper fan PWM',
+        label: 'Klipper (M106/M107, broche ventilateur)',
+        laserOn: 'M106',
+        laserOff: 'M107',
+        powerScale: 255,
+        powerDecimals: 0,
+        dwellUnit: 'ms',
+        inlinePower: false,
+        lineChecksums: true,
+        serialProtocol: 'marlin',
+        startCommands: [],
+        endCommands: ['M84 ; Disable steppers']
+    }
+};
+
+/**
+ * Get a dialect definition
+ * @param {string} key - Dialect key (defaults to LASER_CONFIG.dialect)
+ * @returns {Object} Dialect, Marlin fan PWM when the key is unknown
+ */
+function getGcodeDialect(key) {
+    var dialectKey = key || (LASER_CONFIG && LASER_CONFIG.dialect);
+    return GCODE_DIALECTS.hasOwnProperty(dialectKey) ? GCODE_DIALECTS[dialectKey] : GCODE_DIALECTS['marlin_fan'];
+}
+
+/**
+ * Scale a power (0-255) to the S range of the active dialect
+ * @param {number} power - Power 0-255
+ * @returns {string} S parameter value
+ */
+function formatDialectPower(power) {
+    var dialect = getGcodeDialect();
+    var value = Math.max(0, Math.min(255, power)) / 255 * dialect.powerScale;
+    
+    return dialect.powerDecimals > 0 ? String(parseFloat(value.toFixed(dialect.powerDecimals))) : String(Math.round(value));
+}
+
+/**
+ * Command turning the laser on (or changing its power)
+ * @param {number} power - Power 0-255
+ * @returns {string} G-code command without comment
+ */
+function formatLaserOnCommand(power) {
+    return getGcodeDialect().laserOn + ' S' + formatDialectPower(power);
+}
+
+/**
+ * Command turning the laser off
+ * @returns {string} G-code command without comment
+ */
+function formatLaserOffCommand() {
+    return getGcodeDialect().laserOff;
+}
+
+/**
+ * Dwell command in the unit of the active dialect
+ * @param {number} milliseconds - Dwell time in ms
+ * @returns {string} G-code command without comment
+ */
+function formatDwellCommand(milliseconds) {
+    return getGcodeDialect().dwellUnit === 's' ?
+        'G4 P' + parseFloat((milliseconds / 1000).toFixed(3)) :
+        'G4 P' + Math.round(milliseconds);
+}
+
+/**
+ * Check whether powers are emitted inline on G1 moves
+ * The dialect must support it and the machine profile must allow it
+ * (LASER_CONFIG.inlinePower); dwells are then never emitted.
+ * @returns {boolean} True for inline power
+ */
+function usesInlinePower() {
+    return getGcodeDialect().inlinePower && LASER_CONFIG.inlinePower !== false;
+}
+
+/**
+ * S parameter appended to a G1 move in inline power mode
+ * @param {number} power - Power 0-255
+ * @returns {string} Parameter with its leading space
+ */
+function formatInlinePower(power) {
+    return ' S' + formatDialectPower(power);
+}
@@ -0,0 +1,117 @@
+/**
+ * G-code Post-processing Module
+ * Serial-safe rewriting of the assembled program: comments and blank lines are
+ * stripped, numeric parameters are rounded, and every command gets an N line
+ * number and a Marlin-style *checksum so the firmware rejects lines corrupted
+ * on the USB link and asks for them again. DOM-free.
+ */
+
+/**
+ * Post-processing defaults
+ */
+const SERIAL_GCODE_DEFAULTS = {
+    decimals: 3,        // Decimal places kept on numeric parameters
+    lineNumbers: true   // Add N line numbers and *checksums (firmwares without checksum support only get the cleanup)
+};
+
+/**
+ * Remove the comment of a G-code line
+ * @param {string} line - G-code line
+ * @returns {string} Command without ';' or '(...)' comments, trimmed
+ */
+function stripGcodeComment(line) {
+    var semicolon = line.indexOf(';');
+    var code = semicolon >= 0 ? line.slice(0, semicolon) : line;
+    
+    return code.replace(/\([^)]*\)/g, '').trim();
+}
+
+/**
+ * Round the numeric parameters of a command
+ * @param {string} code - Command without comment
+ * @param {number} decimals - Decimal places kept
+ * @returns {string} Command with rounded parameters (trailing zeros removed)
+ */
+function limitGcodeDecimals(code, decimals) {
+    return code.replace(/([A-Za-z])([-+]?\d*\.\d+)/g, function(match, letter, value) {
+        var rounded = parseFloat(parseFloat(value).toFixed(decimals));
+        return letter + (rounded === 0 ? '0' : String(rounded));
+    });
+}
+
+/**
+ * Marlin line checksum: XOR of every character before the '*'
+ * @param {string} text - Numbered command
+ * @returns {number} Checksum 0-255
+ */
+function computeGcodeChecksum(text) {
+    var checksum = 0;
+    for (var i = 0; i < text.length; i++) {
+        checksum ^= text.charCodeAt(i) & 0xff;
+    }
+    return checksum;
+}
+
+/**
+ * Add a line number and a checksum to a command
+ * @param {string} code - Command without comment
+ * @param {number} lineNumber - Line number
+ * @returns {string} 'N<lineNumber> <code>*<checksum>'
+ */
+function formatNumberedGcodeLine(code, lineNumber) {
+    var numbered = 'N' + lineNumber + ' ' + code;
+    return numbered + '*' + computeGcodeChecksum(numbered);
+}
+
+/**
+ * Create a serial-safe post-processor
+ * The processor keeps the line numbering across calls, so it can rewrite a
+ * streamed program chunk by chunk. Numbering starts with M110 N0, which resets
+ * the firmware line counter; the first command is N1.
+ * @param {Object} options - {decimals, lineNumbers}, see SERIAL_GCODE_DEFAULTS
+ * @returns {Object} Processor {options, lineNumber, commandCount, process(text)}
+ */
+function createSerialGcodePostProcessor(options) {
+    var settings = Object.assign({}, SERIAL_GCODE_DEFAULTS, options || {});
+    
+    var processor = {
+        options: settings,
+        lineNumber: 0,
+        commandCount: 0,
+        started: false,
+        
+        /**
+         * Rewrite a block of G-code
+         * @param {string} text - Newline-terminated G-code
+         * @returns {string} Rewritten newline-terminated G-code (empty when nothing is left)
+         */
+        process: function(text) {
+            var output = [];
+            
+            if (settings.lineNumbers && !processor.started) {
+                output.push(formatNumberedGcodeLine('M110 N0', 0));
+            }
+            processor.started = true;
+            
+            var lines = text.split('\n');
+            for (var i = 0; i < lines.length; i++) {
+                var code = stripGcodeComment(lines[i]);
+                if (code === '') continue;
+                
+                code = limitGcodeDecimals(code, settings.decimals);
+                processor.commandCount++;
+                
+                if (settings.lineNumbers) {
+                    processor.lineNumber++;
+                    output.push(formatNumberedGcodeLine(code, processor.lineNumber));
+                } else {
+                    output.push(code);
+                }
+            }
+            
+            return output.length > 0 ? output.join('\n') + '\n' : '';
+        }
+    };
+    
+    return processor;
+}
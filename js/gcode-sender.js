@@ -0,0 +1,793 @@
+/**
+ * G-code Sender Module
+ * Streams a program to the machine over a serial link with the flow control of
+ * its firmware. Marlin answers 'ok' to every command: one command is in flight
+ * at a time and numbered lines are replayed on 'Resend: N'. GRBL is fed as long
+ * as its receive buffer has room (character counting) and takes the real-time
+ * commands '!' (feed hold), '~' (resume), '?' (status) and Ctrl-X (soft reset)
+ * at any time. DOM-free.
+ *
+ * The link is a transport: the Web Serial API or a simulated device speaking
+ * the same protocol. A transport has open() and close() returning promises,
+ * write(text) sending raw text, and calls its onLine(line) for every line
+ * received and onClose(error) when the link goes down (error is null when
+ * closed on purpose).
+ */
+
+/**
+ * Sender tuning
+ */
+const SERIAL_SENDER_CONFIG = {
+    baudRate: 115200,        // Default serial speed
+    grblRxBufferSize: 128,   // GRBL serial receive buffer in bytes
+    simulatedLineTime: 2,    // ms spent by the simulated device on each command
+    grblStatusInterval: 250, // ms between GRBL '?' status requests
+    marlinStatusInterval: 1000 // ms between Marlin M114 requests (only while no job runs)
+};
+
+/**
+ * GRBL real-time commands (single characters, never buffered)
+ */
+const GRBL_REALTIME = {
+    status: '?',
+    feedHold: '!',
+    cycleStart: '~',
+    softReset: '\x18'
+};
+
+/**
+ * Track the head position through a command
+ * Handles G0-G3 moves, G28 homing, G90/G91, G92 and GRBL $H and $J= jogs;
+ * arcs only move to their end point.
+ * @param {Object} position - Position {x, y, z, absolute}, updated in place
+ * @param {string} command - Command without comment
+ */
+function applyGcodeMotion(position, command) {
+    var code = command.toUpperCase();
+    
+    if (/^\$H\b/.test(code)) {
+        position.x = 0;
+        position.y = 0;
+        position.z = 0;
+        return;
+    }
+    if (/^\$J=/.test(code)) {
+        // Jogs carry their own distance mode and leave the modal state alone
+        var modal = position.absolute;
+        position.absolute = !/G91/.test(code);
+        applyGcodeMotion(position, 'G0 ' + code.slice(3).replace(/G9[01]/g, ''));
+        position.absolute = modal;
+        return;
+    }
+    
+    var word = /^G(\d+)/.exec(code);
+    if (!word) return;
+    
+    var g = parseInt(word[1], 10);
+    if (g === 90) {
+        position.absolute = true;
+    } else if (g === 91) {
+        position.absolute = false;
+    } else if (g <= 3 || g === 28 || g === 92) {
+        var axes = ['X', 'Y', 'Z'];
+        var parameters = code.slice(word[0].length);
+        var homeAll = g === 28 && !/[XYZ]/.test(parameters);
+        
+        axes.forEach(function(axis) {
+            var key = axis.toLowerCase();
+            var match = new RegExp(axis + '([-+]?\\d*\\.?\\d+)').exec(parameters);
+            
+            if (g === 28) {
+                if (homeAll || parameters.indexOf(axis) >= 0) position[key] = 0;
+            } else if (match) {
+                var value = parseFloat(match[1]);
+                position[key] = g === 92 || position.absolute ? value : position[key] + value;
+            }
+        });
+    }
+}
+
+/**
+ * Parse a position report
+ * Marlin answers M114 with 'X:10.00 Y:5.00 Z:0.00 E:0.00 ...'; GRBL answers '?'
+ * with '<Idle|MPos:10.000,5.000,0.000|FS:0,0|WCO:0.000,0.000,0.000>', where the
+ * work position is MPos minus the work offset WCO (sent only every few reports).
+ * @param {string} line - Received line
+ * @param {Object} workOffset - Last GRBL work offset {x, y, z}, updated in place
+ * @returns {Object|null} Report {state (GRBL only), position: work position {x, y, z}}, null for other lines
+ */
+function parseMachineStatusReport(line, workOffset) {
+    var marlin = /^X:\s*([-+]?\d*\.?\d+)\s+Y:\s*([-+]?\d*\.?\d+)\s+Z:\s*([-+]?\d*\.?\d+)/.exec(line);
+    if (marlin) {
+        return {
+            state: null,
+            position: { x: parseFloat(marlin[1]), y: parseFloat(marlin[2]), z: parseFloat(marlin[3]) }
+        };
+    }
+    
+    var grbl = /^<([^|>]+)\|(.*)>$/.exec(line);
+    if (!grbl) return null;
+    
+    var fields = {};
+    grbl[2].split('|').forEach(function(field) {
+        var separator = field.indexOf(':');
+        if (separator > 0) fields[field.slice(0, separator)] = field.slice(separator + 1).split(',').map(parseFloat);
+    });
+    
+    if (fields.WCO) {
+        workOffset.x = fields.WCO[0];
+        workOffset.y = fields.WCO[1];
+        workOffset.z = fields.WCO[2] || 0;
+    }
+    
+    var position = null;
+    if (fields.WPos) {
+        position = { x: fields.WPos[0], y: fields.WPos[1], z: fields.WPos[2] || 0 };
+    } else if (fields.MPos) {
+        position = {
+            x: fields.MPos[0] - workOffset.x,
+            y: fields.MPos[1] - workOffset.y,
+            z: (fields.MPos[2] || 0) - workOffset.z
+        };
+    }
+    return { state: grbl[1], position: position };
+}
+
+/**
+ * Commands jogging the head by a distance
+ * @param {string} protocol - 'marlin' or 'grbl'
+ * @param {string} axis - 'X', 'Y' or 'Z'
+ * @param {number} distance - Distance in mm (negative towards the origin)
+ * @param {number} feedRate - Jog speed in mm/min
+ * @returns {Array} Commands
+ */
+function formatJogCommands(protocol, axis, distance, feedRate) {
+    var move = axis + parseFloat(distance.toFixed(3)) + ' F' + Math.round(feedRate);
+    
+    if (protocol === 'grbl') {
+        return ['$J=G91 G21 ' + move];
+    }
+    return ['G91', 'G0 ' + move, 'G90'];
+}
+
+/**
+ * Command homing the machine
+ * @param {string} protocol - 'marlin' or 'grbl'
+ * @returns {string} Command
+ */
+function formatHomeCommand(protocol) {
+    return protocol === 'grbl' ? '$H' : 'G28 X Y';
+}
+
+/**
+ * Command making the current head position the X/Y origin
+ * @returns {string} Command
+ */
+function formatSetOriginCommand() {
+    return 'G92 X0 Y0';
+}
+
+/**
+ * Create a transport on a Web Serial port
+ * @param {SerialPort} port - Port returned by navigator.serial.requestPort()
+ * @param {number} baudRate - Serial speed
+ * @returns {Object} Transport
+ */
+function createWebSerialTransport(port, baudRate) {
+    var encoder = new TextEncoder();
+    var transport = {
+        port: port,
+        reader: null,
+        writer: null,
+        reading: Promise.resolve(),
+        closing: false,
+        onLine: null,
+        onClose: null,
+        
+        open: function() {
+            return port.open({ baudRate: baudRate || SERIAL_SENDER_CONFIG.baudRate }).then(function() {
+                transport.writer = port.writable.getWriter();
+                transport.reading = readWebSerialLines(transport);
+            });
+        },
+        
+        write: function(text) {
+            return transport.writer.write(encoder.encode(text));
+        },
+        
+        close: function() {
+            transport.closing = true;
+            if (transport.reader) {
+                transport.reader.cancel().catch(function() {});
+            }
+            
+            // The port only closes once the reader and writer locks are released
+            return transport.reading.then(function() {
+                if (transport.writer) {
+                    transport.writer.releaseLock();
+                    transport.writer = null;
+                }
+                return port.close();
+            });
+        }
+    };
+    
+    return transport;
+}
+
+/**
+ * Read lines from a Web Serial port until it is closed or unplugged
+ * @param {Object} transport - Web Serial transport
+ * @returns {Promise} Resolved once reading stopped
+ */
+function readWebSerialLines(transport) {
+    var decoder = new TextDecoder();
+    var reader = transport.port.readable.getReader();
+    var buffer = '';
+    transport.reader = reader;
+    
+    function readNext() {
+        return reader.read().then(function(result) {
+            if (result.done) return null;
+            
+            buffer += decoder.decode(result.value, { stream: true });
+            var lines = buffer.split('\n');
+            buffer = lines.pop();
+            
+            lines.forEach(function(line) {
+                line = line.trim();
+                if (line !== '' && transport.onLine) transport.onLine(line);
+            });
+            return readNext();
+        });
+    }
+    
+    return readNext().catch(function(error) {
+        return error;
+    }).then(function(error) {
+        reader.releaseLock();
+        transport.reader = null;
+        
+        if (transport.onClose) {
+            transport.onClose(transport.closing ? null : error || new Error('Port série fermé'));
+        }
+    });
+}
+
+/**
+ * Create a simulated serial device
+ * It answers like the firmware: a banner when opened, 'ok' after each command,
+ * Marlin line number and checksum checks with 'Resend: N', M114 and GRBL '?'
+ * position reports, GRBL feed hold, resume, soft reset and alarm lock, and
+ * Marlin M112. Each command takes options.lineTime ms; options.errorRate is
+ * the probability that a received line gets corrupted, to exercise resends.
+ * @param {string} protocol - 'marlin' or 'grbl'
+ * @param {Object} options - {lineTime, errorRate}
+ * @returns {Object} Transport, with the device state (position, executed, overflow)
+ */
+function createSimulatedSerialDevice(protocol, options) {
+    var device = {
+        protocol: protocol === 'grbl' ? 'grbl' : 'marlin',
+        settings: Object.assign({ lineTime: SERIAL_SENDER_CONFIG.simulatedLineTime, errorRate: 0 }, options || {}),
+        isOpen: false,
+        input: '',            // Characters of the line being received
+        queue: [],            // Received lines waiting to be executed
+        queuedBytes: 0,       // Bytes held in the receive buffer (GRBL)
+        overflow: false,      // Set when the sender overran the GRBL receive buffer
+        timer: null,
+        held: false,          // GRBL feed hold
+        alarm: false,         // GRBL alarm lock (after a reset in motion)
+        halted: false,        // Marlin killed by M112
+        lastLineNumber: 0,
+        position: { x: 0, y: 0, z: 0, absolute: true },
+        executed: [],         // Commands executed, in order
+        onLine: null,
+        onClose: null,
+        
+        open: function() {
+            device.isOpen = true;
+            resetSimulatedDevice(device);
+            return Promise.resolve();
+        },
+        
+        write: function(text) {
+            if (!device.isOpen) return Promise.reject(new Error('Port série fermé'));
+            
+            for (var i = 0; i < text.length; i++) {
+                receiveSimulatedCharacter(device, text[i]);
+            }
+            return Promise.resolve();
+        },
+        
+        close: function() {
+            device.isOpen = false;
+            clearTimeout(device.timer);
+            device.timer = null;
+            if (device.onClose) device.onClose(null);
+            return Promise.resolve();
+        }
+    };
+    
+    return device;
+}
+
+/**
+ * Send lines from the simulated device (asynchronously, like a serial link)
+ * @param {Object} device - Simulated device
+ * @param {Array} lines - Response lines
+ */
+function replySimulatedDevice(device, lines) {
+    lines.forEach(function(line) {
+        setTimeout(function() {
+            if (device.isOpen && device.onLine) device.onLine(line);
+        }, 0);
+    });
+}
+
+/**
+ * Restart the simulated firmware
+ * @param {Object} device - Simulated device
+ */
+function resetSimulatedDevice(device) {
+    clearTimeout(device.timer);
+    device.timer = null;
+    device.input = '';
+    device.queue = [];
+    device.queuedBytes = 0;
+    device.held = false;
+    device.halted = false;
+    device.lastLineNumber = 0;
+    
+    replySimulatedDevice(device, [device.protocol === 'grbl' ? 'Grbl 1.1h [\'$\' for help]' : 'start']);
+}
+
+/**
+ * Receive one character on the simulated device
+ * @param {Object} device - Simulated device
+ * @param {string} character - Received character
+ */
+function receiveSimulatedCharacter(device, character) {
+    if (device.protocol === 'grbl') {
+        if (character === GRBL_REALTIME.status) {
+            replySimulatedDevice(device, [formatSimulatedGrblStatus(device)]);
+            return;
+        }
+        if (character === GRBL_REALTIME.feedHold) {
+            device.held = true;
+            return;
+        }
+        if (character === GRBL_REALTIME.cycleStart) {
+            device.held = false;
+            scheduleSimulatedDevice(device);
+            return;
+        }
+        if (character === GRBL_REALTIME.softReset) {
+            // A reset during motion loses the position: GRBL locks itself in alarm
+            var moving = device.queue.length > 0 || device.timer !== null;
+            resetSimulatedDevice(device);
+            if (moving) {
+                device.alarm = true;
+                replySimulatedDevice(device, ['ALARM:3', '[MSG:Reset to continue]']);
+            }
+            return;
+        }
+    }
+    
+    if (character === '\r') return;
+    if (character !== '\n') {
+        device.input += character;
+        return;
+    }
+    
+    var line = device.input.trim();
+    device.input = '';
+    if (line === '') return;
+    
+    if (device.protocol === 'marlin' && /^(N\d+\s+)?M112\b/.test(line)) {
+        // Emergency parser: handled on receipt, ahead of the queue
+        device.halted = true;
+        device.queue = [];
+        clearTimeout(device.timer);
+        device.timer = null;
+        replySimulatedDevice(device, ['Error:Printer halted. kill() called!']);
+        return;
+    }
+    if (device.halted) return;
+    
+    if (device.settings.errorRate > 0 && Math.random() < device.settings.errorRate) {
+        var index = Math.floor(Math.random() * line.length);
+        line = line.slice(0, index) + String.fromCharCode(line.charCodeAt(index) ^ 0x04) + line.slice(index + 1);
+    }
+    
+    device.queue.push(line);
+    device.queuedBytes += line.length + 1;
+    if (device.protocol === 'grbl' && device.queuedBytes > SERIAL_SENDER_CONFIG.grblRxBufferSize) {
+        device.overflow = true;
+    }
+    scheduleSimulatedDevice(device);
+}
+
+/**
+ * Execute the next received line after the simulated command time
+ * @param {Object} device - Simulated device
+ */
+function scheduleSimulatedDevice(device) {
+    if (device.timer !== null || device.held || device.queue.length === 0) return;
+    
+    device.timer = setTimeout(function() {
+        device.timer = null;
+        if (!device.isOpen || device.held) return;
+        
+        var line = device.queue.shift();
+        device.queuedBytes -= line.length + 1;
+        replySimulatedDevice(device, executeSimulatedLine(device, line));
+        scheduleSimulatedDevice(device);
+    }, device.settings.lineTime);
+}
+
+/**
+ * Execute one line on the simulated device
+ * @param {Object} device - Simulated device
+ * @param {string} line - Received line
+ * @returns {Array} Response lines
+ */
+function executeSimulatedLine(device, line) {
+    var code = line;
+    
+    if (device.protocol === 'marlin' && /^N/.test(line)) {
+        var numbered = /^N(\d+)\s*(.*)\*(\d+)$/.exec(line);
+        var lastLine = ', Last Line: ' + device.lastLineNumber;
+        var resend = ['Resend: ' + (device.lastLineNumber + 1), 'ok'];
+        
+        if (!numbered || computeGcodeChecksum(line.slice(0, line.lastIndexOf('*'))) !== parseInt(numbered[3], 10)) {
+            return ['Error:checksum mismatch' + lastLine].concat(resend);
+        }
+        
+        var lineNumber = parseInt(numbered[1], 10);
+        code = numbered[2];
+        if (!/^M110\b/.test(code) && lineNumber !== device.lastLineNumber + 1) {
+            return ['Error:Line Number is not Last Line Number+1' + lastLine].concat(resend);
+        }
+        device.lastLineNumber = lineNumber;
+    }
+    
+    code = stripGcodeComment(code);
+    var command = code.toUpperCase();
+    var replies = [];
+    
+    if (device.protocol === 'grbl') {
+        if (/^\$X\b/.test(command)) {
+            device.alarm = false;
+            return ['[MSG:Caution: Unlocked]', 'ok'];
+        }
+        if (device.alarm && !/^\$H\b/.test(command)) return ['error:9'];
+        if (/^\$H\b/.test(command)) device.alarm = false;
+        if (/^M(84|106|107|110|112|114)\b/.test(command) || command.indexOf('*') >= 0) return ['error:20'];
+    } else if (/^M110\b/.test(command)) {
+        var reset = /N(\d+)/.exec(command.slice(4));
+        device.lastLineNumber = reset ? parseInt(reset[1], 10) : 0;
+    } else if (/^M114\b/.test(command)) {
+        var position = device.position;
+        replies.push('X:' + position.x.toFixed(2) + ' Y:' + position.y.toFixed(2) + ' Z:' + position.z.toFixed(2) +
+                     ' E:0.00 Count X:0 Y:0 Z:0');
+    }
+    
+    applyGcodeMotion(device.position, command);
+    device.executed.push(code);
+    replies.push('ok');
+    return replies;
+}
+
+/**
+ * GRBL status report of the simulated device
+ * @param {Object} device - Simulated device
+ * @returns {string} Report '<State|MPos:x,y,z|FS:0,0>'
+ */
+function formatSimulatedGrblStatus(device) {
+    var state = device.alarm ? 'Alarm' :
+        device.held ? 'Hold:0' :
+        device.queue.length > 0 || device.timer !== null ? 'Run' : 'Idle';
+    var position = device.position;
+    
+    return '<' + state + '|MPos:' + position.x.toFixed(3) + ',' + position.y.toFixed(3) + ',' + position.z.toFixed(3) + '|FS:0,0>';
+}
+
+/**
+ * Create a G-code sender on an open transport
+ * @param {Object} transport - Serial transport (see the module comment)
+ * @param {Object} options - {protocol: 'marlin'|'grbl', lineNumbers (Marlin only), laserOff, rxBufferSize}
+ * @returns {Object} Sender state used by the *GcodeSender() functions
+ */
+function createGcodeSender(transport, options) {
+    var sender = {
+        transport: transport,
+        protocol: options.protocol === 'grbl' ? 'grbl' : 'marlin',
+        lineNumbers: options.protocol !== 'grbl' && !!options.lineNumbers,
+        laserOff: options.laserOff || 'M5',
+        rxBufferSize: options.rxBufferSize || SERIAL_SENDER_CONFIG.grblRxBufferSize,
+        state: 'idle',          // 'idle', 'running', 'paused', 'done', 'stopped' or 'error'
+        error: null,            // Message of the failure that ended the job
+        commands: [],           // Job commands without comments
+        nextIndex: 0,           // Next job command to send
+        acknowledged: 0,        // Job commands acknowledged by the firmware
+        manualQueue: [],        // Commands sent outside the job, ahead of it
+        inFlight: [],           // Sent and not yet acknowledged {command, text, bytes, index}
+        bufferUsed: 0,          // Bytes in flight (GRBL receive buffer)
+        resendFrom: null,       // Line number asked by Marlin 'Resend: N'
+        lastLaserCommand: null, // Last laser command of the job, sent again on resume
+        laserParked: false,     // The laser was turned off by a Marlin pause
+        position: { x: 0, y: 0, z: 0, absolute: true }, // Head position after the acknowledged commands
+        onLine: null,           // function(line) for every line received
+        onProgress: null,       // function(sender) after each acknowledged job command
+        onStateChange: null     // function(sender)
+    };
+    
+    transport.onLine = function(line) {
+        handleGcodeSenderLine(sender, line);
+    };
+    return sender;
+}
+
+/**
+ * Turn a program into the commands sent to the machine
+ * Comments, blank lines and any existing line numbering are removed.
+ * @param {string} text - G-code program
+ * @returns {Array} Commands
+ */
+function prepareGcodeSenderProgram(text) {
+    var commands = [];
+    
+    text.split('\n').forEach(function(line) {
+        var code = stripGcodeComment(line).replace(/^N\d+\s*/, '').replace(/\*\d+$/, '').trim();
+        if (code === '' || /^M110\b/.test(code)) return;
+        commands.push(code);
+    });
+    return commands;
+}
+
+/**
+ * Start streaming a program
+ * @param {Object} sender - G-code sender
+ * @param {string} text - G-code program
+ */
+function startGcodeSenderJob(sender, text) {
+    if (sender.state === 'running' || sender.state === 'paused') {
+        throw new Error('Un envoi est déjà en cours');
+    }
+    
+    var commands = prepareGcodeSenderProgram(text);
+    // Numbered lines start with a reset of the firmware line counter, sent as line 0
+    if (sender.lineNumbers) commands.unshift('M110 N0');
+    
+    sender.commands = commands;
+    sender.nextIndex = 0;
+    sender.acknowledged = 0;
+    sender.resendFrom = null;
+    sender.lastLaserCommand = null;
+    sender.laserParked = false;
+    sender.error = null;
+    
+    setGcodeSenderState(sender, 'running');
+    pumpGcodeSender(sender);
+}
+
+/**
+ * Send a single command through the flow control, ahead of the job
+ * @param {Object} sender - G-code sender
+ * @param {string} command - G-code command
+ */
+function sendGcodeSenderCommand(sender, command) {
+    var code = stripGcodeComment(command);
+    if (code === '') return;
+    
+    sender.manualQueue.push(code);
+    pumpGcodeSender(sender);
+}
+
+/**
+ * Send text straight to the machine, outside the flow control (GRBL real-time commands)
+ * @param {Object} sender - G-code sender
+ * @param {string} text - Raw text
+ */
+function writeGcodeSender(sender, text) {
+    sender.transport.write(text).catch(function(error) {
+        failGcodeSender(sender, 'Écriture sur le port série impossible : ' + error.message, true);
+    });
+}
+
+/**
+ * Send queued commands while the firmware can take them
+ * @param {Object} sender - G-code sender
+ */
+function pumpGcodeSender(sender) {
+    for (;;) {
+        var item = null;
+        
+        if (sender.manualQueue.length > 0) {
+            item = { command: sender.manualQueue[0], text: sender.manualQueue[0], index: -1 };
+        } else if (sender.state === 'running' && sender.nextIndex < sender.commands.length) {
+            var command = sender.commands[sender.nextIndex];
+            item = {
+                command: command,
+                text: sender.lineNumbers ? formatNumberedGcodeLine(command, sender.nextIndex) : command,
+                index: sender.nextIndex
+            };
+        }
+        if (!item) return;
+        
+        item.bytes = item.text.length + 1;
+        if (sender.inFlight.length > 0 &&
+            (sender.protocol === 'marlin' || sender.bufferUsed + item.bytes > sender.rxBufferSize)) {
+            return;
+        }
+        
+        if (item.index >= 0) {
+            sender.nextIndex++;
+            if (/^M(3|4|5|106|107)\b/.test(item.command)) sender.lastLaserCommand = item.command;
+        } else {
+            sender.manualQueue.shift();
+        }
+        
+        sender.inFlight.push(item);
+        sender.bufferUsed += item.bytes;
+        writeGcodeSender(sender, item.text + '\n');
+    }
+}
+
+/**
+ * Handle a line received from the machine
+ * @param {Object} sender - G-code sender
+ * @param {string} line - Received line
+ */
+function handleGcodeSenderLine(sender, line) {
+    if (sender.onLine) sender.onLine(line);
+    
+    var resend = /^(?:Resend|rs):?\s*N?(\d+)/i.exec(line);
+    if (resend) {
+        sender.resendFrom = parseInt(resend[1], 10);
+        return;
+    }
+    
+    if (/^ok\b/.test(line)) {
+        acknowledgeGcodeSenderCommand(sender, null);
+    } else if (sender.protocol === 'grbl' && /^error:/.test(line)) {
+        acknowledgeGcodeSenderCommand(sender, line);
+    } else if (/^ALARM:/.test(line)) {
+        failGcodeSender(sender, 'Alarme de la machine (' + line + ')', true);
+    } else if (/halted|kill\(\)/i.test(line)) {
+        failGcodeSender(sender, 'Machine arrêtée (' + line + ')', true);
+    } else if (line === 'start' || /^Grbl \d/.test(line)) {
+        // The firmware restarted: everything in flight is lost
+        sender.inFlight = [];
+        sender.bufferUsed = 0;
+        sender.manualQueue = [];
+        sender.resendFrom = null;
+        failGcodeSender(sender, 'La machine a redémarré pendant l\'envoi', true);
+    }
+}
+
+/**
+ * Acknowledge the oldest command in flight
+ * @param {Object} sender - G-code sender
+ * @param {string|null} error - GRBL error response, null for 'ok'
+ */
+function acknowledgeGcodeSenderCommand(sender, error) {
+    var item = sender.inFlight.shift();
+    if (!item) return;
+    sender.bufferUsed -= item.bytes;
+    
+    if (sender.resendFrom !== null) {
+        // Marlin dropped a corrupted line: replay the job from the requested line
+        sender.nextIndex = Math.max(0, Math.min(sender.commands.length, sender.resendFrom));
+        sender.acknowledged = sender.nextIndex;
+        sender.resendFrom = null;
+    } else {
+        if (!error) applyGcodeMotion(sender.position, item.command);
+        
+        if (item.index >= 0) {
+            sender.acknowledged++;
+            if (sender.onProgress) sender.onProgress(sender);
+            
+            if (error) {
+                failGcodeSender(sender, error + ' sur « ' + item.command + ' »', false);
+            } else if (sender.state === 'running' && sender.acknowledged >= sender.commands.length) {
+                setGcodeSenderState(sender, 'done');
+            }
+        }
+    }
+    
+    if (sender.state === 'paused' && sender.protocol === 'marlin' && !sender.laserParked && sender.inFlight.length === 0) {
+        parkGcodeSenderLaser(sender);
+    }
+    pumpGcodeSender(sender);
+}
+
+/**
+ * Turn the laser off while a Marlin job is paused
+ * Marlin has no feed hold: the pause only stops sending, and the laser would stay
+ * on at the last power once the machine runs out of moves.
+ * @param {Object} sender - G-code sender
+ */
+function parkGcodeSenderLaser(sender) {
+    sender.laserParked = true;
+    sendGcodeSenderCommand(sender, sender.laserOff);
+}
+
+/**
+ * Pause the job
+ * GRBL stops at once (feed hold, the laser mode turns the laser off); Marlin
+ * finishes the commands it already has, then the laser is turned off.
+ * @param {Object} sender - G-code sender
+ */
+function pauseGcodeSender(sender) {
+    if (sender.state !== 'running') return;
+    setGcodeSenderState(sender, 'paused');
+    
+    if (sender.protocol === 'grbl') {
+        writeGcodeSender(sender, GRBL_REALTIME.feedHold);
+    } else if (sender.inFlight.length === 0) {
+        parkGcodeSenderLaser(sender);
+    }
+}
+
+/**
+ * Resume a paused job
+ * @param {Object} sender - G-code sender
+ */
+function resumeGcodeSender(sender) {
+    if (sender.state !== 'paused') return;
+    
+    if (sender.protocol === 'grbl') {
+        writeGcodeSender(sender, GRBL_REALTIME.cycleStart);
+    } else if (sender.laserParked) {
+        // Restore the laser state of the job before its next move
+        sender.laserParked = false;
+        if (sender.lastLaserCommand) sender.manualQueue.push(sender.lastLaserCommand);
+    }
+    
+    setGcodeSenderState(sender, 'running');
+    pumpGcodeSender(sender);
+}
+
+/**
+ * Emergency stop: laser off and machine halted, bypassing the flow control
+ * GRBL gets a feed hold and a soft reset; Marlin gets the laser off command and
+ * M112 (handled on receipt by the emergency parser, the machine must then be reset).
+ * @param {Object} sender - G-code sender
+ */
+function emergencyStopGcodeSender(sender) {
+    sender.manualQueue = [];
+    sender.inFlight = [];
+    sender.bufferUsed = 0;
+    sender.resendFrom = null;
+    sender.laserParked = false;
+    
+    setGcodeSenderState(sender, 'stopped');
+    writeGcodeSender(sender, sender.protocol === 'grbl' ?
+        GRBL_REALTIME.feedHold + GRBL_REALTIME.softReset :
+        sender.laserOff + '\nM112\n');
+}
+
+/**
+ * End the job after a failure
+ * @param {Object} sender - G-code sender
+ * @param {string} message - Failure description
+ * @param {boolean} laserAlreadyOff - True when the machine cannot take a laser off command (halted, reset, link down)
+ */
+function failGcodeSender(sender, message, laserAlreadyOff) {
+    if (sender.state !== 'running' && sender.state !== 'paused') return;
+    
+    sender.error = message;
+    setGcodeSenderState(sender, 'error');
+    if (!laserAlreadyOff) sendGcodeSenderCommand(sender, sender.laserOff);
+}
+
+/**
+ * Change the sender state
+ * @param {Object} sender - G-code sender
+ * @param {string} state - New state
+ */
+function setGcodeSenderState(sender, state) {
+    sender.state = state;
+    if (sender.onStateChange) sender.onStateChange(sender);
+}
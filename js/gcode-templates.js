@@ -0,0 +1,215 @@
+/**
+ * G-code Templates Module
+ * Start and end G-code of machine profiles, written as templates with
+ * {variable} placeholders and {if ...}{else}{endif} blocks. DOM-free.
+ *
+ * Conditions are a variable name ({if inline_power}), its negation
+ * ({if !inline_power}) or a comparison with a literal ({if dialect == grbl},
+ * {if dialect != grbl}). Lines left empty by placeholders or conditions are
+ * dropped; empty template lines are kept.
+ */
+
+/**
+ * Variables available in templates, with their description for the profile dialog
+ */
+const GCODE_TEMPLATE_VARIABLES = {
+    job_name: 'nom du projet',
+    date: 'date et heure de l\'export',
+    width_mm: 'largeur du contenu (mm)',
+    height_mm: 'hauteur du contenu (mm)',
+    bounds_min_x: 'X minimum du contenu (mm)',
+    bounds_min_y: 'Y minimum du contenu (mm)',
+    bounds_max_x: 'X maximum du contenu (mm)',
+    bounds_max_y: 'Y maximum du contenu (mm)',
+    power: 'puissance max du travail (0-255)',
+    power_percent: 'puissance max du travail (%)',
+    speed: 'vitesse de gravure (mm/min)',
+    travel_rate: 'vitesse de déplacement (mm/min)',
+    estimated_time: 'durée estimée du raster (min)',
+    dialect: 'clé du dialecte (marlin_fan, grbl...)',
+    laser_off: 'commande laser éteint du dialecte',
+    inline_power: 'vrai si la puissance est sur les G1',
+    inline_start: 'commande d\'activation du laser en puissance sur les G1',
+    dialect_start: 'commandes de début du dialecte',
+    dialect_end: 'commandes de fin du dialecte'
+};
+
+/**
+ * Default start template (the header used before templates existed)
+ */
+const DEFAULT_GCODE_START_TEMPLATE = [
+    '; Initialize machine',
+    'G21 ; Set units to millimeters',
+    'G90 ; Absolute positioning',
+    'G92 X0 Y0 Z0 ; Set current position as origin (0,0,0)',
+    'F{travel_rate} ; Set travel feed rate',
+    '{dialect_start}',
+    '{laser_off} ; Ensure laser is off',
+    '{if dialect == grbl}G4 P0.5{else}G4 P500{endif} ; Wait 500ms for machine stability',
+    '{if inline_power}{inline_start}{endif}'
+].join('\n');
+
+/**
+ * Default end template (the footer used before templates existed)
+ */
+const DEFAULT_GCODE_END_TEMPLATE = [
+    '; End engraving',
+    '{laser_off} ; Turn off laser',
+    'G0 X0 Y0 ; Return to origin',
+    '{dialect_end}',
+    '; End of G-code'
+].join('\n');
+
+/**
+ * Split a template line into text and {tag} tokens
+ * @param {string} line - Template line
+ * @returns {Array} Tokens {text} or {tag}
+ */
+function tokenizeGcodeTemplateLine(line) {
+    var tokens = [];
+    var pattern = /\{([^{}]*)\}/g;
+    var last = 0;
+    var match;
+    
+    while ((match = pattern.exec(line)) !== null) {
+        if (match.index > last) tokens.push({ text: line.slice(last, match.index) });
+        tokens.push({ tag: match[1].trim() });
+        last = pattern.lastIndex;
+    }
+    if (last < line.length) tokens.push({ text: line.slice(last) });
+    return tokens;
+}
+
+/**
+ * Parse a block tag
+ * @param {string} tag - Tag content without braces
+ * @returns {Object} {type: 'if'|'else'|'endif'|'variable', name, negate, operator, value}
+ */
+function parseGcodeTemplateTag(tag) {
+    if (tag === 'else' || tag === 'endif') return { type: tag };
+    
+    var condition = /^if\s+(!?)\s*([a-z_]+)\s*(?:(==|!=)\s*(\S+))?$/.exec(tag);
+    if (condition) {
+        return { type: 'if', negate: condition[1] === '!', name: condition[2], operator: condition[3], value: condition[4] };
+    }
+    if (/^if\b/.test(tag)) return { type: 'if', name: null };
+    
+    return { type: 'variable', name: tag };
+}
+
+/**
+ * Check a template for unknown variables and unbalanced conditions
+ * @param {string} template - Template text
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validateGcodeTemplate(template) {
+    var errors = [];
+    var depth = 0;
+    var elseSeen = [];
+    
+    (template || '').split('\n').forEach(function(line, index) {
+        var where = ' (ligne ' + (index + 1) + ')';
+        
+        tokenizeGcodeTemplateLine(line).forEach(function(token) {
+            if (token.tag === undefined) return;
+            
+            var tag = parseGcodeTemplateTag(token.tag);
+            if (tag.type === 'if') {
+                if (!tag.name) {
+                    errors.push('Condition invalide : {' + token.tag + '}' + where);
+                } else if (!GCODE_TEMPLATE_VARIABLES.hasOwnProperty(tag.name)) {
+                    errors.push('Variable inconnue dans la condition : ' + tag.name + where);
+                }
+                depth++;
+                elseSeen.push(false);
+            } else if (tag.type === 'else') {
+                if (depth === 0) {
+                    errors.push('{else} sans {if}' + where);
+                } else if (elseSeen[depth - 1]) {
+                    errors.push('{else} en double' + where);
+                } else {
+                    elseSeen[depth - 1] = true;
+                }
+            } else if (tag.type === 'endif') {
+                if (depth === 0) {
+                    errors.push('{endif} sans {if}' + where);
+                } else {
+                    depth--;
+                    elseSeen.pop();
+                }
+            } else if (!GCODE_TEMPLATE_VARIABLES.hasOwnProperty(tag.name)) {
+                errors.push('Variable inconnue : {' + token.tag + '}' + where);
+            }
+        });
+    });
+    
+    if (depth > 0) {
+        errors.push(depth + ' bloc(s) {if} non fermé(s) par {endif}');
+    }
+    return errors;
+}
+
+/**
+ * Evaluate an {if} condition
+ * @param {Object} tag - Parsed if tag
+ * @param {Object} variables - Template variables
+ * @returns {boolean} Condition result
+ */
+function evaluateGcodeTemplateCondition(tag, variables) {
+    var value = variables[tag.name];
+    var result = tag.operator ?
+        (String(value) === tag.value) === (tag.operator === '==') :
+        !!value && value !== '0' && value !== 'false';
+    
+    return tag.negate ? !result : result;
+}
+
+/**
+ * Render a template
+ * The template is expected to be valid (see validateGcodeTemplate).
+ * @param {string} template - Template text
+ * @param {Object} variables - Values by variable name
+ * @returns {Array} G-code lines
+ */
+function renderGcodeTemplate(template, variables) {
+    var lines = [];
+    // One entry per open {if}: whether its current branch is emitted
+    var stack = [];
+    
+    function isActive() {
+        return stack.every(function(entry) {
+            return entry.active;
+        });
+    }
+    
+    (template || '').split('\n').forEach(function(line) {
+        var rendered = '';
+        
+        tokenizeGcodeTemplateLine(line).forEach(function(token) {
+            if (token.tag === undefined) {
+                if (isActive()) rendered += token.text;
+                return;
+            }
+            
+            var tag = parseGcodeTemplateTag(token.tag);
+            if (tag.type === 'if') {
+                var condition = evaluateGcodeTemplateCondition(tag, variables);
+                stack.push({ condition: condition, active: condition });
+            } else if (tag.type === 'else' && stack.length > 0) {
+                stack[stack.length - 1].active = !stack[stack.length - 1].condition;
+            } else if (tag.type === 'endif') {
+                stack.pop();
+            } else if (isActive() && variables[tag.name] !== undefined) {
+                rendered += variables[tag.name];
+            }
+        });
+        
+        if (line.trim() === '') {
+            if (isActive()) lines.push('');
+        } else if (rendered.trim() !== '') {
+            Array.prototype.push.apply(lines, rendered.split('\n'));
+        }
+    });
+    
+    return lines;
+}
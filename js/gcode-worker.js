@@ -0,0 +1,103 @@
+/**
+ * G-code Worker
+ * Runs the raster engine off the main thread so the page stays responsive
+ * while large images are converted. Spawned by runRasterJob() in export.js.
+ */
+
+importScripts('gcode-dialects.js', 'dithering.js', 'raster-engine.js');
+
+var LASER_CONFIG = null;
+var resumeJob = null;  // Continues the job once the page has written the last batch
+
+/**
+ * Post a progress update to the page
+ * @param {number} percent - Progress of the raster stage (0-100)
+ * @param {string} message - Main status text
+ * @param {string} details - Secondary status text
+ */
+function postProgress(percent, message, details) {
+    self.postMessage({ type: 'progress', percent: percent, message: message, details: details });
+}
+
+/**
+ * Send generated lines to the page, which appends them to its G-code writer
+ * @param {Array} lines - G-code lines
+ */
+function postLines(lines) {
+    if (lines.length === 0) return;
+    self.postMessage({ type: 'chunk', text: lines.join('\n') + '\n', lineCount: lines.length });
+}
+
+/**
+ * Generate raster G-code for one job message {config, image, passes}
+ * Output is streamed batch by batch instead of being accumulated here. After
+ * each batch the worker waits for a 'continue' message, which the page sends
+ * once its G-code writer has caught up with the file on disk.
+ * @param {Object} message - Job description posted by the page
+ */
+function runJob(message) {
+    // The worker has its own global scope: use the settings snapshot taken at export time
+    LASER_CONFIG = message.config;
+    
+    var passes = message.passes;
+    var p = 0;
+    var job = null;
+    var passLabel = '';
+    var passStart = 0;
+    var passShare = 0;
+    
+    function startPass() {
+        job = createRasterJob(message.image, passes[p]);
+        passLabel = passes.length > 1 ? ' (passe ' + (p + 1) + '/' + passes.length + ')' : '';
+        
+        // Each pass gets an equal share of the 40-90% progress range
+        passStart = 40 + (p / passes.length) * 50;
+        passShare = 50 / passes.length;
+        
+        postProgress(p === 0 ? 30 : passStart, 'Pré-analyse des lignes...' + passLabel, 'Optimisation des performances');
+        postLines(getRasterPassHeader(passes[p]));
+        postLines(analyzeRasterRows(job));
+        postProgress(passStart, 'Génération optimisée...' + passLabel, `0/${job.nonEmptyRows.length} lignes avec contenu`);
+        
+        continueJob();
+    }
+    
+    function continueJob() {
+        if (!isRasterJobComplete(job)) {
+            postLines(processOptimizedRowsBatch(job));
+            
+            var totalRows = job.nonEmptyRows.length;
+            var progress = Math.round((job.processedRows / totalRows) * 100);
+            postProgress(passStart + (progress / 100) * passShare, 'Optimisation...' + passLabel, `${job.processedRows}/${totalRows} lignes avec contenu (${progress}%)`);
+            
+            resumeJob = continueJob;
+            self.postMessage({ type: 'drain' });
+            return;
+        }
+        
+        postLines(getRasterPassFooter(passes[p]));
+        p++;
+        
+        if (p < passes.length) {
+            startPass();
+        } else {
+            self.postMessage({ type: 'done' });
+        }
+    }
+    
+    startPass();
+}
+
+self.onmessage = function(event) {
+    try {
+        if (event.data.type === 'continue') {
+            var resume = resumeJob;
+            resumeJob = null;
+            if (resume) resume();
+        } else {
+            runJob(event.data);
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,176 @@
+/**
+ * G-code Writer Module
+ * Streams G-code lines to disk (File System Access API) or into Blob parts,
+ * so large jobs never have to exist as one giant string in memory. An optional
+ * post-processor (see gcode-postprocess.js) rewrites each text chunk on its way out.
+ */
+
+/**
+ * Writer tuning
+ */
+const GCODE_WRITER_CONFIG = {
+    chunkLines: 4096,      // Lines joined into one text chunk
+    chunksPerPart: 64,     // Text chunks folded into one Blob part
+    maxQueuedChars: 4 * 1024 * 1024 // Characters waiting for the file stream before producers must wait
+};
+
+/**
+ * Create a G-code writer
+ * @param {FileSystemWritableFileStream|null} stream - Destination file stream, or null to build a Blob
+ * @param {Object|null} postProcessor - Optional processor whose process(text) rewrites every chunk
+ * @returns {Object} Writer state used by the writeGcode*() functions
+ */
+function createGcodeWriter(stream, postProcessor) {
+    return {
+        stream: stream || null,
+        postProcessor: postProcessor || null,
+        lines: [],
+        chunks: [],
+        parts: [],
+        lineCount: 0,
+        pending: Promise.resolve(),
+        queuedChars: 0,
+        error: null,
+        closed: false
+    };
+}
+
+/**
+ * Append one line of G-code
+ * @param {Object} writer - G-code writer
+ * @param {string} line - Line without trailing newline
+ */
+function writeGcodeLine(writer, line) {
+    writer.lines.push(line);
+    writer.lineCount++;
+    
+    if (writer.lines.length >= GCODE_WRITER_CONFIG.chunkLines) {
+        flushGcodeLines(writer);
+    }
+}
+
+/**
+ * Append several lines of G-code
+ * @param {Object} writer - G-code writer
+ * @param {Array} lines - Lines without trailing newlines
+ */
+function writeGcodeLines(writer, lines) {
+    for (var i = 0; i < lines.length; i++) {
+        writeGcodeLine(writer, lines[i]);
+    }
+}
+
+/**
+ * Append a block of text that already ends with a newline (e.g. a chunk from the worker)
+ * @param {Object} writer - G-code writer
+ * @param {string} text - Newline-terminated text
+ * @param {number} lineCount - Number of lines in the text
+ */
+function writeGcodeChunk(writer, text, lineCount) {
+    flushGcodeLines(writer);
+    writer.lineCount += lineCount;
+    appendGcodeChunk(writer, text);
+}
+
+/**
+ * Join buffered lines into a text chunk
+ * @param {Object} writer - G-code writer
+ */
+function flushGcodeLines(writer) {
+    if (writer.lines.length === 0) return;
+    
+    var text = writer.lines.join('\n') + '\n';
+    writer.lines = [];
+    appendGcodeChunk(writer, text);
+}
+
+/**
+ * Send a text chunk to the file stream or to the Blob parts
+ * @param {Object} writer - G-code writer
+ * @param {string} text - Newline-terminated text
+ */
+function appendGcodeChunk(writer, text) {
+    if (writer.postProcessor) {
+        text = writer.postProcessor.process(text);
+        if (text === '') return;
+    }
+    
+    if (writer.stream) {
+        // Writes are queued so they reach the file in order
+        writer.queuedChars += text.length;
+        writer.pending = writer.pending.then(function() {
+            if (writer.error) return;
+            return writer.stream.write(text);
+        }).catch(function(error) {
+            writer.error = error;
+        }).then(function() {
+            writer.queuedChars -= text.length;
+        });
+        return;
+    }
+    
+    writer.chunks.push(text);
+    
+    // Fold strings into a Blob so the browser can move them out of the JS heap
+    if (writer.chunks.length >= GCODE_WRITER_CONFIG.chunksPerPart) {
+        writer.parts.push(new Blob(writer.chunks, { type: 'text/plain' }));
+        writer.chunks = [];
+    }
+}
+
+/**
+ * Wait until the file stream has caught up
+ * Producers call this between batches, so a slow disk slows the generation down
+ * instead of piling chunks up in memory. Blob writers never wait.
+ * @param {Object} writer - G-code writer
+ * @returns {Promise} Resolves once the queued text is back under GCODE_WRITER_CONFIG.maxQueuedChars
+ */
+function waitForGcodeWriter(writer) {
+    if (!writer.stream || writer.queuedChars <= GCODE_WRITER_CONFIG.maxQueuedChars) {
+        return Promise.resolve();
+    }
+    return writer.pending;
+}
+
+/**
+ * Finish writing
+ * @param {Object} writer - G-code writer
+ * @returns {Promise<Blob|null>} The G-code Blob, or null when written to a file stream
+ */
+function closeGcodeWriter(writer) {
+    flushGcodeLines(writer);
+    writer.closed = true;
+    
+    if (writer.stream) {
+        return writer.pending.then(function() {
+            if (writer.error) throw writer.error;
+            return writer.stream.close();
+        }).then(function() {
+            return null;
+        });
+    }
+    
+    var blob = new Blob(writer.parts.concat(writer.chunks), { type: 'text/plain' });
+    writer.parts = [];
+    writer.chunks = [];
+    return Promise.resolve(blob);
+}
+
+/**
+ * Discard everything written so far (the target file is left untouched)
+ * @param {Object} writer - G-code writer
+ */
+function abortGcodeWriter(writer) {
+    writer.lines = [];
+    writer.chunks = [];
+    writer.parts = [];
+    
+    if (writer.stream && !writer.closed) {
+        writer.closed = true;
+        writer.pending.then(function() {
+            return writer.stream.abort();
+        }).catch(function(error) {
+            console.warn('Could not abort G-code file stream:', error);
+        });
+    }
+}
@@ -201,3 +201,136 @@ function convertSelectedToGrayscale() {
         alert('Veuillez sélectionner une image à convertir en niveaux de gris');
     }
 }
+
+/**
+ * Open the tracing dialog for the selected image
+ */
+function showTraceDialog() {
+    var activeObject = canvas.getActiveObject();
+    if (!activeObject || activeObject.type !== 'image') {
+        alert('Veuillez sélectionner une image à vectoriser');
+        return;
+    }
+    
+    ModalManager.open('traceModal');
+}
+
+/**
+ * Close the tracing dialog
+ */
+function closeTraceDialog() {
+    ModalManager.close('traceModal');
+}
+
+/**
+ * Read the tracing options from the dialog
+ * @returns {Object} Tracing options (see TRACE_DEFAULTS)
+ */
+function readTraceOptions() {
+    function readNumber(id, fallback, min, max) {
+        var value = parseFloat(document.getElementById(id).value);
+        return isNaN(value) ? fallback : Math.min(max, Math.max(min, value));
+    }
+    
+    return {
+        method: document.getElementById('traceMethod').value === 'centerline' ? 'centerline' : 'outline',
+        threshold: readNumber('traceThreshold', TRACE_DEFAULTS.threshold, 1, 255),
+        invert: document.getElementById('traceInvert').checked,
+        despeckle: readNumber('traceDespeckle', TRACE_DEFAULTS.despeckle, 0, 10000),
+        simplify: readNumber('traceSimplify', TRACE_DEFAULTS.simplify, 0.1, 10),
+        cornerAngle: readNumber('traceCornerAngle', TRACE_DEFAULTS.cornerAngle, 0, 180),
+        minLength: readNumber('traceMinLength', TRACE_DEFAULTS.minLength, 0, 10000),
+        maxSize: TRACE_DEFAULTS.maxSize
+    };
+}
+
+/**
+ * Convert path commands into fabric.Path data
+ * @param {Array} commands - Path commands (see transformPathCommands)
+ * @returns {Array} Fabric path data [['M', x, y], ...]
+ */
+function toFabricPathData(commands) {
+    return commands.map(function(command) {
+        switch (command.type) {
+            case 'Q': return ['Q', command.x1, command.y1, command.x, command.y];
+            case 'C': return ['C', command.x1, command.y1, command.x2, command.y2, command.x, command.y];
+            case 'Z': return ['Z'];
+            default: return [command.type, command.x, command.y];
+        }
+    });
+}
+
+/**
+ * Trace the selected image into an editable vector path
+ * The image is thresholded at (up to) TRACE_DEFAULTS.maxSize pixels and its
+ * contours, or the centerlines of its strokes, are placed exactly over it; the
+ * path then follows the vector export. Centerlines are open strokes, so they are
+ * scored or cut rather than filled.
+ */
+function traceSelectedImage() {
+    var image = canvas.getActiveObject();
+    if (!image || image.type !== 'image') {
+        alert('Veuillez sélectionner une image à vectoriser');
+        return;
+    }
+    
+    var options = readTraceOptions();
+    var laserMode = document.getElementById('traceLaserMode').value;
+    if (options.method === 'centerline' && laserMode === 'fill') {
+        laserMode = 'score';
+    }
+    var replaceImage = document.getElementById('traceReplace').checked;
+    
+    // Draw the image at tracing resolution
+    var element = image.getElement();
+    var scale = Math.min(1, options.maxSize / Math.max(image.width, image.height));
+    var bitmapCanvas = document.createElement('canvas');
+    bitmapCanvas.width = Math.max(1, Math.round(image.width * scale));
+    bitmapCanvas.height = Math.max(1, Math.round(image.height * scale));
+    var ctx = bitmapCanvas.getContext('2d');
+    ctx.drawImage(element, 0, 0, bitmapCanvas.width, bitmapCanvas.height);
+    
+    var pixels = ctx.getImageData(0, 0, bitmapCanvas.width, bitmapCanvas.height).data;
+    var bitmap = thresholdImageData(pixels, bitmapCanvas.width, bitmapCanvas.height, options.threshold, options.invert);
+    var traced = options.method === 'centerline' ?
+        traceBitmapCenterlines(bitmap, bitmapCanvas.width, bitmapCanvas.height, options) :
+        traceBitmapOutlines(bitmap, bitmapCanvas.width, bitmapCanvas.height, options);
+    
+    if (traced.contourCount === 0) {
+        alert('Aucun tracé trouvé. Ajustez le seuil, la longueur minimale ou inversez l\'image.');
+        return;
+    }
+    
+    // Bitmap pixels -> image local coordinates (centered) -> canvas coordinates
+    var matrix = image.calcTransformMatrix();
+    var ratioX = image.width / bitmapCanvas.width;
+    var ratioY = image.height / bitmapCanvas.height;
+    var commands = transformPathCommands(traced.commands, function(point) {
+        return fabric.util.transformPoint(
+            new fabric.Point(point.x * ratioX - image.width / 2, point.y * ratioY - image.height / 2),
+            matrix
+        );
+    });
+    
+    var isFill = laserMode === 'fill';
+    var path = new fabric.Path(toFabricPathData(commands), {
+        fill: isFill ? '#000000' : 'transparent',
+        stroke: isFill ? null : '#000000',
+        strokeWidth: isFill ? 0 : 1,
+        fillRule: 'evenodd',
+        selectable: true
+    });
+    
+    canvas.add(path);
+    canvas.setActiveObject(path);
+    setObjectLaserMode(laserMode);
+    
+    if (replaceImage) {
+        canvas.remove(image);
+    }
+    canvas.renderAll();
+    
+    closeTraceDialog();
+    displayObjectDimensions(path);
+    showStatusMessage('Image vectorisée: ' + traced.contourCount + (options.method === 'centerline' ? ' trait(s)' : ' contour(s)'), 'success');
+}
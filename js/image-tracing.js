@@ -0,0 +1,527 @@
+/**
+ * Image Tracing Module
+ * DOM-free raster-to-vector conversion: the image is thresholded into a bitmap,
+ * the boundaries between ink and background are followed along the pixel grid,
+ * simplified into polygons and smoothed into curves except at corners.
+ * Line art can instead be thinned to a skeleton and traced as single strokes.
+ * Coordinates are in bitmap pixels (origin top-left, Y down).
+ */
+
+/**
+ * Default tracing options
+ */
+const TRACE_DEFAULTS = {
+    method: 'outline',    // 'outline' (filled shapes) or 'centerline' (single strokes)
+    threshold: 128,       // Gray level (0-255) below which a pixel is ink
+    invert: false,        // Trace light areas instead of dark ones
+    despeckle: 4,         // Contours enclosing fewer pixels than this are dropped
+    simplify: 1,          // Polygon simplification tolerance in pixels
+    cornerAngle: 60,      // Turns sharper than this (degrees) stay corners, the others become curves
+    minLength: 10,        // Centerline strokes shorter than this (pixels) are dropped
+    maxSize: 2000         // Longest bitmap side in pixels (larger images are traced downscaled)
+};
+
+/**
+ * Threshold RGBA pixels into an ink bitmap
+ * Transparent pixels count as white, as on the canvas.
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number} threshold - Gray level (0-255) below which a pixel is ink
+ * @param {boolean} invert - Treat light pixels as ink
+ * @returns {Uint8Array} 1 for ink, 0 for background, row-major
+ */
+function thresholdImageData(data, width, height, threshold, invert) {
+    var bitmap = new Uint8Array(width * height);
+    
+    for (var i = 0; i < bitmap.length; i++) {
+        var offset = i * 4;
+        var gray = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+        var alpha = data[offset + 3] / 255;
+        var composited = 255 - alpha * (255 - gray);
+        
+        bitmap[i] = (invert ? composited >= threshold : composited < threshold) ? 1 : 0;
+    }
+    return bitmap;
+}
+
+/**
+ * Follow the boundaries between ink and background along the pixel grid
+ * Boundary edges are oriented with the ink on their right (on screen), so outer
+ * contours run clockwise and holes counter-clockwise. Where two ink pixels only
+ * touch by a corner the path always turns right, keeping them apart.
+ * @param {Uint8Array} bitmap - Ink bitmap
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Array} Closed contours, each an array of grid vertices {x, y} (not repeated at the end)
+ */
+function extractBitmapContours(bitmap, width, height) {
+    var stride = width + 1;
+    var edges = [];
+    var outgoing = new Map();
+    
+    function isInk(x, y) {
+        return x >= 0 && y >= 0 && x < width && y < height && bitmap[y * width + x] === 1;
+    }
+    
+    function addEdge(x1, y1, x2, y2) {
+        var key = y1 * stride + x1;
+        var edge = { x1: x1, y1: y1, x2: x2, y2: y2, used: false };
+        edges.push(edge);
+        if (!outgoing.has(key)) outgoing.set(key, []);
+        outgoing.get(key).push(edge);
+    }
+    
+    for (var y = 0; y < height; y++) {
+        for (var x = 0; x < width; x++) {
+            if (!isInk(x, y)) continue;
+            if (!isInk(x, y - 1)) addEdge(x, y, x + 1, y);
+            if (!isInk(x + 1, y)) addEdge(x + 1, y, x + 1, y + 1);
+            if (!isInk(x, y + 1)) addEdge(x + 1, y + 1, x, y + 1);
+            if (!isInk(x - 1, y)) addEdge(x, y + 1, x, y);
+        }
+    }
+    
+    var contours = [];
+    for (var e = 0; e < edges.length; e++) {
+        if (edges[e].used) continue;
+        
+        var first = edges[e];
+        var edge = first;
+        var contour = [];
+        
+        while (true) {
+            edge.used = true;
+            contour.push({ x: edge.x1, y: edge.y1 });
+            
+            var dx = edge.x2 - edge.x1;
+            var dy = edge.y2 - edge.y1;
+            var candidates = outgoing.get(edge.y2 * stride + edge.x2).filter(function(next) {
+                return !next.used || next === first;
+            });
+            
+            // Right turn of (dx, dy) on screen is (-dy, dx)
+            var next = candidates.find(function(candidate) {
+                return candidate.x2 - candidate.x1 === -dy && candidate.y2 - candidate.y1 === dx;
+            }) || candidates[0];
+            
+            if (!next || next === first) break;
+            edge = next;
+        }
+        
+        contours.push(contour);
+    }
+    
+    return contours;
+}
+
+/**
+ * Douglas-Peucker refinement: keep the farthest point of each range while it
+ * deviates more than the tolerance from the range chord
+ * @param {Array} points - Points
+ * @param {Uint8Array} keep - Kept flags, updated in place
+ * @param {Array} stack - Index ranges [start, end] to refine; end may equal points.length (wraps to 0)
+ * @param {number} tolerance - Maximum deviation in pixels
+ */
+function refineSimplifiedRanges(points, keep, stack, tolerance) {
+    while (stack.length > 0) {
+        var range = stack.pop();
+        var a = points[range[0]];
+        var b = points[range[1] % points.length];
+        var length = Math.hypot(b.x - a.x, b.y - a.y);
+        var worst = -1;
+        var worstDistance = tolerance;
+        
+        for (var j = range[0] + 1; j < range[1]; j++) {
+            var p = points[j];
+            var d = length > 0 ?
+                Math.abs((b.x - a.x) * (a.y - p.y) - (a.x - p.x) * (b.y - a.y)) / length :
+                Math.hypot(p.x - a.x, p.y - a.y);
+            if (d > worstDistance) {
+                worst = j;
+                worstDistance = d;
+            }
+        }
+        
+        if (worst !== -1) {
+            keep[worst] = 1;
+            stack.push([range[0], worst], [worst, range[1]]);
+        }
+    }
+}
+
+/**
+ * Simplify a closed polygon with the Douglas-Peucker algorithm
+ * @param {Array} points - Closed polygon vertices (not repeated at the end)
+ * @param {number} tolerance - Maximum deviation in pixels
+ * @returns {Array} Kept vertices, in order
+ */
+function simplifyClosedPolygon(points, tolerance) {
+    if (points.length < 4) return points.slice();
+    
+    // Split the loop at the vertex farthest from the first one
+    var far = 0;
+    var farDistance = -1;
+    for (var i = 1; i < points.length; i++) {
+        var distance = Math.hypot(points[i].x - points[0].x, points[i].y - points[0].y);
+        if (distance > farDistance) {
+            far = i;
+            farDistance = distance;
+        }
+    }
+    
+    var keep = new Uint8Array(points.length);
+    keep[0] = 1;
+    keep[far] = 1;
+    refineSimplifiedRanges(points, keep, [[0, far], [far, points.length]], tolerance);
+    
+    return points.filter(function(point, index) {
+        return keep[index] === 1;
+    });
+}
+
+/**
+ * Simplify an open polyline with the Douglas-Peucker algorithm
+ * @param {Array} points - Polyline points
+ * @param {number} tolerance - Maximum deviation in pixels
+ * @returns {Array} Kept points, in order (end points always kept)
+ */
+function simplifyOpenPolyline(points, tolerance) {
+    if (points.length < 3) return points.slice();
+    
+    var keep = new Uint8Array(points.length);
+    keep[0] = 1;
+    keep[points.length - 1] = 1;
+    refineSimplifiedRanges(points, keep, [[0, points.length - 1]], tolerance);
+    
+    return points.filter(function(point, index) {
+        return keep[index] === 1;
+    });
+}
+
+/**
+ * Turn a traced polygon into path commands, curved except at corners
+ * The path runs through the midpoints of the polygon edges; at each vertex it
+ * either goes straight through the vertex (corner) or follows a quadratic curve
+ * using the vertex as control point.
+ * @param {Array} vertices - Simplified polygon vertices
+ * @param {number} cornerAngle - Turning angle in degrees above which a vertex stays a corner
+ * @returns {Array} Closed path commands (see transformPathCommands)
+ */
+function smoothTracedPolygon(vertices, cornerAngle) {
+    var n = vertices.length;
+    var threshold = cornerAngle * Math.PI / 180;
+    var midpoints = vertices.map(function(vertex, index) {
+        var next = vertices[(index + 1) % n];
+        return { x: (vertex.x + next.x) / 2, y: (vertex.y + next.y) / 2 };
+    });
+    var commands = [{ type: 'M', x: midpoints[n - 1].x, y: midpoints[n - 1].y }];
+    
+    for (var i = 0; i < n; i++) {
+        var previous = vertices[(i + n - 1) % n];
+        var vertex = vertices[i];
+        var next = vertices[(i + 1) % n];
+        var turn = Math.abs(Math.atan2(
+            (vertex.x - previous.x) * (next.y - vertex.y) - (vertex.y - previous.y) * (next.x - vertex.x),
+            (vertex.x - previous.x) * (next.x - vertex.x) + (vertex.y - previous.y) * (next.y - vertex.y)
+        ));
+        
+        if (turn > threshold) {
+            commands.push({ type: 'L', x: vertex.x, y: vertex.y });
+            commands.push({ type: 'L', x: midpoints[i].x, y: midpoints[i].y });
+        } else {
+            commands.push({ type: 'Q', x1: vertex.x, y1: vertex.y, x: midpoints[i].x, y: midpoints[i].y });
+        }
+    }
+    
+    commands.push({ type: 'Z' });
+    return commands;
+}
+
+/**
+ * Sample a grid contour before simplification
+ * The contour is split into straight runs and replaced by the run midpoints, which
+ * turns pixel stair steps into slopes; a grid vertex is only kept where two runs
+ * longer than one pixel meet, so the corners of rectangles stay sharp.
+ * @param {Array} contour - Grid vertices from extractBitmapContours
+ * @returns {Array} Sample points {x, y}
+ */
+function getContourSamplePoints(contour) {
+    var n = contour.length;
+    var corners = [];
+    
+    for (var i = 0; i < n; i++) {
+        var previous = contour[(i + n - 1) % n];
+        var vertex = contour[i];
+        var next = contour[(i + 1) % n];
+        if ((vertex.x - previous.x) !== (next.x - vertex.x) || (vertex.y - previous.y) !== (next.y - vertex.y)) {
+            corners.push(vertex);
+        }
+    }
+    
+    var points = [];
+    var count = corners.length;
+    for (var c = 0; c < count; c++) {
+        var start = corners[c];
+        var end = corners[(c + 1) % count];
+        var before = corners[(c + count - 1) % count];
+        var runLength = Math.abs(end.x - start.x) + Math.abs(end.y - start.y);
+        var previousLength = Math.abs(start.x - before.x) + Math.abs(start.y - before.y);
+        
+        if (runLength > 1 && previousLength > 1) points.push(start);
+        points.push({ x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 });
+    }
+    return points;
+}
+
+/**
+ * Trace the outlines of an ink bitmap
+ * @param {Uint8Array} bitmap - Ink bitmap
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Object} options - Tracing options (see TRACE_DEFAULTS)
+ * @returns {Object} Result {commands: path commands of all contours, contourCount}
+ */
+function traceBitmapOutlines(bitmap, width, height, options) {
+    var commands = [];
+    var contourCount = 0;
+    
+    extractBitmapContours(bitmap, width, height).forEach(function(contour) {
+        if (Math.abs(getPolygonArea(contour)) < options.despeckle) return;
+        
+        var vertices = simplifyClosedPolygon(getContourSamplePoints(contour), options.simplify);
+        if (vertices.length < 3) return;
+        
+        Array.prototype.push.apply(commands, smoothTracedPolygon(vertices, options.cornerAngle));
+        contourCount++;
+    });
+    
+    return { commands: commands, contourCount: contourCount };
+}
+
+/**
+ * Thin an ink bitmap down to a one-pixel skeleton (Zhang-Suen)
+ * @param {Uint8Array} bitmap - Ink bitmap, left untouched
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Uint8Array} Skeleton bitmap
+ */
+function thinBitmap(bitmap, width, height) {
+    var skeleton = new Uint8Array(bitmap);
+    var pixels = [];
+    
+    // Pixels on the image border are never removed, which keeps the neighbour lookups in range
+    for (var y = 1; y < height - 1; y++) {
+        for (var x = 1; x < width - 1; x++) {
+            if (skeleton[y * width + x]) pixels.push(y * width + x);
+        }
+    }
+    
+    var changed = true;
+    while (changed) {
+        changed = false;
+        
+        for (var step = 0; step < 2; step++) {
+            var removed = [];
+            
+            for (var i = 0; i < pixels.length; i++) {
+                var p = pixels[i];
+                // Neighbours clockwise from north: P2..P9
+                var n = [
+                    skeleton[p - width], skeleton[p - width + 1], skeleton[p + 1], skeleton[p + width + 1],
+                    skeleton[p + width], skeleton[p + width - 1], skeleton[p - 1], skeleton[p - width - 1]
+                ];
+                var count = n[0] + n[1] + n[2] + n[3] + n[4] + n[5] + n[6] + n[7];
+                if (count < 2 || count > 6) continue;
+                
+                var transitions = 0;
+                for (var k = 0; k < 8; k++) {
+                    if (!n[k] && n[(k + 1) % 8]) transitions++;
+                }
+                if (transitions !== 1) continue;
+                
+                if (step === 0 ? (n[0] && n[2] && n[4]) || (n[2] && n[4] && n[6])
+                               : (n[0] && n[2] && n[6]) || (n[0] && n[4] && n[6])) continue;
+                
+                removed.push(p);
+            }
+            
+            for (var r = 0; r < removed.length; r++) {
+                skeleton[removed[r]] = 0;
+            }
+            if (removed.length > 0) {
+                changed = true;
+                pixels = pixels.filter(function(pixel) {
+                    return skeleton[pixel] === 1;
+                });
+            }
+        }
+    }
+    
+    return skeleton;
+}
+
+/**
+ * Follow the strokes of a skeleton bitmap
+ * Pixels are linked to their 8 neighbours, except diagonally when a shared
+ * side neighbour already connects them, so stair steps do not read as junctions.
+ * Strokes run between end points and junctions; closed loops are followed whole.
+ * @param {Uint8Array} skeleton - Skeleton bitmap from thinBitmap
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Array} Strokes {points, closed}, points at pixel centres
+ */
+function extractSkeletonStrokes(skeleton, width, height) {
+    var offsets = [[0, -1], [1, 0], [0, 1], [-1, 0], [1, -1], [1, 1], [-1, 1], [-1, -1]];
+    
+    function isInk(x, y) {
+        return x >= 0 && y >= 0 && x < width && y < height && skeleton[y * width + x] === 1;
+    }
+    
+    function getNeighbours(index) {
+        var x = index % width;
+        var y = (index - x) / width;
+        var neighbours = [];
+        
+        for (var k = 0; k < offsets.length; k++) {
+            var dx = offsets[k][0];
+            var dy = offsets[k][1];
+            if (!isInk(x + dx, y + dy)) continue;
+            if (dx !== 0 && dy !== 0 && (isInk(x + dx, y) || isInk(x, y + dy))) continue;
+            neighbours.push((y + dy) * width + x + dx);
+        }
+        return neighbours;
+    }
+    
+    function toPoint(index) {
+        var x = index % width;
+        return { x: x + 0.5, y: (index - x) / width + 0.5 };
+    }
+    
+    var visitedLinks = new Set();
+    var visitedPixels = new Uint8Array(skeleton.length);
+    var strokes = [];
+    
+    function linkKey(a, b) {
+        return a < b ? a * skeleton.length + b : b * skeleton.length + a;
+    }
+    
+    function walk(start, next) {
+        var indices = [start];
+        var previous = start;
+        var current = next;
+        visitedLinks.add(linkKey(start, next));
+        
+        while (true) {
+            indices.push(current);
+            visitedPixels[current] = 1;
+            var neighbours = getNeighbours(current);
+            if (neighbours.length !== 2 || current === start) break;
+            
+            var following = neighbours[0] === previous ? neighbours[1] : neighbours[0];
+            if (visitedLinks.has(linkKey(current, following))) break;
+            visitedLinks.add(linkKey(current, following));
+            previous = current;
+            current = following;
+        }
+        
+        visitedPixels[start] = 1;
+        return {
+            points: indices.map(toPoint),
+            closed: indices.length > 2 && indices[0] === indices[indices.length - 1]
+        };
+    }
+    
+    var index;
+    // Strokes starting at end points and junctions
+    for (index = 0; index < skeleton.length; index++) {
+        if (!skeleton[index]) continue;
+        var neighbours = getNeighbours(index);
+        if (neighbours.length === 2) continue;
+        
+        if (neighbours.length === 0) {
+            strokes.push({ points: [toPoint(index)], closed: false });
+            visitedPixels[index] = 1;
+            continue;
+        }
+        
+        for (var n = 0; n < neighbours.length; n++) {
+            if (!visitedLinks.has(linkKey(index, neighbours[n]))) {
+                strokes.push(walk(index, neighbours[n]));
+            }
+        }
+    }
+    
+    // Loops without end points or junctions
+    for (index = 0; index < skeleton.length; index++) {
+        if (skeleton[index] && !visitedPixels[index]) {
+            strokes.push(walk(index, getNeighbours(index)[0]));
+        }
+    }
+    
+    return strokes;
+}
+
+/**
+ * Turn a traced open stroke into path commands, curved except at corners
+ * Same rule as smoothTracedPolygon, with the path pinned to both end points.
+ * @param {Array} points - Simplified stroke points
+ * @param {number} cornerAngle - Turning angle in degrees above which a point stays a corner
+ * @returns {Array} Open path commands (see transformPathCommands)
+ */
+function smoothTracedPolyline(points, cornerAngle) {
+    var n = points.length;
+    var threshold = cornerAngle * Math.PI / 180;
+    var commands = [{ type: 'M', x: points[0].x, y: points[0].y }];
+    
+    for (var i = 1; i < n - 1; i++) {
+        var previous = points[i - 1];
+        var vertex = points[i];
+        var next = points[i + 1];
+        var end = i === n - 2 ? next : { x: (vertex.x + next.x) / 2, y: (vertex.y + next.y) / 2 };
+        var turn = Math.abs(Math.atan2(
+            (vertex.x - previous.x) * (next.y - vertex.y) - (vertex.y - previous.y) * (next.x - vertex.x),
+            (vertex.x - previous.x) * (next.x - vertex.x) + (vertex.y - previous.y) * (next.y - vertex.y)
+        ));
+        
+        if (turn > threshold) {
+            commands.push({ type: 'L', x: vertex.x, y: vertex.y });
+            commands.push({ type: 'L', x: end.x, y: end.y });
+        } else {
+            commands.push({ type: 'Q', x1: vertex.x, y1: vertex.y, x: end.x, y: end.y });
+        }
+    }
+    
+    if (n === 2) {
+        commands.push({ type: 'L', x: points[1].x, y: points[1].y });
+    }
+    return commands;
+}
+
+/**
+ * Trace the centerlines of an ink bitmap as single strokes
+ * @param {Uint8Array} bitmap - Ink bitmap
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Object} options - Tracing options (see TRACE_DEFAULTS)
+ * @returns {Object} Result {commands: path commands of all strokes, contourCount}
+ */
+function traceBitmapCenterlines(bitmap, width, height, options) {
+    var commands = [];
+    var contourCount = 0;
+    
+    extractSkeletonStrokes(thinBitmap(bitmap, width, height), width, height).forEach(function(stroke) {
+        if (stroke.points.length < 2 || getPolylineLength(stroke.points) < options.minLength) return;
+        
+        if (stroke.closed) {
+            var vertices = simplifyClosedPolygon(stroke.points.slice(0, -1), options.simplify);
+            if (vertices.length < 3) return;
+            Array.prototype.push.apply(commands, smoothTracedPolygon(vertices, options.cornerAngle));
+        } else {
+            Array.prototype.push.apply(commands, smoothTracedPolyline(simplifyOpenPolyline(stroke.points, options.simplify), options.cornerAngle));
+        }
+        contourCount++;
+    });
+    
+    return { commands: commands, contourCount: contourCount };
+}
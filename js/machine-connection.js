@@ -0,0 +1,370 @@
+/**
+ * Machine Connection Module
+ * Connects to the machine over Web Serial (or a simulated device), streams the
+ * generated G-code with the G-code sender and shows the head position and the
+ * job progress on the canvas.
+ */
+
+/**
+ * Connection state
+ * {transport, sender, simulated, headPosition and machineState from the last
+ * status report, workOffset (GRBL WCO), overlay: canvas objects {marker, label}, renderPending}
+ */
+var machineConnection = {
+    transport: null,
+    sender: null,
+    simulated: false,
+    headPosition: null,
+    machineState: null,
+    workOffset: { x: 0, y: 0, z: 0 },
+    overlay: null,
+    renderPending: false
+};
+
+/**
+ * Connect to the machine
+ * The flow control and the laser off command follow the dialect of the machine profile.
+ * @param {boolean} simulated - Use the simulated device instead of a serial port
+ */
+function connectMachine(simulated) {
+    if (machineConnection.transport) return;
+    
+    var dialect = getGcodeDialect();
+    var opening;
+    
+    if (simulated) {
+        opening = Promise.resolve(createSimulatedSerialDevice(dialect.serialProtocol));
+    } else if (!navigator.serial) {
+        alert('Ce navigateur ne prend pas en charge Web Serial (utilisez Chrome ou Edge), ou connectez le simulateur.');
+        return;
+    } else {
+        var baudRate = parseInt(document.getElementById('serialBaudRate').value, 10) || SERIAL_SENDER_CONFIG.baudRate;
+        
+        // The port chooser must be opened from the click handler (user gesture)
+        opening = navigator.serial.requestPort().then(function(port) {
+            return createWebSerialTransport(port, baudRate);
+        });
+    }
+    
+    opening.then(function(transport) {
+        return transport.open().then(function() {
+            return transport;
+        });
+    }).then(function(transport) {
+        var sender = createGcodeSender(transport, {
+            protocol: dialect.serialProtocol,
+            lineNumbers: dialect.lineChecksums,
+            laserOff: formatLaserOffCommand()
+        });
+        sender.onStateChange = handleMachineJobState;
+        sender.onProgress = scheduleMachineProgressUpdate;
+        sender.onLine = handleMachineConsoleLine;
+        transport.onClose = handleMachineDisconnect;
+        
+        machineConnection.transport = transport;
+        machineConnection.sender = sender;
+        machineConnection.simulated = simulated;
+        machineConnection.headPosition = null;
+        machineConnection.machineState = null;
+        machineConnection.workOffset = { x: 0, y: 0, z: 0 };
+        
+        appendMachineConsoleLine('# ' + getMachineStatusText());
+        startMachineStatusPolling();
+        scheduleMachineProgressUpdate();
+    }).catch(function(error) {
+        if (error.name === 'NotFoundError') return; // Port chooser dismissed
+        
+        console.error('Machine connection failed:', error);
+        alert('Connexion à la machine impossible : ' + error.message);
+    });
+}
+
+/**
+ * Disconnect from the machine (a running job is stopped first)
+ */
+function disconnectMachine() {
+    var sender = machineConnection.sender;
+    if (!sender) return;
+    
+    if (sender.state === 'running' || sender.state === 'paused') {
+        if (!confirm('Un envoi est en cours. L\'arrêter (arrêt d\'urgence) et se déconnecter ?')) return;
+        emergencyStopGcodeSender(sender);
+    }
+    
+    machineConnection.transport.close().catch(function(error) {
+        console.warn('Could not close the serial port:', error);
+        handleMachineDisconnect(null);
+    });
+}
+
+/**
+ * Forget the connection once the link is closed or lost
+ * @param {Error|null} error - Cause of a lost link, null when closed on purpose
+ */
+function handleMachineDisconnect(error) {
+    var transport = machineConnection.transport;
+    var sender = machineConnection.sender;
+    if (!transport) return;
+    
+    machineConnection.transport = null;
+    machineConnection.sender = null;
+    machineConnection.headPosition = null;
+    machineConsole.requestedReports = 0;
+    stopMachineStatusPolling();
+    appendMachineConsoleLine('# Déconnecté');
+    if (sender) {
+        sender.onStateChange = null;
+        failGcodeSender(sender, 'Connexion perdue', true);
+    }
+    
+    removeMachineOverlay();
+    updateMachinePanel();
+    
+    if (error) {
+        // Unplugged: release the port so it can be opened again
+        transport.close().catch(function() {});
+        alert('Connexion à la machine perdue : ' + error.message);
+    }
+}
+
+/**
+ * Generate the G-code of the canvas and send it to the connected machine
+ */
+function sendGcodeToMachine() {
+    var sender = machineConnection.sender;
+    if (!sender) {
+        alert('Connectez d\'abord la machine.');
+        return;
+    }
+    if (sender.state === 'running' || sender.state === 'paused') return;
+    if (!checkGcodeExportReady()) return;
+    
+    startGcodeExport({
+        fileName: currentProjectName,
+        stream: null,
+        deliver: function(blob) {
+            blob.text().then(startMachineJob);
+        }
+    });
+}
+
+/**
+ * Start streaming a program to the connected machine
+ * @param {string} text - G-code program
+ */
+function startMachineJob(text) {
+    var sender = machineConnection.sender;
+    if (!sender) {
+        alert('La machine a été déconnectée pendant la génération du G-code.');
+        return;
+    }
+    
+    try {
+        startGcodeSenderJob(sender, text);
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+    scheduleMachineProgressUpdate();
+}
+
+/**
+ * Pause the job sent to the machine
+ */
+function pauseMachineJob() {
+    if (machineConnection.sender) pauseGcodeSender(machineConnection.sender);
+}
+
+/**
+ * Resume the job sent to the machine
+ */
+function resumeMachineJob() {
+    if (machineConnection.sender) resumeGcodeSender(machineConnection.sender);
+}
+
+/**
+ * Emergency stop: laser off and machine halted
+ */
+function emergencyStopMachine() {
+    if (machineConnection.sender) emergencyStopGcodeSender(machineConnection.sender);
+}
+
+/**
+ * React to a change of the job state
+ * @param {Object} sender - G-code sender
+ */
+function handleMachineJobState(sender) {
+    updateMachinePanel();
+    scheduleMachineProgressUpdate();
+    
+    if (sender.state === 'error') {
+        alert('Envoi interrompu : ' + sender.error);
+    }
+}
+
+/**
+ * Status text of the connection and the job
+ * @returns {string} Status for the machine panel
+ */
+function getMachineStatusText() {
+    var sender = machineConnection.sender;
+    if (!sender) return 'Non connecté';
+    
+    var percent = sender.commands.length > 0 ? Math.floor(sender.acknowledged / sender.commands.length * 100) : 0;
+    var progress = percent + ' % (' + sender.acknowledged + '/' + sender.commands.length + ' commandes)';
+    var head = getMachineHeadPosition();
+    var link = (machineConnection.simulated ? 'Simulateur' : 'Connecté') + ' – ' + (sender.protocol === 'grbl' ? 'GRBL' : 'Marlin') +
+        (machineConnection.machineState ? ' – ' + machineConnection.machineState : '') +
+        ' – X ' + head.x.toFixed(2) + ' Y ' + head.y.toFixed(2);
+    
+    switch (sender.state) {
+        case 'running':
+            return 'Envoi en cours : ' + progress;
+        case 'paused':
+            return 'En pause : ' + progress;
+        case 'done':
+            return 'Envoi terminé (' + sender.commands.length + ' commandes)';
+        case 'stopped':
+            return 'Arrêt d\'urgence envoyé' + (sender.protocol === 'grbl' ?
+                ' – déverrouillez la machine ($X) avant de reprendre' :
+                ' – redémarrez la machine avant de reprendre');
+        case 'error':
+            return 'Erreur : ' + sender.error;
+        default:
+            return link;
+    }
+}
+
+/**
+ * Update the buttons, progress bar and status of the machine panel
+ */
+function updateMachinePanel() {
+    var sender = machineConnection.sender;
+    var connected = !!sender;
+    var active = connected && (sender.state === 'running' || sender.state === 'paused');
+    var buttons = {
+        machineConnectBtn: !connected,
+        machineSimulateBtn: !connected,
+        machineDisconnectBtn: connected,
+        machineSendBtn: connected && !active,
+        machinePauseBtn: connected && sender.state === 'running',
+        machineResumeBtn: connected && sender.state === 'paused',
+        machineStopBtn: connected
+    };
+    
+    Object.keys(buttons).forEach(function(id) {
+        var button = document.getElementById(id);
+        if (button) button.disabled = !buttons[id];
+    });
+    
+    // Console, jog and homing only while no job is in progress
+    document.querySelectorAll('.machine-console-control').forEach(function(control) {
+        control.disabled = !connected || active;
+    });
+    
+    var progressFill = document.getElementById('machineProgressFill');
+    if (progressFill) {
+        var percent = connected && sender.commands.length > 0 ? sender.acknowledged / sender.commands.length * 100 : 0;
+        progressFill.style.width = percent + '%';
+    }
+    
+    var status = document.getElementById('machineStatus');
+    if (status) status.textContent = getMachineStatusText();
+}
+
+/**
+ * Refresh the progress once per frame (the firmware acknowledges commands much faster)
+ */
+function scheduleMachineProgressUpdate() {
+    if (machineConnection.renderPending) return;
+    machineConnection.renderPending = true;
+    
+    requestAnimationFrame(function() {
+        machineConnection.renderPending = false;
+        updateMachinePanel();
+        updateMachineOverlay();
+    });
+}
+
+/**
+ * Current head position in workspace mm
+ * The last status report, except during a Marlin job (not polled) where the
+ * position follows the acknowledged commands.
+ * @returns {Object} Position {x, y, z}
+ */
+function getMachineHeadPosition() {
+    var sender = machineConnection.sender;
+    var marlinJob = sender.protocol === 'marlin' && (sender.state === 'running' || sender.state === 'paused');
+    
+    return machineConnection.headPosition && !marlinJob ? machineConnection.headPosition : sender.position;
+}
+
+/**
+ * Show the head position (relative to the origin marker of the grid) and the job progress on the canvas
+ */
+function updateMachineOverlay() {
+    var sender = machineConnection.sender;
+    if (!sender) return;
+    
+    // Left alone during a G-code export, which hides helper objects while it captures the canvas
+    if (activeGcodeJob) return;
+    
+    var overlay = machineConnection.overlay;
+    if (!overlay) {
+        overlay = machineConnection.overlay = {
+            marker: new fabric.Circle({
+                radius: 6,
+                fill: 'rgba(244, 67, 54, 0.3)',
+                stroke: '#f44336',
+                strokeWidth: 2,
+                originX: 'center',
+                originY: 'center',
+                selectable: false,
+                evented: false,
+                excludeFromExport: true
+            }),
+            label: new fabric.Text('', {
+                fontSize: 14,
+                fill: '#f44336',
+                fontFamily: 'Arial',
+                selectable: false,
+                evented: false,
+                excludeFromExport: true
+            })
+        };
+    }
+    
+    // The workspace grid removes helper objects when it is redrawn
+    [overlay.marker, overlay.label].forEach(function(obj) {
+        if (!canvas.contains(obj)) canvas.add(obj);
+        canvas.bringToFront(obj);
+    });
+    
+    var area = WORKSPACE_CONFIG.usableArea;
+    var head = workspaceMmToCanvasPoint(getMachineHeadPosition());
+    var percent = sender.commands.length > 0 ? Math.floor(sender.acknowledged / sender.commands.length * 100) : 0;
+    var states = { paused: ' – pause', done: ' – terminé', stopped: ' – arrêt d\'urgence', error: ' – erreur' };
+    
+    overlay.marker.set({ left: head.x, top: head.y });
+    overlay.marker.setCoords();
+    overlay.label.set({
+        left: area.offsetX,
+        top: area.offsetY - 24,
+        text: sender.commands.length > 0 ? '⚡ Gravure ' + percent + ' %' + (states[sender.state] || '') : '',
+        visible: sender.commands.length > 0
+    });
+    canvas.requestRenderAll();
+}
+
+/**
+ * Remove the head marker and progress label from the canvas
+ */
+function removeMachineOverlay() {
+    var overlay = machineConnection.overlay;
+    if (!overlay) return;
+    
+    canvas.remove(overlay.marker);
+    canvas.remove(overlay.label);
+    machineConnection.overlay = null;
+    canvas.requestRenderAll();
+}
@@ -0,0 +1,205 @@
+/**
+ * Machine Console Module
+ * Console of the machine connection: raw commands and the responses of the
+ * firmware, jog buttons, homing and origin, and polling of the head position
+ * (M114 or GRBL '?') to show it live on the canvas.
+ */
+
+/**
+ * Console settings
+ */
+const MACHINE_CONSOLE_CONFIG = {
+    maxLogLines: 300,     // Lines kept in the response log
+    jogFeedRate: 1500     // Default jog speed in mm/min
+};
+
+/**
+ * Console state {lines, renderPending, statusTimer, requestedReports}
+ * requestedReports counts position reports typed in the console (logged even when not verbose).
+ */
+var machineConsole = {
+    lines: [],
+    renderPending: false,
+    statusTimer: null,
+    requestedReports: 0
+};
+
+/**
+ * Set up the console input (Enter sends the command)
+ */
+function initializeMachineConsole() {
+    var input = document.getElementById('machineConsoleInput');
+    if (input) {
+        input.addEventListener('keydown', function(event) {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                sendMachineConsoleCommand();
+            }
+        });
+    }
+    
+    updateMachinePanel();
+}
+
+/**
+ * Add a line to the response log
+ * @param {string} text - Line text ('> ' for sent commands, '# ' for messages of the application)
+ */
+function appendMachineConsoleLine(text) {
+    machineConsole.lines.push(text);
+    if (machineConsole.lines.length > MACHINE_CONSOLE_CONFIG.maxLogLines) {
+        machineConsole.lines.splice(0, machineConsole.lines.length - MACHINE_CONSOLE_CONFIG.maxLogLines);
+    }
+    
+    // Rendered once per frame: a job can produce hundreds of responses per second
+    if (machineConsole.renderPending) return;
+    machineConsole.renderPending = true;
+    
+    requestAnimationFrame(function() {
+        machineConsole.renderPending = false;
+        var log = document.getElementById('machineConsoleLog');
+        if (!log) return;
+        
+        log.textContent = machineConsole.lines.join('\n');
+        log.scrollTop = log.scrollHeight;
+    });
+}
+
+/**
+ * Handle a line received from the machine
+ * Position reports update the head marker; they and the 'ok' acknowledgements
+ * are only logged in verbose mode, or when the report was asked for in the console.
+ * @param {string} line - Received line
+ */
+function handleMachineConsoleLine(line) {
+    var report = parseMachineStatusReport(line, machineConnection.workOffset);
+    var verbose = document.getElementById('machineConsoleVerbose');
+    
+    if (report) {
+        if (report.position) machineConnection.headPosition = report.position;
+        if (report.state) machineConnection.machineState = report.state;
+        scheduleMachineProgressUpdate();
+        
+        if (machineConsole.requestedReports > 0) {
+            machineConsole.requestedReports--;
+            appendMachineConsoleLine(line);
+            return;
+        }
+    }
+    
+    if ((report || /^ok\b/.test(line)) && !(verbose && verbose.checked)) return;
+    appendMachineConsoleLine(line);
+}
+
+/**
+ * Check that manual commands can be sent (connected, no job in progress)
+ * @returns {Object|null} G-code sender, or null
+ */
+function getIdleMachineSender() {
+    var sender = machineConnection.sender;
+    if (!sender || sender.state === 'running' || sender.state === 'paused') return null;
+    return sender;
+}
+
+/**
+ * Send manual commands and log them
+ * @param {Array} commands - G-code commands
+ */
+function sendMachineCommands(commands) {
+    var sender = getIdleMachineSender();
+    if (!sender) return;
+    
+    commands.forEach(function(command) {
+        appendMachineConsoleLine('> ' + command);
+        sendGcodeSenderCommand(sender, command);
+    });
+}
+
+/**
+ * Send the command typed in the console
+ * GRBL real-time characters (?, !, ~) are written directly.
+ */
+function sendMachineConsoleCommand() {
+    var input = document.getElementById('machineConsoleInput');
+    var sender = getIdleMachineSender();
+    var command = input ? input.value.trim() : '';
+    if (!sender || command === '') return;
+    
+    if (sender.protocol === 'grbl' ? command === '?' : /^M114\b/i.test(command)) machineConsole.requestedReports++;
+    if (sender.protocol === 'grbl' && command.length === 1 && '?!~'.indexOf(command) >= 0) {
+        appendMachineConsoleLine('> ' + command);
+        writeGcodeSender(sender, command);
+    } else {
+        sendMachineCommands([command]);
+    }
+    input.value = '';
+}
+
+/**
+ * Jog the head by the selected step
+ * @param {string} axis - 'X', 'Y' or 'Z'
+ * @param {number} direction - 1 or -1
+ */
+function jogMachine(axis, direction) {
+    var sender = getIdleMachineSender();
+    if (!sender) return;
+    
+    var step = parseFloat(document.getElementById('jogStep').value) || 1;
+    var feedRate = AppUtils.clamp(parseInt(document.getElementById('jogFeedRate').value, 10) || MACHINE_CONSOLE_CONFIG.jogFeedRate, 10, 10000);
+    
+    sendMachineCommands(formatJogCommands(sender.protocol, axis, step * direction, feedRate));
+}
+
+/**
+ * Home the machine
+ */
+function homeMachine() {
+    var sender = getIdleMachineSender();
+    if (sender) sendMachineCommands([formatHomeCommand(sender.protocol)]);
+}
+
+/**
+ * Make the current head position the job origin (0,0)
+ */
+function setMachineOrigin() {
+    sendMachineCommands([formatSetOriginCommand()]);
+}
+
+/**
+ * Start requesting the head position periodically
+ * GRBL answers '?' at any time; Marlin gets M114 through the flow control,
+ * only while no job runs (the sender follows the job's own moves).
+ */
+function startMachineStatusPolling() {
+    var sender = machineConnection.sender;
+    if (!sender) return;
+    
+    stopMachineStatusPolling();
+    machineConsole.statusTimer = setInterval(pollMachineStatus, sender.protocol === 'grbl' ?
+        SERIAL_SENDER_CONFIG.grblStatusInterval :
+        SERIAL_SENDER_CONFIG.marlinStatusInterval);
+}
+
+/**
+ * Stop requesting the head position
+ */
+function stopMachineStatusPolling() {
+    if (machineConsole.statusTimer !== null) {
+        clearInterval(machineConsole.statusTimer);
+        machineConsole.statusTimer = null;
+    }
+}
+
+/**
+ * Request the head position once
+ */
+function pollMachineStatus() {
+    var sender = machineConnection.sender;
+    if (!sender) return;
+    
+    if (sender.protocol === 'grbl') {
+        writeGcodeSender(sender, GRBL_REALTIME.status);
+    } else if (getIdleMachineSender() && sender.inFlight.length === 0 && sender.manualQueue.length === 0) {
+        sendGcodeSenderCommand(sender, 'M114');
+    }
+}
@@ -166,7 +166,8 @@ async function initializeUIComponents() {
         { fn: updateDimensionInfo, name: 'dimension-info' },
         { fn: updateZoomDisplay, name: 'zoom-display' },
         { fn: () => typeof updateCanvasTitle === 'function' && updateCanvasTitle(), name: 'canvas-title' },
-        { fn: () => typeof initializeSimplifiedConfig === 'function' && initializeSimplifiedConfig(), name: 'laser-config' }
+        { fn: () => typeof initializeSimplifiedConfig === 'function' && initializeSimplifiedConfig(), name: 'laser-config' },
+        { fn: () => typeof initializeMachineConsole === 'function' && initializeMachineConsole(), name: 'machine-console' }
     ];
     
     for (const component of components) {
@@ -452,12 +453,59 @@ const MachineProfileManager = {
     profiles: new Map(),
     currentProfile: null,
     
+    // LASER_CONFIG keys that belong to the machine rather than to the job
+    settingKeys: ['dialect', 'inlinePower', 'gcodeStartTemplate', 'gcodeEndTemplate', 'scanOffsets', 'arcSupport', 'arcTolerance'],
+    defaultSettings: null,
+    
     /**
      * Initialize profile manager
      */
     init: function() {
+        this.defaultSettings = this.captureSettings();
         this.loadProfiles();
         this.loadCurrentProfile();
+        
+        if (this.currentProfile) {
+            this.applyProfile(this.currentProfile);
+        }
+    },
+    
+    /**
+     * Copy the machine settings currently in LASER_CONFIG
+     */
+    captureSettings: function() {
+        const settings = {};
+        if (typeof LASER_CONFIG === 'undefined') return settings;
+        
+        this.settingKeys.forEach(key => {
+            if (LASER_CONFIG[key] !== undefined) {
+                settings[key] = JSON.parse(JSON.stringify(LASER_CONFIG[key]));
+            }
+        });
+        return settings;
+    },
+    
+    /**
+     * Apply a profile's machine settings to LASER_CONFIG
+     * Built-in profiles (ender3_*) use the default settings.
+     */
+    applyProfile: function(key) {
+        if (typeof LASER_CONFIG === 'undefined') return false;
+        
+        const profile = this.profiles.get(key);
+        if (!profile && !key.startsWith('ender3_')) return false;
+        
+        const settings = { ...this.defaultSettings, ...(profile ? profile.settings : {}) };
+        this.settingKeys.forEach(settingKey => {
+            if (settings[settingKey] !== undefined) {
+                LASER_CONFIG[settingKey] = JSON.parse(JSON.stringify(settings[settingKey]));
+            }
+        });
+        
+        this.currentProfile = key;
+        LASER_CONFIG.currentMachineProfile = key;
+        localStorage.setItem('currentMachineProfile', key);
+        return true;
     },
     
     /**
@@ -592,7 +640,7 @@ const MachineProfileManager = {
      * Set current profile
      */
     setCurrentProfile: function(key) {
-        if (this.profiles.has(key)) {
+        if (this.profiles.has(key) || key.startsWith('ender3_')) {
             this.currentProfile = key;
             localStorage.setItem('currentMachineProfile', key);
             return true;
@@ -604,23 +652,172 @@ const MachineProfileManager = {
 /**
  * Enhanced machine profile dialog functions
  */
-function showMachineProfileDialog() {
+function showMachineProfileDialog(editCurrent = false) {
     try {
         ModalManager.open('machineProfileModal');
         
         const nameInput = document.getElementById('profileName');
         const keyInput = document.getElementById('profileKey');
+        const profile = editCurrent ? MachineProfileManager.profiles.get(MachineProfileManager.currentProfile) : null;
         
         if (nameInput && keyInput) {
-            nameInput.value = '';
-            keyInput.value = '';
+            nameInput.value = profile ? profile.name : '';
+            keyInput.value = profile ? profile.key : '';
             nameInput.focus();
         }
+        
+        // Machine settings start from the active configuration
+        renderDialectSettings();
+        renderGcodeTemplateSettings();
+        renderScanOffsetTable(typeof LASER_CONFIG !== 'undefined' ? LASER_CONFIG.scanOffsets : []);
+        renderArcSettings();
     } catch (error) {
         ErrorHandler.log(error, 'show-machine-profile-dialog');
     }
 }
 
+/**
+ * Switch the active machine profile
+ */
+function applyMachineProfile(key) {
+    try {
+        if (MachineProfileManager.applyProfile(key)) {
+            const profile = MachineProfileManager.profiles.get(key);
+            showStatusMessage(`Profil machine chargé: ${profile ? profile.name : key}`, 'success');
+        }
+    } catch (error) {
+        ErrorHandler.log(error, 'apply-machine-profile');
+    }
+}
+
+/**
+ * Fill the G-code dialect settings of the profile dialog
+ */
+function renderDialectSettings() {
+    const select = document.getElementById('profileDialect');
+    const inlinePower = document.getElementById('profileInlinePower');
+    if (!select || !inlinePower || typeof GCODE_DIALECTS === 'undefined') return;
+    
+    select.innerHTML = Object.keys(GCODE_DIALECTS).map(key =>
+        `<option value="${key}">${GCODE_DIALECTS[key].label}</option>`
+    ).join('');
+    select.value = GCODE_DIALECTS.hasOwnProperty(LASER_CONFIG.dialect) ? LASER_CONFIG.dialect : 'marlin_fan';
+    inlinePower.checked = LASER_CONFIG.inlinePower !== false;
+}
+
+/**
+ * Fill the start/end G-code templates of the profile dialog and list their variables
+ */
+function renderGcodeTemplateSettings() {
+    const startInput = document.getElementById('profileStartTemplate');
+    const endInput = document.getElementById('profileEndTemplate');
+    const help = document.getElementById('gcodeTemplateVariables');
+    if (!startInput || !endInput || typeof GCODE_TEMPLATE_VARIABLES === 'undefined') return;
+    
+    startInput.value = LASER_CONFIG.gcodeStartTemplate || DEFAULT_GCODE_START_TEMPLATE;
+    endInput.value = LASER_CONFIG.gcodeEndTemplate || DEFAULT_GCODE_END_TEMPLATE;
+    
+    if (help) {
+        help.innerHTML = Object.entries(GCODE_TEMPLATE_VARIABLES).map(([name, description]) =>
+            `<code>{${name}}</code> ${description}`
+        ).join(' · ');
+    }
+}
+
+/**
+ * Put the default start and end templates back in the profile dialog
+ */
+function resetGcodeTemplates() {
+    document.getElementById('profileStartTemplate').value = DEFAULT_GCODE_START_TEMPLATE;
+    document.getElementById('profileEndTemplate').value = DEFAULT_GCODE_END_TEMPLATE;
+}
+
+/**
+ * Read and validate the start/end G-code templates of the profile dialog
+ * Templates equal to the defaults are stored empty so they follow future defaults.
+ * @returns {Object} {settings: {gcodeStartTemplate, gcodeEndTemplate}, errors}
+ */
+function readGcodeTemplateSettings() {
+    const start = document.getElementById('profileStartTemplate').value.replace(/\r\n/g, '\n').trim();
+    const end = document.getElementById('profileEndTemplate').value.replace(/\r\n/g, '\n').trim();
+    const errors = [
+        ...validateGcodeTemplate(start).map(error => `Début : ${error}`),
+        ...validateGcodeTemplate(end).map(error => `Fin : ${error}`)
+    ];
+    
+    return {
+        settings: {
+            gcodeStartTemplate: start === DEFAULT_GCODE_START_TEMPLATE ? '' : start,
+            gcodeEndTemplate: end === DEFAULT_GCODE_END_TEMPLATE ? '' : end
+        },
+        errors
+    };
+}
+
+/**
+ * Fill the bidirectional scan offset table of the profile dialog
+ */
+function renderScanOffsetTable(entries) {
+    const body = document.getElementById('scanOffsetRows');
+    if (!body) return;
+    
+    body.innerHTML = '';
+    (entries || []).forEach(entry => addScanOffsetRow(entry.speed, entry.offset));
+}
+
+/**
+ * Add one speed/offset row to the scan offset table
+ */
+function addScanOffsetRow(speed = '', offset = '') {
+    const body = document.getElementById('scanOffsetRows');
+    if (!body) return;
+    
+    const row = document.createElement('tr');
+    row.innerHTML = `
+        <td><input type="number" class="scan-offset-speed" min="1" step="50" value="${speed}" placeholder="1000"></td>
+        <td><input type="number" class="scan-offset-value" step="0.01" value="${offset}" placeholder="0.15"></td>
+        <td><button type="button" class="btn-cancel" onclick="this.closest('tr').remove()" title="Supprimer">✕</button></td>
+    `;
+    body.appendChild(row);
+}
+
+/**
+ * Read the scan offset table, sorted by speed
+ */
+function readScanOffsetTable() {
+    const rows = Array.from(document.querySelectorAll('#scanOffsetRows tr'));
+    
+    return rows.map(row => ({
+        speed: parseFloat(row.querySelector('.scan-offset-speed').value),
+        offset: parseFloat(row.querySelector('.scan-offset-value').value)
+    })).filter(entry => entry.speed > 0 && isFinite(entry.offset))
+      .sort((a, b) => a.speed - b.speed);
+}
+
+/**
+ * Fill the arc fitting settings of the profile dialog
+ */
+function renderArcSettings() {
+    const arcSupport = document.getElementById('profileArcSupport');
+    const arcTolerance = document.getElementById('profileArcTolerance');
+    if (!arcSupport || !arcTolerance || typeof LASER_CONFIG === 'undefined') return;
+    
+    arcSupport.checked = !!LASER_CONFIG.arcSupport;
+    arcTolerance.value = LASER_CONFIG.arcTolerance;
+}
+
+/**
+ * Read the arc fitting settings of the profile dialog
+ */
+function readArcSettings() {
+    const tolerance = parseFloat(document.getElementById('profileArcTolerance').value);
+    
+    return {
+        arcSupport: document.getElementById('profileArcSupport').checked,
+        arcTolerance: isNaN(tolerance) ? 0.02 : Math.max(0.001, Math.min(0.5, tolerance))
+    };
+}
+
 function closeMachineProfileDialog() {
     ModalManager.close('machineProfileModal');
 }
@@ -660,15 +857,25 @@ function saveMachineProfileFromDialog() {
             }
         }
         
-        // Save profile
-        const savedKey = MachineProfileManager.saveProfile(key, name);
-        MachineProfileManager.setCurrentProfile(savedKey);
+        const templates = readGcodeTemplateSettings();
+        if (templates.errors.length > 0) {
+            showValidationError(`G-code de début/fin invalide : ${templates.errors.join(' ; ')}`);
+            return;
+        }
         
-        // Update UI
+        // Machine settings edited in the dialog become the active configuration
         if (typeof LASER_CONFIG !== 'undefined') {
-            LASER_CONFIG.currentMachineProfile = savedKey;
+            Object.assign(LASER_CONFIG, templates.settings);
+            LASER_CONFIG.dialect = document.getElementById('profileDialect').value;
+            LASER_CONFIG.inlinePower = document.getElementById('profileInlinePower').checked;
+            LASER_CONFIG.scanOffsets = readScanOffsetTable();
+            Object.assign(LASER_CONFIG, readArcSettings());
         }
         
+        // Save profile
+        const savedKey = MachineProfileManager.saveProfile(key, name, MachineProfileManager.captureSettings());
+        MachineProfileManager.applyProfile(savedKey);
+        
         // Show success
         showStatusMessage('Profil machine sauvegardé avec succès!', 'success');
         closeMachineProfileDialog();
@@ -679,6 +886,359 @@ function saveMachineProfileFromDialog() {
     }
 }
 
+/**
+ * Material profiles: settings that depend on the engraved material
+ * (power curve) and follow it from job to job, independent of the machine
+ */
+const MaterialProfileManager = {
+    profiles: new Map(),
+    currentProfile: 'default',
+    
+    // LASER_CONFIG keys that belong to the material
+    settingKeys: ['powerCurve', 'kerf'],
+    defaultSettings: null,
+    
+    /**
+     * Initialize profile manager and apply the last used material
+     */
+    init: function() {
+        this.defaultSettings = this.captureSettings();
+        
+        try {
+            const saved = localStorage.getItem('materialProfiles');
+            if (saved) {
+                Object.entries(JSON.parse(saved)).forEach(([key, profile]) => {
+                    this.profiles.set(key, MachineProfileManager.validateProfile(profile));
+                });
+            }
+            this.currentProfile = localStorage.getItem('currentMaterialProfile') || 'default';
+        } catch (error) {
+            ErrorHandler.log(error, 'load-material-profiles');
+        }
+        
+        if (!this.applyProfile(this.currentProfile)) {
+            this.applyProfile('default');
+        }
+    },
+    
+    /**
+     * Copy the material settings currently in LASER_CONFIG
+     */
+    captureSettings: function() {
+        return MachineProfileManager.captureSettings.call(this);
+    },
+    
+    /**
+     * Apply a profile's material settings to LASER_CONFIG
+     * The built-in 'default' material uses the default settings.
+     */
+    applyProfile: function(key) {
+        if (typeof LASER_CONFIG === 'undefined') return false;
+        
+        const profile = this.profiles.get(key);
+        if (!profile && key !== 'default') return false;
+        
+        const settings = { ...this.defaultSettings, ...(profile ? profile.settings : {}) };
+        this.settingKeys.forEach(settingKey => {
+            if (settings[settingKey] !== undefined) {
+                LASER_CONFIG[settingKey] = JSON.parse(JSON.stringify(settings[settingKey]));
+            }
+        });
+        
+        this.currentProfile = key;
+        LASER_CONFIG.currentMaterialProfile = key;
+        localStorage.setItem('currentMaterialProfile', key);
+        return true;
+    },
+    
+    /**
+     * Save profile with validation
+     */
+    saveProfile: function(key, name, settings = {}) {
+        if (!key || !name) {
+            throw new Error('Profile key and name are required');
+        }
+        
+        const sanitizedKey = MachineProfileManager.sanitizeKey(key);
+        if (sanitizedKey === 'default') {
+            throw new Error('La clé "default" est réservée au matériau par défaut');
+        }
+        
+        this.profiles.set(sanitizedKey, {
+            name: name.trim(),
+            key: sanitizedKey,
+            settings,
+            created: this.profiles.has(sanitizedKey) ? 
+                this.profiles.get(sanitizedKey).created : new Date().toISOString(),
+            modified: new Date().toISOString()
+        });
+        
+        try {
+            localStorage.setItem('materialProfiles', JSON.stringify(Object.fromEntries(this.profiles)));
+        } catch (error) {
+            ErrorHandler.log(error, 'persist-material-profiles');
+        }
+        this.updateDropdown();
+        
+        return sanitizedKey;
+    },
+    
+    /**
+     * Update dropdown with current profiles
+     */
+    updateDropdown: function() {
+        const select = document.getElementById('materialProfile');
+        if (!select) return;
+        
+        Array.from(select.querySelectorAll('option')).forEach(option => {
+            if (option.value !== 'default') {
+                option.remove();
+            }
+        });
+        
+        this.profiles.forEach((profile, key) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = profile.name;
+            option.title = `Created: ${new Date(profile.created).toLocaleDateString()}`;
+            select.appendChild(option);
+        });
+        
+        select.value = this.currentProfile;
+    }
+};
+
+/**
+ * Open the material profile dialog
+ */
+function showMaterialProfileDialog(editCurrent = false) {
+    try {
+        ModalManager.open('materialProfileModal');
+        
+        const nameInput = document.getElementById('materialName');
+        const keyInput = document.getElementById('materialKey');
+        const profile = editCurrent ? MaterialProfileManager.profiles.get(MaterialProfileManager.currentProfile) : null;
+        
+        if (nameInput && keyInput) {
+            nameInput.value = profile ? profile.name : '';
+            keyInput.value = profile ? profile.key : '';
+            nameInput.focus();
+        }
+        
+        // Material settings start from the active configuration
+        renderPowerCurveForm(typeof LASER_CONFIG !== 'undefined' ? LASER_CONFIG.powerCurve : {});
+        
+        const kerfInput = document.getElementById('materialKerf');
+        if (kerfInput && typeof LASER_CONFIG !== 'undefined') {
+            kerfInput.value = LASER_CONFIG.kerf;
+        }
+    } catch (error) {
+        ErrorHandler.log(error, 'show-material-profile-dialog');
+    }
+}
+
+function closeMaterialProfileDialog() {
+    ModalManager.close('materialProfileModal');
+}
+
+/**
+ * Switch the active material profile
+ */
+function applyMaterialProfile(key) {
+    try {
+        if (MaterialProfileManager.applyProfile(key)) {
+            const profile = MaterialProfileManager.profiles.get(key);
+            showStatusMessage(`Profil matériau chargé: ${profile ? profile.name : 'Par défaut'}`, 'success');
+        }
+    } catch (error) {
+        ErrorHandler.log(error, 'apply-material-profile');
+    }
+}
+
+/**
+ * Fill the power curve editor of the material dialog
+ */
+function renderPowerCurveForm(powerCurve) {
+    const curve = getPowerCurve(powerCurve);
+    const fields = {
+        curveMinPower: curve.minPower,
+        curveMaxPower: curve.maxPower,
+        curveWhiteCutoff: curve.whiteCutoff,
+        curveGamma: curve.gamma,
+        curveMode: curve.mode
+    };
+    
+    Object.entries(fields).forEach(([id, value]) => {
+        const input = document.getElementById(id);
+        if (input) input.value = value;
+    });
+    
+    const body = document.getElementById('powerCurveRows');
+    if (body) {
+        body.innerHTML = '';
+        curve.points.forEach(point => addPowerCurvePoint(point.input, point.output));
+    }
+    
+    updatePowerCurvePreview();
+}
+
+/**
+ * Add one point to the custom power curve table
+ */
+function addPowerCurvePoint(input = '', output = '') {
+    const body = document.getElementById('powerCurveRows');
+    if (!body) return;
+    
+    const row = document.createElement('tr');
+    row.innerHTML = `
+        <td><input type="number" class="power-curve-input" min="0" max="100" step="1" value="${input}" placeholder="50" oninput="updatePowerCurvePreview()"></td>
+        <td><input type="number" class="power-curve-output" min="0" max="100" step="1" value="${output}" placeholder="40" oninput="updatePowerCurvePreview()"></td>
+        <td><button type="button" class="btn-cancel" onclick="this.closest('tr').remove(); updatePowerCurvePreview()" title="Supprimer">✕</button></td>
+    `;
+    body.appendChild(row);
+}
+
+/**
+ * Read the power curve editor into a power curve object
+ */
+function readPowerCurveForm() {
+    const readNumber = (id, fallback) => {
+        const input = document.getElementById(id);
+        const value = input ? parseFloat(input.value) : NaN;
+        return isFinite(value) ? value : fallback;
+    };
+    const modeSelect = document.getElementById('curveMode');
+    
+    const points = Array.from(document.querySelectorAll('#powerCurveRows tr')).map(row => ({
+        input: parseFloat(row.querySelector('.power-curve-input').value),
+        output: parseFloat(row.querySelector('.power-curve-output').value)
+    })).filter(point => isFinite(point.input) && isFinite(point.output))
+      .map(point => ({
+          input: AppUtils.clamp(point.input, 0, 100),
+          output: AppUtils.clamp(point.output, 0, 100)
+      }))
+      .sort((a, b) => a.input - b.input);
+    
+    return {
+        minPower: AppUtils.clamp(Math.round(readNumber('curveMinPower', 5)), 0, 255),
+        maxPower: AppUtils.clamp(Math.round(readNumber('curveMaxPower', 255)), 1, 255),
+        whiteCutoff: AppUtils.clamp(Math.round(readNumber('curveWhiteCutoff', 8)), 0, 254),
+        gamma: AppUtils.clamp(readNumber('curveGamma', 0.8), 0.1, 5),
+        mode: modeSelect && modeSelect.value === 'custom' ? 'custom' : 'gamma',
+        points
+    };
+}
+
+/**
+ * Redraw the power curve preview chart from the editor values
+ * The chart plots grayscaleToLaserPower(), i.e. exactly what the raster export burns.
+ */
+function updatePowerCurvePreview() {
+    const chart = document.getElementById('powerCurveChart');
+    if (!chart || typeof LASER_CONFIG === 'undefined') return;
+    
+    const curve = readPowerCurveForm();
+    const ctx = chart.getContext('2d');
+    const width = chart.width;
+    const height = chart.height;
+    const margin = 24;
+    const plotWidth = width - margin * 2;
+    const plotHeight = height - margin * 2;
+    
+    // Custom points only matter in custom mode
+    const pointsSection = document.getElementById('powerCurvePoints');
+    if (pointsSection) pointsSection.style.display = curve.mode === 'custom' ? 'block' : 'none';
+    
+    ctx.clearRect(0, 0, width, height);
+    
+    // Axes: x = darkness (white → black), y = power (0 → 255)
+    ctx.strokeStyle = '#ccc';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(margin, margin, plotWidth, plotHeight);
+    ctx.fillStyle = '#888';
+    ctx.font = '10px sans-serif';
+    ctx.fillText('blanc', margin, height - 8);
+    ctx.fillText('noir', width - margin - 20, height - 8);
+    ctx.fillText('S255', 2, margin + 4);
+    ctx.fillText('S0', 2, height - margin);
+    
+    // Job power line: full black never exceeds it
+    const jobPowerY = margin + plotHeight * (1 - LASER_CONFIG.power / 255);
+    ctx.strokeStyle = '#f0b429';
+    ctx.setLineDash([4, 3]);
+    ctx.beginPath();
+    ctx.moveTo(margin, jobPowerY);
+    ctx.lineTo(margin + plotWidth, jobPowerY);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    
+    ctx.strokeStyle = '#e53e3e';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let inverted = 0; inverted <= 255; inverted++) {
+        const power = grayscaleToLaserPower(255 - inverted, curve);
+        const x = margin + plotWidth * inverted / 255;
+        const y = margin + plotHeight * (1 - power / 255);
+        if (inverted === 0) {
+            ctx.moveTo(x, y);
+        } else {
+            ctx.lineTo(x, y);
+        }
+    }
+    ctx.stroke();
+    
+    const summary = document.getElementById('powerCurveSummary');
+    if (summary) summary.textContent = describePowerCurve(getPowerCurve(curve));
+}
+
+/**
+ * Save the material profile dialog and make it the active material
+ */
+function saveMaterialProfileFromDialog() {
+    try {
+        const nameInput = document.getElementById('materialName');
+        const keyInput = document.getElementById('materialKey');
+        
+        if (!nameInput || !keyInput) {
+            throw new Error('Required form elements not found');
+        }
+        
+        const name = nameInput.value.trim();
+        const key = keyInput.value.trim() || MachineProfileManager.sanitizeKey(name);
+        
+        if (!name) {
+            showValidationError('Le nom du matériau est requis');
+            nameInput.focus();
+            return;
+        }
+        
+        if (MaterialProfileManager.profiles.has(key) && key !== MaterialProfileManager.currentProfile) {
+            if (!confirm(`Un matériau avec la clé "${key}" existe déjà. Voulez-vous l'écraser ?`)) {
+                return;
+            }
+        }
+        
+        // Material settings edited in the dialog become the active configuration
+        if (typeof LASER_CONFIG !== 'undefined') {
+            LASER_CONFIG.powerCurve = readPowerCurveForm();
+            
+            const kerf = parseFloat(document.getElementById('materialKerf').value);
+            LASER_CONFIG.kerf = isNaN(kerf) ? 0 : Math.max(0, Math.min(2, kerf));
+        }
+        
+        const savedKey = MaterialProfileManager.saveProfile(key, name, MaterialProfileManager.captureSettings());
+        MaterialProfileManager.applyProfile(savedKey);
+        MaterialProfileManager.updateDropdown();
+        
+        showStatusMessage('Profil matériau sauvegardé avec succès!', 'success');
+        closeMaterialProfileDialog();
+        
+    } catch (error) {
+        ErrorHandler.log(error, 'save-material-profile');
+        showValidationError(`Erreur lors de la sauvegarde: ${error.message}`);
+    }
+}
+
 /**
  * Enhanced profile key auto-generation with better UX
  */
@@ -828,6 +1388,10 @@ function initializeEnhancedConfig() {
         // Load machine profiles with fallback
         loadMachineProfilesIntoDropdown();
         
+        // Material settings (power curve) are applied on top of the machine ones
+        MaterialProfileManager.init();
+        MaterialProfileManager.updateDropdown();
+        
         // Update UI from current config with validation
         if (typeof updateUIFromConfig === 'function') {
             updateUIFromConfig();
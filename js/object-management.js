@@ -163,6 +163,7 @@ function displayObjectDimensions(obj) {
                     <span class="dim-value">X: ${dims.x}mm, Y: ${dims.y}mm</span>
                 </div>
                 ${typeInfo.additionalInfo}
+                ${getObjectLaserModeControls(obj)}
                 ${!validation.valid ? `<div class="validation-errors">${validation.errors.join('<br>')}</div>` : ''}
             </div>
         `;
@@ -211,6 +212,9 @@ function getObjectTypeInfo(obj) {
                         <span class="dim-label">📐 Résolution:</span>
                         <span class="dim-value">${obj.width}×${obj.height}px</span>
                     </div>
+                    <div class="dimension-row">
+                        <button type="button" class="btn-small" onclick="showTraceDialog()">✒️ Vectoriser</button>
+                    </div>
                 `;
                 break;
                 
@@ -261,6 +265,143 @@ function getObjectTypeInfo(obj) {
     return { icon, label, additionalInfo };
 }
 
+/**
+ * Build the laser mode controls of the selected object (raster, cut, score or fill)
+ * @param {fabric.Object} obj - Selected object
+ * @returns {string} HTML, empty for objects that can only be rasterized
+ */
+function getObjectLaserModeControls(obj) {
+    if (VECTOR_OBJECT_TYPES.indexOf(obj.type) === -1) return '';
+    
+    const settings = getObjectLaserSettings(obj);
+    const options = Object.keys(LASER_OBJECT_MODES).filter(mode =>
+        !LASER_OBJECT_MODES[mode].types || LASER_OBJECT_MODES[mode].types.includes(obj.type)
+    ).map(mode =>
+        `<option value="${mode}"${mode === settings.mode ? ' selected' : ''}>${LASER_OBJECT_MODES[mode].label}</option>`
+    ).join('');
+    
+    let html = `
+        <div class="dimension-row">
+            <span class="dim-label">🔥 Mode laser:</span>
+            <select id="objectLaserMode" class="modern-select" onchange="setObjectLaserMode(this.value)">${options}</select>
+        </div>
+    `;
+    
+    if (settings.mode !== 'raster') {
+        html += `
+            <div class="dimension-row">
+                <span class="dim-label">⚡ Vitesse (mm/min):</span>
+                <input type="number" id="objectLaserSpeed" min="10" max="10000" step="10" value="${settings.speed}" onchange="updateObjectLaserSettings()">
+            </div>
+            <div class="dimension-row">
+                <span class="dim-label">🔆 Puissance (0-255):</span>
+                <input type="number" id="objectLaserPower" min="0" max="255" step="1" value="${settings.power}" onchange="updateObjectLaserSettings()">
+            </div>
+        `;
+    }
+    
+    if (settings.mode === 'cut') {
+        const sides = Object.keys(KERF_SIDES).map(side =>
+            `<option value="${side}"${side === settings.kerfSide ? ' selected' : ''}>${KERF_SIDES[side]}</option>`
+        ).join('');
+        html += `
+            <div class="dimension-row">
+                <span class="dim-label">✂️ Compensation:</span>
+                <select id="objectKerfSide" class="modern-select" onchange="updateObjectLaserSettings()">${sides}</select>
+            </div>
+        `;
+    }
+    
+    if (settings.mode === 'fill') {
+        html += `
+            <div class="dimension-row">
+                <span class="dim-label">▤ Espacement (mm):</span>
+                <input type="number" id="objectHatchSpacing" min="0.02" max="5" step="0.01" value="${settings.spacing}" onchange="updateObjectLaserSettings()">
+            </div>
+            <div class="dimension-row">
+                <span class="dim-label">↗️ Angle (°):</span>
+                <input type="number" id="objectHatchAngle" min="0" max="179" step="1" value="${settings.angle}" onchange="updateObjectLaserSettings()">
+            </div>
+            <div class="dimension-row">
+                <span class="dim-label">#️⃣ Hachures croisées:</span>
+                <input type="checkbox" id="objectHatchCrossHatch"${settings.crossHatch ? ' checked' : ''} onchange="updateObjectLaserSettings()">
+            </div>
+            <div class="dimension-row">
+                <span class="dim-label">◐ Règle de remplissage:</span>
+                <select id="objectFillRule" class="modern-select" onchange="updateObjectLaserSettings()">
+                    <option value="nonzero"${settings.fillRule === 'nonzero' ? ' selected' : ''}>Non nul (nonzero)</option>
+                    <option value="evenodd"${settings.fillRule === 'evenodd' ? ' selected' : ''}>Pair-impair (evenodd)</option>
+                </select>
+            </div>
+        `;
+    }
+    
+    return html;
+}
+
+/**
+ * Set the laser mode of the selected object
+ * Switching mode starts from that mode's default speed, power and hatch settings.
+ * @param {string} mode - Key of LASER_OBJECT_MODES
+ */
+function setObjectLaserMode(mode) {
+    const obj = canvas.getActiveObject();
+    if (!obj || !LASER_OBJECT_MODES[mode]) return;
+    
+    obj.set({
+        laserMode: mode,
+        laserSpeed: LASER_OBJECT_MODES[mode].speed,
+        laserPower: LASER_OBJECT_MODES[mode].power,
+        hatchSpacing: LASER_OBJECT_MODES[mode].hatchSpacing,
+        hatchAngle: LASER_OBJECT_MODES[mode].hatchAngle,
+        hatchCrossHatch: LASER_OBJECT_MODES[mode].hatchCrossHatch,
+        kerfSide: LASER_OBJECT_MODES[mode].kerfSide
+    });
+    
+    canvas.fire('object:modified', { target: obj });
+}
+
+/**
+ * Read the speed, power, kerf side and hatch settings of the selected object from the object panel
+ */
+function updateObjectLaserSettings() {
+    const obj = canvas.getActiveObject();
+    const speedInput = document.getElementById('objectLaserSpeed');
+    const powerInput = document.getElementById('objectLaserPower');
+    if (!obj || !speedInput || !powerInput) return;
+    
+    const speed = parseInt(speedInput.value, 10);
+    const power = parseInt(powerInput.value, 10);
+    
+    const defaults = LASER_OBJECT_MODES[getObjectLaserMode(obj)];
+    
+    obj.set({
+        laserSpeed: isNaN(speed) ? defaults.speed : Math.max(10, Math.min(10000, speed)),
+        laserPower: isNaN(power) ? defaults.power : Math.max(0, Math.min(255, power))
+    });
+    
+    const kerfSideInput = document.getElementById('objectKerfSide');
+    if (kerfSideInput) {
+        obj.set('kerfSide', kerfSideInput.value);
+    }
+    
+    const spacingInput = document.getElementById('objectHatchSpacing');
+    if (spacingInput) {
+        const spacing = parseFloat(spacingInput.value);
+        const angle = parseFloat(document.getElementById('objectHatchAngle').value);
+        
+        obj.set({
+            hatchSpacing: isNaN(spacing) ? defaults.hatchSpacing : Math.max(0.02, Math.min(5, spacing)),
+            hatchAngle: isNaN(angle) ? defaults.hatchAngle : normalizeScanAngle(angle),
+            hatchCrossHatch: document.getElementById('objectHatchCrossHatch').checked,
+            fillRule: document.getElementById('objectFillRule').value
+        });
+        canvas.requestRenderAll(); // The fill rule also changes how the canvas fills the shape
+    }
+    
+    canvas.fire('object:modified', { target: obj });
+}
+
 /**
  * Add visual size indicators to show object dimensions on canvas
  */
@@ -204,7 +204,7 @@ const ProjectManager = {
                 .filter(obj => !obj.excludeFromExport)
                 .map(obj => {
                     try {
-                        return obj.toObject(['excludeFromExport', 'id']);
+                        return obj.toObject(['excludeFromExport', 'id'].concat(LASER_OBJECT_PROPERTIES));
                     } catch (objError) {
                         console.warn('Failed to serialize object:', objError);
                         return null;
@@ -241,6 +241,23 @@ const ProjectManager = {
                 height: WORKSPACE_CONFIG.height
             };
             
+            // Raster export settings
+            if (typeof LASER_CONFIG !== 'undefined') {
+                settings.laser = {
+                    ditherMode: LASER_CONFIG.ditherMode,
+                    halftoneCellSize: LASER_CONFIG.halftoneCellSize,
+                    halftoneAngle: LASER_CONFIG.halftoneAngle,
+                    powerMergeTolerance: LASER_CONFIG.powerMergeTolerance,
+                    overscan: LASER_CONFIG.overscan,
+                    scanMode: LASER_CONFIG.scanMode,
+                    scanAngle: LASER_CONFIG.scanAngle,
+                    crossHatch: LASER_CONFIG.crossHatch,
+                    crossHatchPasses: LASER_CONFIG.crossHatchPasses,
+                    textMode: LASER_CONFIG.textMode,
+                    vectorTolerance: LASER_CONFIG.vectorTolerance
+                };
+            }
+            
         } catch (error) {
             console.warn('Failed to get current settings:', error);
         }
@@ -308,6 +325,20 @@ function loadProject(projectName) {
             if (projectData.settings.selectedFont) {
                 document.getElementById('fontSelect').value = projectData.settings.selectedFont;
             }
+            if (projectData.settings.laser) {
+                var laserSettings = projectData.settings.laser;
+                if (laserSettings.halftoneCellSize) LASER_CONFIG.halftoneCellSize = laserSettings.halftoneCellSize;
+                if (laserSettings.halftoneAngle !== undefined) LASER_CONFIG.halftoneAngle = laserSettings.halftoneAngle;
+                if (laserSettings.powerMergeTolerance !== undefined) LASER_CONFIG.powerMergeTolerance = laserSettings.powerMergeTolerance;
+                if (laserSettings.overscan !== undefined) LASER_CONFIG.overscan = laserSettings.overscan;
+                if (laserSettings.scanMode) LASER_CONFIG.scanMode = laserSettings.scanMode;
+                if (laserSettings.scanAngle !== undefined) LASER_CONFIG.scanAngle = normalizeScanAngle(laserSettings.scanAngle);
+                if (laserSettings.crossHatch !== undefined) LASER_CONFIG.crossHatch = laserSettings.crossHatch;
+                if (Array.isArray(laserSettings.crossHatchPasses)) LASER_CONFIG.crossHatchPasses = laserSettings.crossHatchPasses;
+                if (laserSettings.textMode) LASER_CONFIG.textMode = laserSettings.textMode;
+                if (laserSettings.vectorTolerance) LASER_CONFIG.vectorTolerance = laserSettings.vectorTolerance;
+                if (laserSettings.ditherMode) applyDitherMode(laserSettings.ditherMode);
+            }
         }
         
         // Restore zoom and viewport
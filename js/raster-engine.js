@@ -0,0 +1,1012 @@
+/**
+ * Raster Engine Module
+ * DOM-free sampling, row analysis and G-code emission for raster engraving.
+ * Runs inside the G-code worker (js/gcode-worker.js) and, as a fallback, on the page.
+ * Reads the global LASER_CONFIG, which the worker replaces with a snapshot.
+ */
+
+/**
+ * Get the active power curve with defaults for missing fields
+ * @param {Object} curve - Power curve (defaults to LASER_CONFIG.powerCurve)
+ * @returns {Object} Power curve {minPower, maxPower, whiteCutoff, gamma, mode, points}
+ */
+function getPowerCurve(curve) {
+    curve = curve || LASER_CONFIG.powerCurve || {};
+    
+    return {
+        minPower: isFinite(curve.minPower) ? curve.minPower : 5,
+        maxPower: isFinite(curve.maxPower) ? curve.maxPower : 255,
+        whiteCutoff: isFinite(curve.whiteCutoff) ? curve.whiteCutoff : 8,
+        gamma: curve.gamma > 0 ? curve.gamma : 0.8,
+        mode: curve.mode === 'custom' ? 'custom' : 'gamma',
+        points: Array.isArray(curve.points) ? curve.points : []
+    };
+}
+
+/**
+ * Shape a darkness value through the power curve
+ * Gamma mode applies darkness^gamma; custom mode interpolates linearly between
+ * the curve points {input, output} (both 0-100 %), held constant beyond the ends.
+ * @param {number} darkness - Darkness (0 = white, 1 = black)
+ * @param {Object} curve - Power curve from getPowerCurve()
+ * @returns {number} Curve output (0-1)
+ */
+function applyPowerCurve(darkness, curve) {
+    var points = curve.points.filter(function(point) {
+        return isFinite(point.input) && isFinite(point.output);
+    }).sort(function(a, b) {
+        return a.input - b.input;
+    });
+    
+    if (curve.mode !== 'custom' || points.length < 2) {
+        return Math.pow(darkness, curve.gamma);
+    }
+    
+    var input = darkness * 100;
+    if (input <= points[0].input) return points[0].output / 100;
+    if (input >= points[points.length - 1].input) return points[points.length - 1].output / 100;
+    
+    for (var i = 1; i < points.length; i++) {
+        if (input <= points[i].input) {
+            var low = points[i - 1];
+            var high = points[i];
+            var ratio = high.input > low.input ? (input - low.input) / (high.input - low.input) : 1;
+            return Math.min(1, Math.max(0, (low.output + ratio * (high.output - low.output)) / 100));
+        }
+    }
+    return 1;
+}
+
+/**
+ * Get the power (0-255) burned for full black: the job power, capped by the curve's maximum
+ * @param {Object} curve - Power curve from getPowerCurve()
+ * @returns {number} Maximum raster power
+ */
+function getCurveMaxPower(curve) {
+    return Math.min(LASER_CONFIG.power, curve.maxPower);
+}
+
+/**
+ * Convert grayscale value to laser power through the power curve
+ * Tones lighter than the white cutoff are not burned; the others are mapped
+ * through the curve onto [minPower, max power].
+ * @param {number} grayscale - Grayscale value (0-255)
+ * @param {Object} curve - Power curve (defaults to LASER_CONFIG.powerCurve)
+ * @returns {number} Laser power (0-255)
+ */
+function grayscaleToLaserPower(grayscale, curve) {
+    curve = getPowerCurve(curve);
+    
+    // Invert grayscale: darker = more power
+    var inverted = 255 - grayscale;
+    if (inverted < curve.whiteCutoff) return 0;
+    
+    var maxPower = getCurveMaxPower(curve);
+    var minPower = Math.min(curve.minPower, maxPower);
+    var shaped = applyPowerCurve(inverted / 255, curve);
+    
+    return Math.max(1, Math.round(minPower + shaped * (maxPower - minPower)));
+}
+
+/**
+ * Convert grayscale value to normalized darkness for dithering
+ * Uses the same white cutoff and curve as grayscaleToLaserPower so that dot density
+ * follows the material response and backgrounds stay clean
+ * @param {number} grayscale - Grayscale value (0-255)
+ * @param {Object} curve - Power curve (defaults to LASER_CONFIG.powerCurve)
+ * @returns {number} Darkness (0 = no burn, 1 = full burn)
+ */
+function grayscaleToDarkness(grayscale, curve) {
+    curve = getPowerCurve(curve);
+    
+    var inverted = 255 - grayscale;
+    if (inverted < curve.whiteCutoff) return 0;
+    return applyPowerCurve(inverted / 255, curve);
+}
+
+/**
+ * Describe a power curve for G-code comments
+ * @param {Object} curve - Power curve from getPowerCurve()
+ * @returns {string} Description
+ */
+function describePowerCurve(curve) {
+    var shape = curve.mode === 'custom' && curve.points.length >= 2 ?
+        'custom ' + curve.points.length + '-point curve' :
+        'gamma ' + curve.gamma;
+    return 'S' + Math.min(curve.minPower, getCurveMaxPower(curve)) + '-S' + getCurveMaxPower(curve) + ', ' + shape + ', white cutoff ' + curve.whiteCutoff + '/255';
+}
+
+/**
+ * Fast nearest-neighbor sampling for G-code generation (PERFORMANCE OPTIMIZED)
+ * @param {Uint8ClampedArray} data - Image data array
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} x - X coordinate (can be fractional)
+ * @param {number} y - Y coordinate (can be fractional)
+ * @returns {Object} Nearest pixel RGBA values
+ */
+function getFastPixel(data, width, height, x, y) {
+    // Use nearest-neighbor sampling for much better performance
+    var px = Math.round(Math.max(0, Math.min(width - 1, x)));
+    var py = Math.round(Math.max(0, Math.min(height - 1, y)));
+    
+    var index = (py * width + px) * 4;
+    return {
+        r: data[index],
+        g: data[index + 1],
+        b: data[index + 2],
+        a: data[index + 3]
+    };
+}
+
+/**
+ * Bilinear interpolation for resampling image data (ONLY for high-quality mode)
+ * @param {Uint8ClampedArray} data - Image data array
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} x - X coordinate (can be fractional)
+ * @param {number} y - Y coordinate (can be fractional)
+ * @returns {Object} Interpolated RGBA values
+ */
+function getInterpolatedPixel(data, width, height, x, y) {
+    // For performance: Use fast sampling unless in ultra quality mode
+    if (LASER_CONFIG.qualityMode !== 'ultra') {
+        return getFastPixel(data, width, height, x, y);
+    }
+    
+    // Full bilinear interpolation only for ultra quality mode
+    x = Math.max(0, Math.min(width - 1, x));
+    y = Math.max(0, Math.min(height - 1, y));
+    
+    var x1 = Math.floor(x);
+    var y1 = Math.floor(y);
+    var x2 = Math.min(x1 + 1, width - 1);
+    var y2 = Math.min(y1 + 1, height - 1);
+    
+    var fx = x - x1;
+    var fy = y - y1;
+    
+    // Get the four surrounding pixels
+    var p1 = getPixel(data, width, x1, y1);
+    var p2 = getPixel(data, width, x2, y1);
+    var p3 = getPixel(data, width, x1, y2);
+    var p4 = getPixel(data, width, x2, y2);
+    
+    // Bilinear interpolation
+    var r = (1 - fx) * (1 - fy) * p1.r + fx * (1 - fy) * p2.r + (1 - fx) * fy * p3.r + fx * fy * p4.r;
+    var g = (1 - fx) * (1 - fy) * p1.g + fx * (1 - fy) * p2.g + (1 - fx) * fy * p3.g + fx * fy * p4.g;
+    var b = (1 - fx) * (1 - fy) * p1.b + fx * (1 - fy) * p2.b + (1 - fx) * fy * p3.b + fx * fy * p4.b;
+    var a = (1 - fx) * (1 - fy) * p1.a + fx * (1 - fy) * p2.a + (1 - fx) * fy * p3.a + fx * fy * p4.a;
+    
+    return {
+        r: Math.round(r),
+        g: Math.round(g),
+        b: Math.round(b),
+        a: Math.round(a)
+    };
+}
+
+/**
+ * Get pixel data at specific coordinates
+ * @param {Uint8ClampedArray} data - Image data array
+ * @param {number} width - Image width
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {Object} RGBA values
+ */
+function getPixel(data, width, x, y) {
+    var index = (y * width + x) * 4;
+    return {
+        r: data[index],
+        g: data[index + 1],
+        b: data[index + 2],
+        a: data[index + 3]
+    };
+}
+
+/**
+ * Resample cropped image data into a grayscale sample grid
+ * @param {Uint8ClampedArray} croppedData - Cropped image data
+ * @param {number} croppedWidth - Cropped image width in pixels
+ * @param {number} croppedHeight - Cropped image height in pixels
+ * @param {number} samplesWidth - Grid width in samples
+ * @param {number} samplesHeight - Grid height in samples
+ * @returns {Uint8Array} Grayscale values (0-255), row-major
+ */
+function buildSampleGrid(croppedData, croppedWidth, croppedHeight, samplesWidth, samplesHeight) {
+    var grid = new Uint8Array(samplesWidth * samplesHeight);
+    var useInterpolation = LASER_CONFIG.qualityMode === 'ultra';
+    
+    for (var sampleY = 0; sampleY < samplesHeight; sampleY++) {
+        var sourceY = (sampleY / samplesHeight) * croppedHeight;
+        
+        for (var sampleX = 0; sampleX < samplesWidth; sampleX++) {
+            var sourceX = (sampleX / samplesWidth) * croppedWidth;
+            var pixel = useInterpolation ?
+                getInterpolatedPixel(croppedData, croppedWidth, croppedHeight, sourceX, sourceY) :
+                getFastPixel(croppedData, croppedWidth, croppedHeight, sourceX, sourceY);
+            
+            grid[sampleY * samplesWidth + sampleX] = Math.round(0.299 * pixel.r + 0.587 * pixel.g + 0.114 * pixel.b);
+        }
+    }
+    
+    return grid;
+}
+
+/**
+ * Resample cropped image data along rotated scan rows
+ * Each sample is read on its row line, at its center along the row (see createScanLayout);
+ * samples falling outside the cropped image are white.
+ * @param {Object} image - Cropped image {data, width, height}
+ * @param {Object} layout - Scan layout from createScanLayout()
+ * @returns {Uint8Array} Grayscale values (0-255), row-major in scan order
+ */
+function buildRotatedSampleGrid(image, layout) {
+    var samplesWidth = layout.samplesWidth;
+    var samplesHeight = layout.samplesHeight;
+    var spacing = layout.sampleSpacing;
+    var grid = new Uint8Array(samplesWidth * samplesHeight);
+    var useInterpolation = LASER_CONFIG.qualityMode === 'ultra';
+    var pixelsPerMmX = image.width / layout.widthMm;
+    var pixelsPerMmY = image.height / layout.heightMm;
+    
+    for (var sampleY = 0; sampleY < samplesHeight; sampleY++) {
+        var v = layout.scanVMinMm + (samplesHeight - 1 - sampleY) * spacing;
+        
+        for (var sampleX = 0; sampleX < samplesWidth; sampleX++) {
+            var u = layout.scanUMinMm + (sampleX + 0.5) * spacing;
+            
+            // Back to content coordinates (mm, origin bottom-left, Y up)
+            var x = u * layout.scanCos - v * layout.scanSin;
+            var y = u * layout.scanSin + v * layout.scanCos;
+            var index = sampleY * samplesWidth + sampleX;
+            
+            if (x < 0 || y < 0 || x >= layout.widthMm || y >= layout.heightMm) {
+                grid[index] = 255;
+                continue;
+            }
+            
+            // Pixel p covers [p, p + 1]: sample relative to pixel centers
+            var sourceX = x * pixelsPerMmX - 0.5;
+            var sourceY = (layout.heightMm - y) * pixelsPerMmY - 0.5;
+            var pixel = useInterpolation ?
+                getInterpolatedPixel(image.data, image.width, image.height, sourceX, sourceY) :
+                getFastPixel(image.data, image.width, image.height, sourceX, sourceY);
+            
+            grid[index] = Math.round(0.299 * pixel.r + 0.587 * pixel.g + 0.114 * pixel.b);
+        }
+    }
+    
+    return grid;
+}
+
+/**
+ * Map the samples of a scan layout to workspace positions for the halftone screen
+ * Undoing the scan rotation keeps the configured screen angle on the material,
+ * and cross-hatch passes over the same area share one screen.
+ * @param {Object} layout - Scan layout from createScanLayout()
+ * @returns {Object} Transform for halftoneDither(), in samples
+ */
+function getHalftoneSampleTransform(layout) {
+    var cos = layout.scanCos !== undefined ? layout.scanCos : 1;
+    var sin = layout.scanSin || 0;
+    
+    // Sample (x, y) is emitted at its center along the row, on row line samplesHeight - 1 - y
+    var first = getScanPointMm(layout, 0.5 * layout.sampleSpacing, (layout.samplesHeight - 1) * layout.sampleSpacing);
+    
+    return {
+        x0: first.x * layout.resolution,
+        y0: first.y * layout.resolution,
+        xx: cos,
+        xy: sin,
+        yx: sin,
+        yy: -cos
+    };
+}
+
+/**
+ * Convert a grayscale sample grid into laser power per sample
+ * Variable PWM maps each sample through grayscaleToLaserPower; dithering modes
+ * emit on/off pulses at the curve's maximum power. This grid is the only place the
+ * power curve is applied, so row analysis and emission always agree.
+ * @param {Uint8Array} grayGrid - Grayscale sample grid
+ * @param {Object} layout - Scan layout {samplesWidth, samplesHeight, ...}
+ * @returns {Uint8Array} Laser power (0-255) per sample, row-major
+ */
+function buildPowerGrid(grayGrid, layout) {
+    var samplesWidth = layout.samplesWidth;
+    var samplesHeight = layout.samplesHeight;
+    var powerGrid = new Uint8Array(grayGrid.length);
+    var curve = getPowerCurve();
+    
+    // Map the 256 gray levels once; every sample goes through the same table
+    var powerTable = new Uint8Array(256);
+    var darknessTable = new Float32Array(256);
+    for (var level = 0; level < 256; level++) {
+        powerTable[level] = grayscaleToLaserPower(level, curve);
+        darknessTable[level] = grayscaleToDarkness(level, curve);
+    }
+    
+    if (isDitherMode(LASER_CONFIG.ditherMode)) {
+        var darkness = new Float32Array(grayGrid.length);
+        for (var i = 0; i < grayGrid.length; i++) {
+            darkness[i] = darknessTable[grayGrid[i]];
+        }
+        
+        var pulses = ditherSampleGrid(darkness, samplesWidth, samplesHeight, LASER_CONFIG.ditherMode, {
+            cellSamples: LASER_CONFIG.halftoneCellSize * LASER_CONFIG.precision,
+            angle: LASER_CONFIG.halftoneAngle,
+            transform: getHalftoneSampleTransform(layout)
+        });
+        var pulsePower = getCurveMaxPower(curve);
+        for (var j = 0; j < pulses.length; j++) {
+            powerGrid[j] = pulses[j] ? pulsePower : 0;
+        }
+        return powerGrid;
+    }
+    
+    for (var k = 0; k < grayGrid.length; k++) {
+        powerGrid[k] = powerTable[grayGrid[k]];
+    }
+    return powerGrid;
+}
+
+/**
+ * Generate G-code with power stabilization and quality improvements
+ * @param {number} newPower - New laser power
+ * @param {number} currentPower - Current laser power
+ * @param {number} x - X position
+ * @param {number} y - Y position (optional)
+ * @returns {Array} Array of G-code commands
+ */
+function generateQualityPowerChange(newPower, currentPower, x, y) {
+    var gcode = [];
+    
+    // If power is the same, no change needed
+    if (newPower === currentPower) {
+        return gcode;
+    }
+    
+    // Calculate power difference
+    var powerDiff = Math.abs(newPower - currentPower);
+    var needsStabilization = powerDiff >= LASER_CONFIG.powerChangeThreshold;
+    
+    if (newPower === 0) {
+        // Turning laser off
+        gcode.push(formatLaserOffCommand() + ' ; Laser OFF');
+        if (needsStabilization) {
+            gcode.push(formatDwellCommand(LASER_CONFIG.powerStabilizationDelay) + ' ; Stabilization delay');
+        }
+    } else if (currentPower === 0) {
+        // Turning laser on from off
+        gcode.push('F' + LASER_CONFIG.speed + ' ; Set engraving speed');
+        gcode.push(formatLaserOnCommand(newPower) + ' ; Laser ON at ' + Math.round((newPower/255)*100) + '%');
+        if (needsStabilization) {
+            gcode.push(formatDwellCommand(LASER_CONFIG.powerStabilizationDelay) + ' ; Power stabilization');
+        }
+        if (x !== undefined) {
+            if (y !== undefined) {
+                gcode.push('G1 X' + x.toFixed(3) + ' Y' + y.toFixed(3) + ' ; Start burn');
+            } else {
+                gcode.push('G1 X' + x.toFixed(3) + ' ; Start burn');
+            }
+        }
+    } else {
+        // Changing power level
+        if (LASER_CONFIG.smoothPowerTransitions && powerDiff > 20) {
+            // Smooth transition for large power changes
+            var steps = Math.ceil(powerDiff / 20);
+            var stepSize = (newPower - currentPower) / steps;
+            
+            for (var i = 1; i <= steps; i++) {
+                var intermediePower = Math.round(currentPower + (stepSize * i));
+                gcode.push(formatLaserOnCommand(intermediePower) + ' ; Smooth transition');
+                if (i < steps) {
+                    gcode.push(formatDwellCommand(LASER_CONFIG.minMovementDelay / steps) + ' ; Transition delay');
+                }
+            }
+        } else {
+            // Direct power change
+            gcode.push(formatLaserOnCommand(newPower) + ' ; Power ' + Math.round((newPower/255)*100) + '%');
+        }
+        
+        if (needsStabilization) {
+            gcode.push(formatDwellCommand(LASER_CONFIG.minMovementDelay) + ' ; Movement delay');
+        }
+    }
+    
+    return gcode;
+}
+
+/**
+ * Create a raster job for cropped image data
+ * @param {Object} image - Cropped image {data, width, height}
+ * @param {Object} layout - Scan layout from createScanLayout() {widthMm, heightMm, samplesWidth, samplesHeight, sampleSpacing, resolution, ...}
+ * @returns {Object} Job state consumed by analyzeRasterRows() and processOptimizedRowsBatch()
+ */
+function createRasterJob(image, layout) {
+    return {
+        image: image,
+        layout: layout,
+        powerGrid: null,
+        nonEmptyRows: [],
+        emptyRowCount: 0,
+        processedRows: 0,
+        currentLaserPower: 0,
+        mergedSamples: 0,
+        emittedSegments: 0
+    };
+}
+
+/**
+ * Check whether all content rows of a raster job have been emitted
+ * @param {Object} job - Raster job
+ * @returns {boolean} True when the job is complete
+ */
+function isRasterJobComplete(job) {
+    return job.powerGrid !== null && job.processedRows >= job.nonEmptyRows.length;
+}
+
+/**
+ * Resample the image, build the power grid and find rows with content
+ * @param {Object} job - Raster job
+ * @returns {Array} G-code comment lines describing the raster section
+ */
+function analyzeRasterRows(job) {
+    var image = job.image;
+    var layout = job.layout;
+    var samplesWidth = layout.samplesWidth;
+    var samplesHeight = layout.samplesHeight;
+    
+    // Resample once so that row analysis, dithering and emission all see the same grid
+    var grayGrid = layout.scanAngle ?
+        buildRotatedSampleGrid(image, layout) :
+        buildSampleGrid(image.data, image.width, image.height, samplesWidth, samplesHeight);
+    job.powerGrid = buildPowerGrid(grayGrid, layout);
+    
+    // Cross-hatch passes each burn a fraction of the mapped power
+    var powerFraction = layout.powerFraction !== undefined ? layout.powerFraction : 1;
+    if (powerFraction < 1) {
+        for (var i = 0; i < job.powerGrid.length; i++) {
+            if (job.powerGrid[i] > 0) {
+                job.powerGrid[i] = Math.max(1, Math.round(job.powerGrid[i] * powerFraction));
+            }
+        }
+    }
+    
+    for (var sampleY = 0; sampleY < samplesHeight; sampleY++) {
+        var hasContent = false;
+        var rowOffset = sampleY * samplesWidth;
+        
+        for (var sampleX = 0; sampleX < samplesWidth; sampleX++) {
+            if (job.powerGrid[rowOffset + sampleX] > 0) {
+                hasContent = true;
+                break;
+            }
+        }
+        
+        if (hasContent) {
+            job.nonEmptyRows.push(sampleY);
+        } else {
+            job.emptyRowCount++;
+        }
+    }
+    
+    console.log(`Performance optimization: ${job.emptyRowCount} empty rows skipped, ${job.nonEmptyRows.length} content rows to process`);
+    
+    var gcode = [];
+    gcode.push('; Quality raster engraving: ' + layout.widthMm.toFixed(2) + 'x' + layout.heightMm.toFixed(2) + 'mm');
+    gcode.push('; Physical size: ' + layout.widthMm.toFixed(2) + 'x' + layout.heightMm.toFixed(2) + 'mm (workspace scale)');
+    gcode.push('; Position: X' + (layout.originXMm || 0).toFixed(2) + ' Y' + (layout.originYMm || 0).toFixed(2) + ' (bottom-left, workspace origin)');
+    gcode.push('; Sampling: ' + layout.resolution.toFixed(2) + ' samples/mm (' + layout.sampleSpacing.toFixed(3) + 'mm spacing)');
+    gcode.push('; Resampled: ' + samplesWidth + 'x' + samplesHeight + ' samples from ' + image.width + 'x' + image.height + ' pixels');
+    gcode.push('; Speed: ' + LASER_CONFIG.speed + ' mm/min, Max Power: ' + LASER_CONFIG.power + '/' + LASER_CONFIG.maxPower);
+    if (powerFraction < 1) {
+        gcode.push('; Pass power: ' + Math.round(powerFraction * 100) + '% of the mapped power');
+    }
+    gcode.push('; Quality Mode: ' + LASER_CONFIG.qualityMode + ', Stabilization: ' +
+              (usesInlinePower() ? 'none (inline S power on G1 moves)' : LASER_CONFIG.powerStabilizationDelay + 'ms'));
+    gcode.push('; Performance: ' + job.emptyRowCount + ' empty rows skipped, ' + (LASER_CONFIG.qualityMode === 'ultra' ? 'bilinear' : 'nearest-neighbor') + ' sampling');
+    gcode.push('; Power curve: ' + describePowerCurve(getPowerCurve()));
+    gcode.push('; Dithering: ' + (isDitherMode(LASER_CONFIG.ditherMode) ? LASER_CONFIG.ditherMode + ' (on/off at ' + getCurveMaxPower(getPowerCurve()) + '/' + LASER_CONFIG.maxPower + ')' : 'none (variable PWM)'));
+    if (LASER_CONFIG.ditherMode === 'halftone') {
+        gcode.push('; Halftone: ' + LASER_CONFIG.halftoneCellSize + 'mm cells at ' + LASER_CONFIG.halftoneAngle + ' deg');
+    }
+    if (isBidirectionalScan()) {
+        gcode.push('; Bidirectional scanning: ENABLED (zigzag pattern - optimized movement)');
+    } else {
+        gcode.push('; Unidirectional scanning: ENABLED (every row in the same direction, laser-off return)');
+    }
+    gcode.push('; Scan angle: ' + (layout.scanAngle || 0) + ' deg (' + describeScanAngle(layout.scanAngle || 0) + ')');
+    gcode.push('; Movement optimization: Direct positioning to first engrave point per row');
+    gcode.push('; Overscan: ' + (LASER_CONFIG.overscan || 0) + 'mm lead-in/lead-out, clamped to the ' + layout.workspaceWidthMm + 'x' + layout.workspaceHeightMm + 'mm workspace');
+    gcode.push('; White space fix: Improved content detection and conservative gap skipping');
+    gcode.push('; Segment merging: equal-power samples joined into single G1 moves (tolerance ' + (LASER_CONFIG.powerMergeTolerance || 0) + '/' + LASER_CONFIG.maxPower + ')');
+    if (isBidirectionalScan()) {
+        gcode.push('; Scan pattern: Row 0,2,4... = Left-to-Right, Row 1,3,5... = Right-to-Left');
+        gcode.push('; Bidirectional offset: R-L rows shifted by ' + getScanOffset(LASER_CONFIG.speed).toFixed(3) + 'mm at ' + LASER_CONFIG.speed + ' mm/min');
+    } else {
+        gcode.push('; Scan pattern: All rows Left-to-Right');
+    }
+    gcode.push('');
+    
+    return gcode;
+}
+
+/**
+ * Merge consecutive burning samples of a row into constant-power segments
+ * A run continues while the power stays within the tolerance of the run's first sample;
+ * the segment is burned at the run's average power.
+ * @param {Array} rowData - Samples {x, power} in scan order
+ * @param {number} tolerance - Maximum power difference (0-255) merged into one segment
+ * @returns {Array} Segments {startX, endX, power, samples}, with a total 'samples' property
+ */
+function compactRowSegments(rowData, tolerance) {
+    var segments = [];
+    segments.samples = 0;
+    tolerance = Math.max(0, tolerance || 0);
+    
+    var i = 0;
+    while (i < rowData.length) {
+        var runPower = rowData[i].power;
+        if (runPower <= 0) {
+            i++;
+            continue;
+        }
+        
+        var runEnd = i;
+        var powerSum = runPower;
+        while (runEnd + 1 < rowData.length) {
+            var nextPower = rowData[runEnd + 1].power;
+            if (nextPower <= 0 || Math.abs(nextPower - runPower) > tolerance) break;
+            runEnd++;
+            powerSum += nextPower;
+        }
+        
+        var samples = runEnd - i + 1;
+        segments.push({
+            startX: rowData[i].x,
+            endX: rowData[runEnd].x,
+            power: Math.round(powerSum / samples),
+            samples: samples
+        });
+        segments.samples += samples;
+        i = runEnd + 1;
+    }
+    
+    return segments;
+}
+
+/**
+ * Get the position (mm) of a segment edge along its row
+ * Sample n covers [n, n + 1] * spacing whatever the scan direction.
+ * @param {number} sampleX - Sample column
+ * @param {boolean} isRightToLeft - Row scan direction
+ * @param {boolean} isEnd - True for the edge where the segment ends
+ * @param {number} sampleSpacing - Sample spacing in mm
+ * @returns {number} Position along the row in mm
+ */
+function getSegmentEdgeMm(sampleX, isRightToLeft, isEnd, sampleSpacing) {
+    var farEdge = isRightToLeft ? !isEnd : isEnd;
+    return (sampleX + (farEdge ? 1 : 0)) * sampleSpacing;
+}
+
+/**
+ * Get the bidirectional scan offset for a speed from the machine's offset table
+ * Offsets are interpolated linearly between table entries and held constant beyond them.
+ * @param {number} speed - Engraving speed in mm/min
+ * @returns {number} Shift along the row in mm applied to right-to-left rows
+ */
+function getScanOffset(speed) {
+    var table = (LASER_CONFIG.scanOffsets || []).filter(function(entry) {
+        return isFinite(entry.speed) && isFinite(entry.offset);
+    }).sort(function(a, b) {
+        return a.speed - b.speed;
+    });
+    
+    if (table.length === 0) return 0;
+    if (speed <= table[0].speed) return table[0].offset;
+    if (speed >= table[table.length - 1].speed) return table[table.length - 1].offset;
+    
+    for (var i = 1; i < table.length; i++) {
+        if (speed <= table[i].speed) {
+            var low = table[i - 1];
+            var high = table[i];
+            var ratio = (speed - low.speed) / (high.speed - low.speed);
+            return low.offset + ratio * (high.offset - low.offset);
+        }
+    }
+    return 0;
+}
+
+/**
+ * Check whether raster rows alternate direction (zigzag) or all run the same way
+ * @returns {boolean} True for bidirectional scanning
+ */
+function isBidirectionalScan() {
+    return LASER_CONFIG.scanMode !== 'unidirectional';
+}
+
+/**
+ * Normalize a scan angle to [0, 180) degrees
+ * Rows at 180 degrees are the same lines as rows at 0 degrees.
+ * @param {number} angleDegrees - Scan angle in degrees
+ * @returns {number} Normalized angle
+ */
+function normalizeScanAngle(angleDegrees) {
+    var angle = parseFloat(angleDegrees) || 0;
+    return ((angle % 180) + 180) % 180;
+}
+
+/**
+ * Describe the scan angle for G-code comments
+ * @param {number} angleDegrees - Normalized scan angle
+ * @returns {string} Description
+ */
+function describeScanAngle(angleDegrees) {
+    if (angleDegrees === 0) return 'horizontal rows along X';
+    if (angleDegrees === 90) return 'vertical rows along Y';
+    return 'rotated rows';
+}
+
+/**
+ * Rotate the sample grid of a layout to a scan angle
+ * Rows run along u = (cos, sin) and are stacked along v = (-sin, cos). The grid
+ * covers the bounding box of the content rectangle in that frame; at 0 degrees
+ * it is the plain axis-aligned grid.
+ * @param {Object} layout - Sampling layout {widthMm, heightMm, resolution, ...}
+ * @param {number} angleDegrees - Scan angle in degrees (counter-clockwise from +X)
+ * @returns {Object} Copy of the layout with the rotated grid
+ */
+function createScanLayout(layout, angleDegrees) {
+    var angle = normalizeScanAngle(angleDegrees);
+    var radians = angle * Math.PI / 180;
+    
+    // Keep axis-aligned scans exact so their rows only move one axis
+    var cos = angle === 0 ? 1 : angle === 90 ? 0 : Math.cos(radians);
+    var sin = angle === 0 ? 0 : angle === 90 ? 1 : Math.sin(radians);
+    
+    var corners = [[0, 0], [layout.widthMm, 0], [0, layout.heightMm], [layout.widthMm, layout.heightMm]];
+    var uMin = Infinity, uMax = -Infinity, vMin = Infinity, vMax = -Infinity;
+    for (var i = 0; i < corners.length; i++) {
+        var u = corners[i][0] * cos + corners[i][1] * sin;
+        var v = -corners[i][0] * sin + corners[i][1] * cos;
+        uMin = Math.min(uMin, u);
+        uMax = Math.max(uMax, u);
+        vMin = Math.min(vMin, v);
+        vMax = Math.max(vMax, v);
+    }
+    
+    var scanLayout = {};
+    for (var key in layout) {
+        scanLayout[key] = layout[key];
+    }
+    scanLayout.scanAngle = angle;
+    scanLayout.scanCos = cos;
+    scanLayout.scanSin = sin;
+    scanLayout.scanUMinMm = uMin;
+    scanLayout.scanVMinMm = vMin;
+    scanLayout.samplesWidth = Math.ceil((uMax - uMin) * layout.resolution);
+    scanLayout.samplesHeight = Math.ceil((vMax - vMin) * layout.resolution);
+    
+    return scanLayout;
+}
+
+/**
+ * Build the scan layouts of all raster passes
+ * A single pass uses LASER_CONFIG.scanAngle; cross-hatch engraves the same image
+ * once per LASER_CONFIG.crossHatchPasses entry, each with its own angle and power fraction.
+ * @param {Object} layout - Sampling layout {widthMm, heightMm, resolution, ...}
+ * @returns {Array} Scan layouts with passNumber, passCount and powerFraction
+ */
+function createRasterPasses(layout) {
+    var passes = LASER_CONFIG.crossHatch && LASER_CONFIG.crossHatchPasses && LASER_CONFIG.crossHatchPasses.length > 0 ?
+        LASER_CONFIG.crossHatchPasses :
+        [{ angle: LASER_CONFIG.scanAngle, powerFraction: 1 }];
+    
+    return passes.map(function(pass, index) {
+        var passLayout = createScanLayout(layout, pass.angle);
+        passLayout.passNumber = index + 1;
+        passLayout.passCount = passes.length;
+        passLayout.powerFraction = Math.min(Math.max(pass.powerFraction, 0.01), 1) || 1;
+        return passLayout;
+    });
+}
+
+/**
+ * Get the comment lines opening a raster pass section
+ * Only multi-pass jobs get sections; a single pass is emitted as before.
+ * @param {Object} layout - Pass layout from createRasterPasses()
+ * @returns {Array} G-code comment lines
+ */
+function getRasterPassHeader(layout) {
+    if (!(layout.passCount > 1)) return [];
+    return [
+        '; ====================================================',
+        '; === PASS ' + layout.passNumber + '/' + layout.passCount + ': scan ' + layout.scanAngle + ' deg at ' + Math.round(layout.powerFraction * 100) + '% power ===',
+        '; ====================================================',
+        ''
+    ];
+}
+
+/**
+ * Get the comment lines closing a raster pass section
+ * @param {Object} layout - Pass layout from createRasterPasses()
+ * @returns {Array} G-code comment lines
+ */
+function getRasterPassFooter(layout) {
+    if (!(layout.passCount > 1)) return [];
+    var isLastPass = layout.passNumber === layout.passCount;
+    return [
+        '',
+        '; === END OF PASS ' + layout.passNumber + '/' + layout.passCount + (isLastPass ? ' ===' : ' (laser off - the job can be stopped here) ==='),
+        ''
+    ];
+}
+
+/**
+ * Get the workspace position (mm) of a point in the scan frame
+ * @param {Object} layout - Scan layout
+ * @param {number} u - Position along the row in mm (from the grid's first column)
+ * @param {number} v - Row position in mm (from the grid's bottom row)
+ * @returns {Object} Position {x, y}
+ */
+function getScanPointMm(layout, u, v) {
+    var cos = layout.scanCos !== undefined ? layout.scanCos : 1;
+    var sin = layout.scanSin || 0;
+    u += layout.scanUMinMm || 0;
+    v += layout.scanVMinMm || 0;
+    
+    return {
+        x: (layout.originXMm || 0) + u * cos - v * sin,
+        y: (layout.originYMm || 0) + u * sin + v * cos
+    };
+}
+
+/**
+ * Clamp a position along a row so that it stays inside the workspace
+ * @param {Object} layout - Scan layout with workspaceWidthMm/workspaceHeightMm
+ * @param {number} u - Position along the row in mm
+ * @param {number} v - Row position in mm
+ * @returns {number} Clamped position along the row
+ */
+function clampScanPositionToWorkspace(layout, u, v) {
+    var start = getScanPointMm(layout, 0, v);
+    var limits = [
+        { base: start.x, step: layout.scanCos !== undefined ? layout.scanCos : 1, size: layout.workspaceWidthMm },
+        { base: start.y, step: layout.scanSin || 0, size: layout.workspaceHeightMm }
+    ];
+    var min = -Infinity;
+    var max = Infinity;
+    
+    for (var i = 0; i < limits.length; i++) {
+        var limit = limits[i];
+        if (limit.step === 0) continue;
+        
+        var size = limit.size !== undefined ? limit.size : Infinity;
+        var a = (0 - limit.base) / limit.step;
+        var b = (size - limit.base) / limit.step;
+        min = Math.max(min, Math.min(a, b));
+        max = Math.min(max, Math.max(a, b));
+    }
+    
+    return Math.min(Math.max(u, min), max);
+}
+
+/**
+ * Format a scan position as G-code axis words
+ * Moves along an axis-aligned row only carry the axis that changes.
+ * @param {Object} layout - Scan layout
+ * @param {number} u - Position along the row in mm
+ * @param {number} v - Row position in mm
+ * @param {boolean} alongRow - True for a move within the current row
+ * @returns {string} Axis words, e.g. 'X12.000 Y3.000'
+ */
+function formatScanPoint(layout, u, v, alongRow) {
+    var point = getScanPointMm(layout, u, v);
+    var sin = layout.scanSin || 0;
+    var cos = layout.scanCos !== undefined ? layout.scanCos : 1;
+    
+    // Rounding noise at a workspace edge must not print as '-0.000'
+    var x = Math.abs(point.x) < 0.0005 ? 0 : point.x;
+    var y = Math.abs(point.y) < 0.0005 ? 0 : point.y;
+    
+    if (alongRow && sin === 0) return 'X' + x.toFixed(3);
+    if (alongRow && cos === 0) return 'Y' + y.toFixed(3);
+    return 'X' + x.toFixed(3) + ' Y' + y.toFixed(3);
+}
+
+/**
+ * Get the number of content rows emitted per batch for the current quality mode
+ * @returns {number} Rows per batch
+ */
+function getRasterBatchSize() {
+    return LASER_CONFIG.qualityMode === 'fast' ? 20 : 
+           LASER_CONFIG.qualityMode === 'balanced' ? 10 : 
+           LASER_CONFIG.qualityMode === 'quality' ? 5 : 3; // ultra quality
+}
+
+/**
+ * Emit G-code for the next batch of non-empty rows
+ * @param {Object} job - Raster job prepared by analyzeRasterRows()
+ * @returns {Array} G-code lines for this batch
+ */
+function processOptimizedRowsBatch(job) {
+    var gcode = [];
+    var layout = job.layout;
+    var powerGrid = job.powerGrid;
+    var nonEmptyRows = job.nonEmptyRows;
+    var samplesWidth = layout.samplesWidth;
+    var samplesHeight = layout.samplesHeight;
+    var sampleSpacing = layout.sampleSpacing;
+    var resolution = layout.resolution;
+    var overscan = Math.max(0, LASER_CONFIG.overscan || 0);
+    var bidirectional = isBidirectionalScan();
+    var scanOffset = bidirectional ? getScanOffset(LASER_CONFIG.speed) : 0;
+    var currentLaserPower = job.currentLaserPower;
+    var inlinePower = usesInlinePower();
+    var totalRows = nonEmptyRows.length;
+    
+    var startIndex = job.processedRows;
+    var endIndex = Math.min(startIndex + getRasterBatchSize(), totalRows);
+    
+    // Position of a sample edge along a row. Right-to-left rows are shifted to cancel
+    // belt backlash and PWM latency; the shift must not push content at the workspace
+    // edge past the machine limits.
+    function getRowPositionMm(row, sampleX, isEnd) {
+        var u = (row.isRightToLeft ? scanOffset : 0) + getSegmentEdgeMm(sampleX, row.isRightToLeft, isEnd, sampleSpacing);
+        return clampScanPositionToWorkspace(layout, u, row.rowVMm);
+    }
+    
+    // Pre-compute row data for entire batch to optimize processing
+    var batchRowData = [];
+    
+    for (var i = startIndex; i < endIndex; i++) {
+        var sampleY = nonEmptyRows[i];  // Get the actual row index from non-empty rows array
+        var rowVMm = (samplesHeight - 1 - sampleY) * sampleSpacing;
+        var isRightToLeft = bidirectional && (i % 2 === 1);  // Use processed row count for bidirectional pattern
+        var rowData = [];
+        var rowHasContent = false;
+        
+        // Read all samples of this row from the pre-computed power grid (we know it has content)
+        var rowOffset = sampleY * samplesWidth;
+        for (var sampleX = 0; sampleX < samplesWidth; sampleX++) {
+            var laserPower = powerGrid[rowOffset + sampleX];
+            
+            rowData.push({
+                x: sampleX,
+                power: laserPower
+            });
+            
+            if (laserPower > 0) {
+                rowHasContent = true;
+            }
+        }
+        
+        if (rowHasContent) {
+            // Reverse row data for right-to-left scanning (bidirectional)
+            if (isRightToLeft) {
+                rowData.reverse();
+            }
+            
+            batchRowData.push({
+                rowVMm: rowVMm,
+                isRightToLeft: isRightToLeft,
+                rowData: rowData,
+                rowNumber: i,
+                actualRowIndex: sampleY
+            });
+        }
+    }
+    
+    // Process the batch row data into G-code
+    for (var b = 0; b < batchRowData.length; b++) {
+        var batchRow = batchRowData[b];
+        var scanDirection = batchRow.isRightToLeft ? 'R-L' : 'L-R';
+        
+        // Merge runs of (nearly) equal power into single moves
+        var segments = compactRowSegments(batchRow.rowData, LASER_CONFIG.powerMergeTolerance);
+        job.mergedSamples += segments.samples;
+        job.emittedSegments += segments.length;
+        
+        var direction = batchRow.isRightToLeft ? -1 : 1;
+        var rowV = batchRow.rowVMm;
+        
+        // OPTIMIZED: Move directly to the first engraving position (or skip row if no engraving needed)
+        // In unidirectional mode this travel is the laser-off return to the start side
+        if (segments.length > 0) {
+            var firstEngravingMm = getRowPositionMm(batchRow, segments[0].startX, false);
+            
+            // Start before the content so the head is at engraving speed when the laser fires
+            var leadInMm = clampScanPositionToWorkspace(layout, firstEngravingMm - direction * overscan, rowV);
+            gcode.push('G0 ' + formatScanPoint(layout, leadInMm, rowV, false) + ' F' + LASER_CONFIG.travelRate + 
+                      ' ; Row ' + batchRow.actualRowIndex + ' (' + batchRow.rowNumber + '/' + totalRows + ') ' + scanDirection + ' - Direct to first engrave');
+            if (leadInMm !== firstEngravingMm) {
+                gcode.push('G1 ' + formatScanPoint(layout, firstEngravingMm, rowV, true) + ' F' + LASER_CONFIG.speed +
+                          (inlinePower ? formatInlinePower(0) : '') + ' ; Overscan lead-in');
+            }
+        } else {
+            // Row has no engraving content, just move to the row (shouldn't happen with optimized processing)
+            gcode.push('G0 ' + formatScanPoint(layout, 0, rowV, false) + ' F' + LASER_CONFIG.travelRate + ' ; Row ' + batchRow.actualRowIndex + ' - No content');
+        }
+        
+        // More conservative gap skipping to avoid missing content
+        // Reduced threshold to be less aggressive, especially for high precision
+        var skipThreshold = Math.max(3, Math.ceil(1.5 * resolution)); // More conservative threshold
+        
+        // Inline moves carry their own feed rate after a G0 (the laser-on sequence sets it otherwise)
+        var feedSet = segments.length > 0 && leadInMm !== firstEngravingMm;
+        
+        for (var s = 0; s < segments.length; s++) {
+            var segment = segments[s];
+            var startMm = getRowPositionMm(batchRow, segment.startX, false);
+            var endMm = getRowPositionMm(batchRow, segment.endX, true);
+            
+            if (s > 0) {
+                var gapSamples = Math.abs(segment.startX - segments[s - 1].endX) - 1;
+                
+                if (gapSamples > 0) {
+                    // White gap: laser off, then cross it
+                    if (!inlinePower) {
+                        var offCommands = generateQualityPowerChange(0, currentLaserPower);
+                        Array.prototype.push.apply(gcode, offCommands);
+                        currentLaserPower = 0;
+                    }
+                    
+                    if (gapSamples > skipThreshold) {
+                        gcode.push('G0 ' + formatScanPoint(layout, startMm, rowV, true) + ' F' + LASER_CONFIG.travelRate + ' ; Skip gap');
+                        feedSet = false;
+                    } else {
+                        gcode.push('G1 ' + formatScanPoint(layout, startMm, rowV, true) + (inlinePower ? formatInlinePower(0) : '') + ' ; Cross gap');
+                    }
+                }
+            }
+            
+            if (inlinePower) {
+                // Power rides on the move: no laser-on command, no dwell
+                gcode.push('G1 ' + formatScanPoint(layout, endMm, rowV, true) + (feedSet ? '' : ' F' + LASER_CONFIG.speed) +
+                          formatInlinePower(segment.power) + ' ; Engrave' + (segment.samples > 1 ? ' ' + segment.samples + ' samples' : ''));
+                feedSet = true;
+                continue;
+            }
+            
+            // Turn laser on (or change power) with optimized power commands
+            var powerCommands = generateQualityPowerChange(segment.power, currentLaserPower);
+            Array.prototype.push.apply(gcode, powerCommands);
+            currentLaserPower = segment.power;
+            
+            gcode.push('G1 ' + formatScanPoint(layout, endMm, rowV, true) + ' ; Engrave' + (segment.samples > 1 ? ' ' + segment.samples + ' samples' : ''));
+        }
+        
+        // Ensure laser is off at end of row
+        if (currentLaserPower > 0) {
+            var endCommands = generateQualityPowerChange(0, currentLaserPower);
+            Array.prototype.push.apply(gcode, endCommands);
+            currentLaserPower = 0;
+        }
+        
+        // Decelerate past the content with the laser off
+        if (overscan > 0 && segments.length > 0) {
+            var lastEngravingMm = getRowPositionMm(batchRow, segments[segments.length - 1].endX, true);
+            var leadOutMm = clampScanPositionToWorkspace(layout, lastEngravingMm + direction * overscan, rowV);
+            if (leadOutMm !== lastEngravingMm) {
+                gcode.push('G1 ' + formatScanPoint(layout, leadOutMm, rowV, true) + (inlinePower ? formatInlinePower(0) : '') + ' ; Overscan lead-out');
+            }
+        }
+        
+        // Add progress markers for user feedback
+        if (batchRow.rowNumber % 10 === 0) {
+            var progress = Math.round((batchRow.rowNumber / totalRows) * 100);
+            gcode.push('; Progress: ' + progress + '% (' + batchRow.rowNumber + '/' + totalRows + ' content rows)');
+        }
+    }
+    
+    job.currentLaserPower = currentLaserPower;
+    job.processedRows = endIndex;
+    
+    if (endIndex === totalRows) {
+        gcode.push('; Segment merging: ' + job.mergedSamples + ' burning samples emitted as ' + job.emittedSegments + ' G1 moves');
+    }
+    
+    return gcode;
+}
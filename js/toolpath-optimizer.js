@@ -0,0 +1,282 @@
+/**
+ * Toolpath Optimizer Module
+ * Orders vector toolpaths to cut down laser-off travel: engraving first, then cuts
+ * from the innermost outward so parts do not drop before their holes are cut.
+ * Each group is ordered nearest-neighbour first and refined with 2-opt; paths are
+ * run backwards when their far end is closer.
+ */
+
+/**
+ * Optimizer limits
+ */
+const TOOLPATH_OPTIMIZER_CONFIG = {
+    maxTwoOptPaths: 1500,  // Larger groups keep the nearest-neighbour order (2-opt is quadratic)
+    maxTwoOptPasses: 8     // Improvement passes over a group
+};
+
+/**
+ * Create a toolpath: polylines traced one after the other with the same settings
+ * @param {string} kind - 'outline' (traced contours) or 'hatch' (fill lines)
+ * @param {Array} polylines - Polylines {points, closed} in workspace mm
+ * @param {Object} settings - Laser settings {mode, speed, power, ...}
+ * @param {string} label - Description used in G-code comments
+ * @returns {Object} Toolpath
+ */
+function createToolpath(kind, polylines, settings, label) {
+    var lastPoints = polylines[polylines.length - 1].points;
+    
+    return {
+        kind: kind,
+        polylines: polylines,
+        settings: settings,
+        label: label,
+        first: polylines[0].points[0],
+        last: lastPoints[lastPoints.length - 1],
+        reversed: false
+    };
+}
+
+/**
+ * Get the point where a toolpath starts, in its current direction
+ * @param {Object} toolpath - Toolpath
+ * @returns {Object} Point {x, y}
+ */
+function getToolpathStart(toolpath) {
+    return toolpath.reversed ? toolpath.last : toolpath.first;
+}
+
+/**
+ * Get the point where a toolpath ends, in its current direction
+ * @param {Object} toolpath - Toolpath
+ * @returns {Object} Point {x, y}
+ */
+function getToolpathEnd(toolpath) {
+    return toolpath.reversed ? toolpath.first : toolpath.last;
+}
+
+/**
+ * Get the polylines of a toolpath in the order and direction they are traced
+ * @param {Object} toolpath - Toolpath
+ * @returns {Array} Polylines {points, closed}
+ */
+function getToolpathPolylines(toolpath) {
+    if (!toolpath.reversed) return toolpath.polylines;
+    
+    return toolpath.polylines.slice().reverse().map(function(polyline) {
+        return { points: polyline.points.slice().reverse(), closed: polyline.closed };
+    });
+}
+
+/**
+ * Distance between two points
+ * @param {Object} a - Point {x, y}
+ * @param {Object} b - Point {x, y}
+ * @returns {number} Distance
+ */
+function getPointDistance(a, b) {
+    return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+/**
+ * Measure the laser-off travel between toolpaths
+ * @param {Array} toolpaths - Toolpaths in execution order
+ * @param {Object} origin - Head position before the first toolpath
+ * @returns {number} Travel distance in mm
+ */
+function measureToolpathTravel(toolpaths, origin) {
+    var position = origin;
+    var travel = 0;
+    
+    for (var i = 0; i < toolpaths.length; i++) {
+        travel += getPointDistance(position, getToolpathStart(toolpaths[i]));
+        position = getToolpathEnd(toolpaths[i]);
+    }
+    return travel;
+}
+
+/**
+ * Check whether a point lies inside a polygon (even-odd ray casting)
+ * @param {Object} point - Point {x, y}
+ * @param {Array} points - Polygon vertices
+ * @returns {boolean} True when inside
+ */
+function isPointInPolygon(point, points) {
+    var inside = false;
+    
+    for (var i = 0, j = points.length - 1; i < points.length; j = i++) {
+        var a = points[i];
+        var b = points[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Get the bounding box of a toolpath
+ * @param {Object} toolpath - Toolpath
+ * @returns {Object} Bounds {minX, minY, maxX, maxY}
+ */
+function getToolpathBounds(toolpath) {
+    var bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    
+    toolpath.polylines.forEach(function(polyline) {
+        polyline.points.forEach(function(point) {
+            bounds.minX = Math.min(bounds.minX, point.x);
+            bounds.minY = Math.min(bounds.minY, point.y);
+            bounds.maxX = Math.max(bounds.maxX, point.x);
+            bounds.maxY = Math.max(bounds.maxY, point.y);
+        });
+    });
+    return bounds;
+}
+
+/**
+ * Count, for every cut toolpath, how many closed cut contours enclose it
+ * @param {Array} cuts - Cut toolpaths
+ * @returns {Array} Nesting depth per toolpath (0 = not enclosed)
+ */
+function getCutNestingDepths(cuts) {
+    var bounds = cuts.map(getToolpathBounds);
+    
+    return cuts.map(function(inner, i) {
+        var depth = 0;
+        
+        for (var j = 0; j < cuts.length; j++) {
+            var outer = cuts[j].polylines[0];
+            if (i === j || !outer.closed) continue;
+            if (bounds[i].minX < bounds[j].minX || bounds[i].maxX > bounds[j].maxX ||
+                bounds[i].minY < bounds[j].minY || bounds[i].maxY > bounds[j].maxY) continue;
+            
+            if (isPointInPolygon(inner.first, outer.points)) depth++;
+        }
+        return depth;
+    });
+}
+
+/**
+ * Order toolpaths by always moving to the closest remaining start or end point
+ * @param {Array} toolpaths - Toolpaths to order
+ * @param {Object} position - Head position before the first toolpath
+ * @returns {Array} Ordered toolpaths (reversed flags set)
+ */
+function orderToolpathsNearest(toolpaths, position) {
+    var remaining = toolpaths.slice();
+    var order = [];
+    
+    while (remaining.length > 0) {
+        var best = 0;
+        var bestDistance = Infinity;
+        var bestReversed = false;
+        
+        for (var i = 0; i < remaining.length; i++) {
+            var toStart = getPointDistance(position, remaining[i].first);
+            var toEnd = getPointDistance(position, remaining[i].last);
+            
+            if (toStart < bestDistance) {
+                best = i;
+                bestDistance = toStart;
+                bestReversed = false;
+            }
+            if (toEnd < bestDistance) {
+                best = i;
+                bestDistance = toEnd;
+                bestReversed = true;
+            }
+        }
+        
+        var toolpath = remaining.splice(best, 1)[0];
+        toolpath.reversed = bestReversed;
+        order.push(toolpath);
+        position = getToolpathEnd(toolpath);
+    }
+    
+    return order;
+}
+
+/**
+ * Refine a toolpath order with 2-opt moves
+ * Reversing the run i..j flips the direction of every toolpath in it, so only the
+ * two travels at the ends of the run change.
+ * @param {Array} order - Ordered toolpaths, modified in place
+ * @param {Object} position - Head position before the first toolpath
+ */
+function improveToolpathOrder(order, position) {
+    var n = order.length;
+    if (n < 2 || n > TOOLPATH_OPTIMIZER_CONFIG.maxTwoOptPaths) return;
+    
+    for (var pass = 0; pass < TOOLPATH_OPTIMIZER_CONFIG.maxTwoOptPasses; pass++) {
+        var improved = false;
+        
+        for (var i = 0; i < n; i++) {
+            var before = i === 0 ? position : getToolpathEnd(order[i - 1]);
+            
+            for (var j = i; j < n; j++) {
+                var after = j + 1 < n ? getToolpathStart(order[j + 1]) : null;
+                var currentCost = getPointDistance(before, getToolpathStart(order[i])) +
+                                  (after ? getPointDistance(getToolpathEnd(order[j]), after) : 0);
+                var reversedCost = getPointDistance(before, getToolpathEnd(order[j])) +
+                                   (after ? getPointDistance(getToolpathStart(order[i]), after) : 0);
+                
+                if (reversedCost < currentCost - 1e-6) {
+                    var run = order.slice(i, j + 1).reverse();
+                    for (var k = 0; k < run.length; k++) {
+                        run[k].reversed = !run[k].reversed;
+                        order[i + k] = run[k];
+                    }
+                    improved = true;
+                }
+            }
+        }
+        
+        if (!improved) break;
+    }
+}
+
+/**
+ * Order vector toolpaths for the job
+ * Engraving (score, fill, text) comes first, then cuts grouped by nesting depth,
+ * deepest first; each group is ordered from where the previous one ended.
+ * @param {Array} toolpaths - Toolpaths in canvas order
+ * @param {Object} origin - Head position before the first toolpath
+ * @returns {Object} Result {toolpaths, originalTravel, optimizedTravel} (travel in mm)
+ */
+function optimizeToolpathOrder(toolpaths, origin) {
+    var originalTravel = measureToolpathTravel(toolpaths, origin);
+    var engraving = toolpaths.filter(function(toolpath) {
+        return toolpath.settings.mode !== 'cut';
+    });
+    var cuts = toolpaths.filter(function(toolpath) {
+        return toolpath.settings.mode === 'cut';
+    });
+    
+    var groups = [engraving];
+    var depths = getCutNestingDepths(cuts);
+    var maxDepth = depths.reduce(function(max, depth) {
+        return Math.max(max, depth);
+    }, 0);
+    for (var depth = maxDepth; depth >= 0; depth--) {
+        groups.push(cuts.filter(function(toolpath, index) {
+            return depths[index] === depth;
+        }));
+    }
+    
+    var ordered = [];
+    var position = origin;
+    groups.forEach(function(group) {
+        if (group.length === 0) return;
+        
+        var order = orderToolpathsNearest(group, position);
+        improveToolpathOrder(order, position);
+        Array.prototype.push.apply(ordered, order);
+        position = getToolpathEnd(order[order.length - 1]);
+    });
+    
+    return {
+        toolpaths: ordered,
+        originalTravel: originalTravel,
+        optimizedTravel: measureToolpathTravel(ordered, origin)
+    };
+}
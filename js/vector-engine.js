@@ -0,0 +1,663 @@
+/**
+ * Vector Engine Module
+ * DOM-free geometry for vector engraving: shape outlines are built as path
+ * commands, transformed, flattened into polylines and emitted as G1 outline moves.
+ * Coordinates are in workspace millimeters (origin bottom-left, Y up).
+ */
+
+/**
+ * Map every point of a list of path commands
+ * Commands use the opentype.js layout: {type: 'M'|'L'|'Q'|'C'|'Z', x, y, x1, y1, x2, y2}.
+ * Affine transforms keep Bézier curves exact, so control points can be mapped directly.
+ * @param {Array} commands - Path commands
+ * @param {Function} transform - Maps a point {x, y} to a new point {x, y}
+ * @returns {Array} Transformed path commands
+ */
+function transformPathCommands(commands, transform) {
+    return commands.map(function(command) {
+        var mapped = { type: command.type };
+        var pairs = [['x', 'y'], ['x1', 'y1'], ['x2', 'y2']];
+        
+        for (var i = 0; i < pairs.length; i++) {
+            var keyX = pairs[i][0];
+            var keyY = pairs[i][1];
+            if (command[keyX] === undefined) continue;
+            
+            var point = transform({ x: command[keyX], y: command[keyY] });
+            mapped[keyX] = point.x;
+            mapped[keyY] = point.y;
+        }
+        return mapped;
+    });
+}
+
+/**
+ * Build the outline of a rectangle centered on the origin
+ * Rounded corners follow fabric.Rect (radii capped at half the size, cubic quarter arcs).
+ * @param {number} width - Rectangle width
+ * @param {number} height - Rectangle height
+ * @param {number} rx - Horizontal corner radius
+ * @param {number} ry - Vertical corner radius
+ * @returns {Array} Closed path commands
+ */
+function getRectPathCommands(width, height, rx, ry) {
+    var x = -width / 2;
+    var y = -height / 2;
+    rx = Math.min(rx || 0, width / 2);
+    ry = Math.min(ry || 0, height / 2);
+    
+    if (!rx || !ry) {
+        return [
+            { type: 'M', x: x, y: y },
+            { type: 'L', x: x + width, y: y },
+            { type: 'L', x: x + width, y: y + height },
+            { type: 'L', x: x, y: y + height },
+            { type: 'Z' }
+        ];
+    }
+    
+    // Same control point ratio as fabric.Rect._render
+    var k = 1 - 0.5522847498;
+    return [
+        { type: 'M', x: x + rx, y: y },
+        { type: 'L', x: x + width - rx, y: y },
+        { type: 'C', x1: x + width - k * rx, y1: y, x2: x + width, y2: y + k * ry, x: x + width, y: y + ry },
+        { type: 'L', x: x + width, y: y + height - ry },
+        { type: 'C', x1: x + width, y1: y + height - k * ry, x2: x + width - k * rx, y2: y + height, x: x + width - rx, y: y + height },
+        { type: 'L', x: x + rx, y: y + height },
+        { type: 'C', x1: x + k * rx, y1: y + height, x2: x, y2: y + height - k * ry, x: x, y: y + height - ry },
+        { type: 'L', x: x, y: y + ry },
+        { type: 'C', x1: x, y1: y + k * ry, x2: x + k * rx, y2: y, x: x + rx, y: y },
+        { type: 'Z' }
+    ];
+}
+
+/**
+ * Build the outline of an ellipse (or elliptical arc) centered on the origin
+ * The arc is split into cubic Béziers of at most 90 degrees each.
+ * @param {number} rx - Horizontal radius
+ * @param {number} ry - Vertical radius
+ * @param {number} startAngle - Start angle in degrees (clockwise on the canvas)
+ * @param {number} endAngle - End angle in degrees
+ * @returns {Array} Path commands, closed for a full turn
+ */
+function getEllipsePathCommands(rx, ry, startAngle, endAngle) {
+    var sweep = Math.min(endAngle - startAngle, 360);
+    var full = sweep >= 360;
+    var segments = Math.max(1, Math.ceil(Math.abs(sweep) / 90));
+    var step = (sweep / segments) * Math.PI / 180;
+    var k = 4 / 3 * Math.tan(step / 4);
+    var angle = startAngle * Math.PI / 180;
+    var commands = [{ type: 'M', x: rx * Math.cos(angle), y: ry * Math.sin(angle) }];
+    
+    for (var i = 0; i < segments; i++) {
+        var cos0 = Math.cos(angle);
+        var sin0 = Math.sin(angle);
+        angle += step;
+        var cos1 = Math.cos(angle);
+        var sin1 = Math.sin(angle);
+        
+        commands.push({
+            type: 'C',
+            x1: rx * (cos0 - k * sin0), y1: ry * (sin0 + k * cos0),
+            x2: rx * (cos1 + k * sin1), y2: ry * (sin1 - k * cos1),
+            x: rx * cos1, y: ry * sin1
+        });
+    }
+    
+    if (full) commands.push({ type: 'Z' });
+    return commands;
+}
+
+/**
+ * Convert a fabric.Path command array to path commands
+ * fabric.Path keeps its commands absolute and simplified to M, L, Q, C and Z.
+ * @param {Array} path - fabric.Path.path entries, e.g. ['Q', x1, y1, x, y]
+ * @param {number} offsetX - Horizontal offset subtracted from every point (pathOffset.x)
+ * @param {number} offsetY - Vertical offset subtracted from every point (pathOffset.y)
+ * @returns {Array} Path commands
+ */
+function convertFabricPathCommands(path, offsetX, offsetY) {
+    var commands = [];
+    
+    for (var i = 0; i < path.length; i++) {
+        var entry = path[i];
+        var type = entry[0].toUpperCase();
+        
+        if (type === 'M' || type === 'L') {
+            commands.push({ type: type, x: entry[1] - offsetX, y: entry[2] - offsetY });
+        } else if (type === 'Q') {
+            commands.push({
+                type: 'Q',
+                x1: entry[1] - offsetX, y1: entry[2] - offsetY,
+                x: entry[3] - offsetX, y: entry[4] - offsetY
+            });
+        } else if (type === 'C') {
+            commands.push({
+                type: 'C',
+                x1: entry[1] - offsetX, y1: entry[2] - offsetY,
+                x2: entry[3] - offsetX, y2: entry[4] - offsetY,
+                x: entry[5] - offsetX, y: entry[6] - offsetY
+            });
+        } else if (type === 'Z') {
+            commands.push({ type: 'Z' });
+        }
+    }
+    
+    return commands;
+}
+
+/**
+ * Get the number of straight segments needed to follow a Bézier within a tolerance
+ * Uses the bound |B - polyline| <= max|B''| / (8 n^2), where B'' is bounded by the
+ * control polygon's second differences.
+ * @param {number} secondDifference - Largest second difference of the control points (mm)
+ * @param {number} degree - Curve degree (2 or 3)
+ * @param {number} tolerance - Maximum deviation in mm
+ * @returns {number} Segment count (at least 1)
+ */
+function getBezierSegmentCount(secondDifference, degree, tolerance) {
+    var maxSecondDerivative = degree * (degree - 1) * secondDifference;
+    var segments = Math.ceil(Math.sqrt(maxSecondDerivative / (8 * Math.max(tolerance, 0.001))));
+    return Math.min(Math.max(segments, 1), 1000);
+}
+
+/**
+ * Append a flattened quadratic Bézier to a point list (start point excluded)
+ * @param {Array} points - Output points
+ * @param {Object} p0 - Start point
+ * @param {Object} p1 - Control point
+ * @param {Object} p2 - End point
+ * @param {number} tolerance - Maximum deviation in mm
+ */
+function flattenQuadratic(points, p0, p1, p2, tolerance) {
+    var dx = p0.x - 2 * p1.x + p2.x;
+    var dy = p0.y - 2 * p1.y + p2.y;
+    var segments = getBezierSegmentCount(Math.sqrt(dx * dx + dy * dy), 2, tolerance);
+    
+    for (var i = 1; i <= segments; i++) {
+        var t = i / segments;
+        var mt = 1 - t;
+        points.push({
+            x: mt * mt * p0.x + 2 * mt * t * p1.x + t * t * p2.x,
+            y: mt * mt * p0.y + 2 * mt * t * p1.y + t * t * p2.y
+        });
+    }
+}
+
+/**
+ * Append a flattened cubic Bézier to a point list (start point excluded)
+ * @param {Array} points - Output points
+ * @param {Object} p0 - Start point
+ * @param {Object} p1 - First control point
+ * @param {Object} p2 - Second control point
+ * @param {Object} p3 - End point
+ * @param {number} tolerance - Maximum deviation in mm
+ */
+function flattenCubic(points, p0, p1, p2, p3, tolerance) {
+    var ax = p0.x - 2 * p1.x + p2.x;
+    var ay = p0.y - 2 * p1.y + p2.y;
+    var bx = p1.x - 2 * p2.x + p3.x;
+    var by = p1.y - 2 * p2.y + p3.y;
+    var secondDifference = Math.max(Math.sqrt(ax * ax + ay * ay), Math.sqrt(bx * bx + by * by));
+    var segments = getBezierSegmentCount(secondDifference, 3, tolerance);
+    
+    for (var i = 1; i <= segments; i++) {
+        var t = i / segments;
+        var mt = 1 - t;
+        var a = mt * mt * mt;
+        var b = 3 * mt * mt * t;
+        var c = 3 * mt * t * t;
+        var d = t * t * t;
+        points.push({
+            x: a * p0.x + b * p1.x + c * p2.x + d * p3.x,
+            y: a * p0.y + b * p1.y + c * p2.y + d * p3.y
+        });
+    }
+}
+
+/**
+ * Flatten path commands into polylines
+ * @param {Array} commands - Path commands (see transformPathCommands)
+ * @param {number} tolerance - Maximum deviation from the curves in mm
+ * @returns {Array} Polylines {points: [{x, y}], closed}
+ */
+function flattenPathCommands(commands, tolerance) {
+    var polylines = [];
+    var current = null;
+    var start = null;
+    var last = null;
+    
+    function finish(closed) {
+        if (current && current.points.length > 1) {
+            current.closed = closed;
+            polylines.push(current);
+        }
+        current = null;
+    }
+    
+    for (var i = 0; i < commands.length; i++) {
+        var command = commands[i];
+        var end = { x: command.x, y: command.y };
+        
+        if (command.type === 'M') {
+            finish(false);
+            current = { points: [end], closed: false };
+            start = end;
+            last = end;
+            continue;
+        }
+        
+        if (command.type === 'Z') {
+            if (current && start && (last.x !== start.x || last.y !== start.y)) {
+                current.points.push({ x: start.x, y: start.y });
+            }
+            finish(true);
+            last = start;
+            continue;
+        }
+        
+        // Drawing without a preceding moveto continues from the last point
+        if (!current) {
+            current = { points: [last || end], closed: false };
+            start = start || last || end;
+        }
+        
+        if (command.type === 'L') {
+            current.points.push(end);
+        } else if (command.type === 'Q') {
+            flattenQuadratic(current.points, last, { x: command.x1, y: command.y1 }, end, tolerance);
+        } else if (command.type === 'C') {
+            flattenCubic(current.points, last, { x: command.x1, y: command.y1 }, { x: command.x2, y: command.y2 }, end, tolerance);
+        }
+        last = end;
+    }
+    
+    finish(false);
+    return polylines;
+}
+
+/**
+ * Get the length of a polyline in mm
+ * @param {Array} points - Polyline points
+ * @returns {number} Length in mm
+ */
+function getPolylineLength(points) {
+    var length = 0;
+    for (var i = 1; i < points.length; i++) {
+        length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    }
+    return length;
+}
+
+/**
+ * Format a coordinate in mm for G-code (3 decimals, never "-0.000")
+ * @param {number} value - Coordinate in mm
+ * @returns {string} Formatted coordinate
+ */
+function formatVectorCoordinate(value) {
+    var text = value.toFixed(3);
+    return text === '-0.000' ? '0.000' : text;
+}
+
+/**
+ * Arc fitting limits
+ */
+const ARC_FITTING_CONFIG = {
+    minSegments: 3,       // Shorter runs stay as G1 moves
+    maxSweep: Math.PI,    // Largest arc in radians (keeps G2/G3 away from full-circle ambiguity)
+    maxRadius: 1000       // mm; flatter runs are straight enough for G1
+};
+
+/**
+ * Get the circle through three points
+ * @param {Object} a - First point
+ * @param {Object} b - Second point
+ * @param {Object} c - Third point
+ * @returns {Object|null} Circle {x, y, radius}, or null when the points are collinear
+ */
+function getCircleThroughPoints(a, b, c) {
+    var d = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
+    if (Math.abs(d) < 1e-12) return null;
+    
+    var a2 = a.x * a.x + a.y * a.y;
+    var b2 = b.x * b.x + b.y * b.y;
+    var c2 = c.x * c.x + c.y * c.y;
+    var x = (a2 * (b.y - c.y) + b2 * (c.y - a.y) + c2 * (a.y - b.y)) / d;
+    var y = (a2 * (c.x - b.x) + b2 * (a.x - c.x) + c2 * (b.x - a.x)) / d;
+    return { x: x, y: y, radius: Math.hypot(a.x - x, a.y - y) };
+}
+
+/**
+ * Check whether points[start..end] follow one arc within a tolerance
+ * Vertices and segment midpoints must lie within the tolerance of the circle
+ * through the first, middle and last point, turning the same way throughout.
+ * @param {Array} points - Polyline points
+ * @param {number} start - Index of the first point
+ * @param {number} end - Index of the last point
+ * @param {number} tolerance - Maximum deviation in mm
+ * @returns {Object|null} Arc {x, y (center), radius, clockwise}, or null
+ */
+function fitArc(points, start, end, tolerance) {
+    var circle = getCircleThroughPoints(points[start], points[Math.floor((start + end) / 2)], points[end]);
+    if (!circle || circle.radius > ARC_FITTING_CONFIG.maxRadius) return null;
+    
+    var direction = 0;
+    var sweep = 0;
+    
+    for (var i = start; i < end; i++) {
+        var a = points[i];
+        var b = points[i + 1];
+        var middle = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+        if (Math.abs(Math.hypot(b.x - circle.x, b.y - circle.y) - circle.radius) > tolerance ||
+            Math.abs(Math.hypot(middle.x - circle.x, middle.y - circle.y) - circle.radius) > tolerance) {
+            return null;
+        }
+        
+        // Signed angle swept by this segment around the center
+        var step = Math.atan2(
+            (a.x - circle.x) * (b.y - circle.y) - (a.y - circle.y) * (b.x - circle.x),
+            (a.x - circle.x) * (b.x - circle.x) + (a.y - circle.y) * (b.y - circle.y)
+        );
+        if (step === 0) continue; // Zero-length segment
+        
+        var stepDirection = step > 0 ? 1 : -1;
+        if (direction !== 0 && stepDirection !== direction) return null;
+        
+        direction = stepDirection;
+        sweep += Math.abs(step);
+    }
+    
+    if (sweep > ARC_FITTING_CONFIG.maxSweep + 1e-9) return null;
+    return { x: circle.x, y: circle.y, radius: circle.radius, clockwise: direction < 0 };
+}
+
+/**
+ * Replace runs of polyline segments by arcs where they fit within a tolerance
+ * Each arc is grown greedily from its first segment as long as the run still fits.
+ * @param {Array} points - Polyline points in workspace mm (Y up)
+ * @param {number} tolerance - Maximum deviation in mm
+ * @returns {Array} Moves after the first point: {type: 'line', x, y} or
+ *                  {type: 'arc', x, y, i, j, clockwise} (I/J relative to the move start)
+ */
+function fitPolylineArcs(points, tolerance) {
+    var moves = [];
+    var start = 0;
+    
+    while (start < points.length - 1) {
+        var end = start + ARC_FITTING_CONFIG.minSegments;
+        var arc = null;
+        
+        while (end < points.length) {
+            var candidate = fitArc(points, start, end, tolerance);
+            if (!candidate) break;
+            arc = candidate;
+            end++;
+        }
+        
+        if (arc) {
+            var last = points[end - 1];
+            moves.push({
+                type: 'arc',
+                x: last.x,
+                y: last.y,
+                i: arc.x - points[start].x,
+                j: arc.y - points[start].y,
+                clockwise: arc.clockwise
+            });
+            start = end - 1;
+        } else {
+            moves.push({ type: 'line', x: points[start + 1].x, y: points[start + 1].y });
+            start++;
+        }
+    }
+    
+    return moves;
+}
+
+/**
+ * Emit G-code for a set of polylines
+ * Each polyline is reached with a laser-off G0 and traced with G1 moves (or G2/G3
+ * arcs when the machine profile supports them) at the given speed and power; the
+ * laser is switched off after every polyline.
+ * @param {Array} polylines - Polylines {points, closed} in workspace mm
+ * @param {Object} settings - Emission settings {speed, power}
+ * @returns {Array} G-code lines
+ */
+function generateVectorPathsGcode(polylines, settings) {
+    var gcode = [];
+    var inlinePower = usesInlinePower();
+    
+    for (var i = 0; i < polylines.length; i++) {
+        var points = polylines[i].points;
+        if (points.length < 2) continue;
+        
+        gcode.push('G0 X' + formatVectorCoordinate(points[0].x) + ' Y' + formatVectorCoordinate(points[0].y) + ' F' + LASER_CONFIG.travelRate +
+                   ' ; Path ' + (i + 1) + '/' + polylines.length + (polylines[i].closed ? ' (closed)' : ''));
+        
+        // Laser on with the same stabilization as raster rows; the path speed is set
+        // on the first G1 instead of the raster engraving speed. Inline power goes on
+        // that first move instead.
+        if (!inlinePower) {
+            var onCommands = generateQualityPowerChange(settings.power, 0).filter(function(line) {
+                return line.charAt(0) !== 'F';
+            });
+            Array.prototype.push.apply(gcode, onCommands);
+        }
+        var firstFeed = ' F' + settings.speed + (inlinePower ? formatInlinePower(settings.power) : '');
+        
+        if (LASER_CONFIG.arcSupport) {
+            var moves = fitPolylineArcs(points, LASER_CONFIG.arcTolerance);
+            for (var m = 0; m < moves.length; m++) {
+                var move = moves[m];
+                var target = ' X' + formatVectorCoordinate(move.x) + ' Y' + formatVectorCoordinate(move.y);
+                var feed = m === 0 ? firstFeed : '';
+                
+                if (move.type === 'arc') {
+                    gcode.push((move.clockwise ? 'G2' : 'G3') + target + ' I' + formatVectorCoordinate(move.i) + ' J' + formatVectorCoordinate(move.j) + feed);
+                } else {
+                    gcode.push('G1' + target + feed);
+                }
+            }
+        } else {
+            for (var p = 1; p < points.length; p++) {
+                gcode.push('G1 X' + formatVectorCoordinate(points[p].x) + ' Y' + formatVectorCoordinate(points[p].y) + (p === 1 ? firstFeed : ''));
+            }
+        }
+        
+        if (!inlinePower) {
+            Array.prototype.push.apply(gcode, generateQualityPowerChange(0, settings.power));
+        }
+    }
+    
+    return gcode;
+}
+
+/**
+ * Get the signed area of a polygon (positive when counter-clockwise, Y up)
+ * @param {Array} points - Polygon vertices
+ * @returns {number} Signed area in mm²
+ */
+function getPolygonArea(points) {
+    var area = 0;
+    for (var i = 0, j = points.length - 1; i < points.length; j = i++) {
+        area += (points[j].x - points[i].x) * (points[j].y + points[i].y);
+    }
+    return area / 2;
+}
+
+/**
+ * Offset a closed polygon by a distance
+ * Each edge is moved along its normal; corners are mitered, or bevelled when the
+ * miter would reach further than twice the distance. Meant for small offsets such
+ * as a laser kerf, where self-intersections at tight concave corners stay below
+ * the beam width.
+ * @param {Array} points - Closed polyline points (last point equal to the first)
+ * @param {number} distance - Offset in mm, positive to grow the polygon, negative to shrink it
+ * @returns {Array} Offset closed polyline points
+ */
+function offsetPolygon(points, distance) {
+    // Drop repeated points, including the closing one
+    var vertices = points.filter(function(point, index) {
+        var next = points[(index + 1) % points.length];
+        return point.x !== next.x || point.y !== next.y;
+    });
+    if (vertices.length < 3 || distance === 0) return points;
+    
+    // Outward normals point right of the edge for counter-clockwise polygons
+    var side = getPolygonArea(vertices) > 0 ? 1 : -1;
+    var normals = vertices.map(function(point, index) {
+        var next = vertices[(index + 1) % vertices.length];
+        var length = Math.hypot(next.x - point.x, next.y - point.y);
+        return { x: side * (next.y - point.y) / length, y: -side * (next.x - point.x) / length };
+    });
+    
+    var result = [];
+    for (var i = 0; i < vertices.length; i++) {
+        var before = normals[(i + vertices.length - 1) % vertices.length];
+        var after = normals[i];
+        var point = vertices[i];
+        var scale = 1 + before.x * after.x + before.y * after.y;
+        
+        if (scale > 0.5) {
+            // Miter: length 1/cos(half angle) <= 2
+            result.push({
+                x: point.x + distance * (before.x + after.x) / scale,
+                y: point.y + distance * (before.y + after.y) / scale
+            });
+        } else {
+            result.push({ x: point.x + distance * before.x, y: point.y + distance * before.y });
+            result.push({ x: point.x + distance * after.x, y: point.y + distance * after.y });
+        }
+    }
+    
+    result.push({ x: result[0].x, y: result[0].y });
+    return result;
+}
+
+/**
+ * Clip parallel hatch lines to the inside of a set of outlines
+ * Hatch lines lie on a grid of the given spacing through the workspace origin, so
+ * neighbouring shapes filled at the same angle share their lines. Open polylines
+ * are closed implicitly, as the canvas does when filling.
+ * @param {Array} polylines - Outline polylines {points, closed} in workspace mm
+ * @param {Object} options - Hatch options {spacing (mm), angle (degrees), fillRule ('nonzero' or 'evenodd')}
+ * @returns {Array} Hatch segments {points: [start, end], closed: false}, in serpentine order
+ */
+function generateHatchLines(polylines, options) {
+    var angle = (options.angle || 0) * Math.PI / 180;
+    var cos = Math.cos(angle);
+    var sin = Math.sin(angle);
+    var spacing = Math.max(options.spacing, 0.01);
+    var evenOdd = options.fillRule === 'evenodd';
+    var edges = [];
+    var vMin = Infinity;
+    var vMax = -Infinity;
+    
+    // Rotate the outlines so that hatch lines run along u, at constant v
+    for (var p = 0; p < polylines.length; p++) {
+        var points = polylines[p].points;
+        
+        for (var i = 0; i < points.length; i++) {
+            var a = points[i];
+            var b = points[(i + 1) % points.length];
+            var au = a.x * cos + a.y * sin;
+            var av = -a.x * sin + a.y * cos;
+            var bu = b.x * cos + b.y * sin;
+            var bv = -b.x * sin + b.y * cos;
+            if (av === bv) continue; // Parallel to the hatch lines (or closing a closed polyline)
+            
+            edges.push(av < bv ?
+                { u1: au, v1: av, u2: bu, v2: bv, winding: 1 } :
+                { u1: bu, v1: bv, u2: au, v2: av, winding: -1 });
+            vMin = Math.min(vMin, av, bv);
+            vMax = Math.max(vMax, av, bv);
+        }
+    }
+    
+    var segments = [];
+    var reverse = false;
+    
+    for (var row = Math.ceil(vMin / spacing); row <= Math.floor(vMax / spacing); row++) {
+        var v = row * spacing;
+        var crossings = [];
+        
+        // Half-open test so a vertex on the line is only counted once
+        for (var e = 0; e < edges.length; e++) {
+            var edge = edges[e];
+            if (v < edge.v1 || v >= edge.v2) continue;
+            crossings.push({
+                u: edge.u1 + (v - edge.v1) * (edge.u2 - edge.u1) / (edge.v2 - edge.v1),
+                winding: edge.winding
+            });
+        }
+        crossings.sort(function(c1, c2) {
+            return c1.u - c2.u;
+        });
+        
+        var spans = [];
+        var winding = 0;
+        var start = 0;
+        for (var c = 0; c < crossings.length; c++) {
+            var wasInside = evenOdd ? winding % 2 !== 0 : winding !== 0;
+            winding += crossings[c].winding;
+            var inside = evenOdd ? winding % 2 !== 0 : winding !== 0;
+            
+            if (inside && !wasInside) {
+                start = crossings[c].u;
+            } else if (wasInside && !inside && crossings[c].u > start) {
+                spans.push([start, crossings[c].u]);
+            }
+        }
+        if (spans.length === 0) continue;
+        
+        // Serpentine: every other row is traced backwards
+        if (reverse) {
+            spans = spans.reverse().map(function(span) {
+                return [span[1], span[0]];
+            });
+        }
+        reverse = !reverse;
+        
+        for (var s = 0; s < spans.length; s++) {
+            segments.push({
+                points: [
+                    { x: spans[s][0] * cos - v * sin, y: spans[s][0] * sin + v * cos },
+                    { x: spans[s][1] * cos - v * sin, y: spans[s][1] * sin + v * cos }
+                ],
+                closed: false
+            });
+        }
+    }
+    
+    return segments;
+}
+
+/**
+ * Emit G-code for hatch segments
+ * Hatch lines are short and numerous, so the laser is switched without the
+ * stabilization dwells used for outlines (or not at all with inline power).
+ * @param {Array} segments - Hatch segments from generateHatchLines
+ * @param {Object} settings - Emission settings {speed, power}
+ * @returns {Array} G-code lines
+ */
+function generateHatchGcode(segments, settings) {
+    var gcode = [];
+    var inlinePower = usesInlinePower();
+    
+    for (var i = 0; i < segments.length; i++) {
+        var start = segments[i].points[0];
+        var end = segments[i].points[1];
+        
+        gcode.push('G0 X' + formatVectorCoordinate(start.x) + ' Y' + formatVectorCoordinate(start.y) + ' F' + LASER_CONFIG.travelRate);
+        if (inlinePower) {
+            gcode.push('G1 X' + formatVectorCoordinate(end.x) + ' Y' + formatVectorCoordinate(end.y) + ' F' + settings.speed + formatInlinePower(settings.power));
+            continue;
+        }
+        gcode.push(formatLaserOnCommand(settings.power));
+        gcode.push('G1 X' + formatVectorCoordinate(end.x) + ' Y' + formatVectorCoordinate(end.y) + ' F' + settings.speed);
+        gcode.push(formatLaserOffCommand());
+    }
+    
+    return gcode;
+}
@@ -19,13 +19,29 @@ const STATIC_ASSETS = [
     '/js/object-management.js',
     '/js/project-management.js',
     '/js/zoom-pan.js',
+    '/js/gcode-dialects.js',
+    '/js/gcode-templates.js',
+    '/js/dithering.js',
+    '/js/raster-engine.js',
+    '/js/vector-engine.js',
+    '/js/toolpath-optimizer.js',
+    '/js/image-tracing.js',
+    '/js/gcode-worker.js',
+    '/js/gcode-postprocess.js',
+    '/js/gcode-writer.js',
+    '/js/gcode-sender.js',
     '/js/export.js',
+    '/js/calibration.js',
+    '/js/machine-connection.js',
+    '/js/machine-console.js',
+    '/js/frame-trace.js',
     '/js/font-management.js',
     '/js/image-processing.js',
     '/js/debug-utils.js',
     '/textEditor.js',
-    // Add Fabric.js CDN
-    'https://cdnjs.cloudflare.com/ajax/libs/fabric.js/5.3.0/fabric.min.js'
+    // CDN libraries (Fabric.js, opentype.js)
+    'https://cdnjs.cloudflare.com/ajax/libs/fabric.js/5.3.0/fabric.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/opentype.js/1.3.4/opentype.min.js'
 ];
 
 // Dynamic cache patterns